@@ -0,0 +1,109 @@
+const Web3 = require('web3');
+const { BSC_RPC_URL } = require('./utils/constants');
+const { buyToken, sellToken } = require('./pancakeSwapWeb3');
+
+const web3 = new Web3(BSC_RPC_URL);
+
+/**
+ * Run one wallet's part of a batch, turning a failure into a result instead of an exception
+ * @param {string} side - 'buy' or 'sell'
+ * @param {string} tokenAddress - Token address
+ * @param {Object} wallet - Wallet entry with its private key and amount
+ * @param {string} walletAddress - Address of the wallet
+ * @param {number} slippage - Slippage tolerance in percentage
+ * @param {Object} options - Trade options passed to buyToken or sellToken
+ * @returns {Promise<Object>} Per-wallet result
+ */
+async function tradeFromWallet(side, tokenAddress, wallet, walletAddress, slippage, options) {
+  const amount = wallet.amount.toString();
+  
+  try {
+    const { txHash, receipt } = side === 'buy'
+      ? await buyToken(wallet.privateKey, tokenAddress, amount, slippage, options)
+      : await sellToken(wallet.privateKey, tokenAddress, amount, slippage, options);
+    
+    console.log(`Batch ${side} from ${walletAddress} sent: ${txHash}`);
+    // Amounts actually moved on chain, decoded from the receipt
+    return {
+      walletAddress,
+      amount,
+      status: 'filled',
+      txHash,
+      price: receipt.effectivePrice,
+      bnbAmount: side === 'buy' ? receipt.amountIn : receipt.amountOut,
+      tokenAmount: side === 'buy' ? receipt.amountOut : receipt.amountIn,
+      error: null
+    };
+  } catch (error) {
+    console.error(`Batch ${side} from ${walletAddress} failed:`, error.message);
+    return {
+      walletAddress,
+      amount,
+      status: 'failed',
+      txHash: null,
+      price: null,
+      bnbAmount: null,
+      tokenAmount: null,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Add up the filled trades of a batch
+ * @param {Object[]} results - Per-wallet results
+ * @returns {Object} Wallet counts, total BNB and tokens, and the size-weighted average price
+ */
+function getBatchTotals(results) {
+  const filled = results.filter(result => result.status === 'filled');
+  const bnbAmount = filled.reduce((total, result) => total + Number(result.bnbAmount), 0);
+  const tokenAmount = filled.reduce((total, result) => total + Number(result.tokenAmount), 0);
+  
+  return {
+    wallets: results.length,
+    filled: filled.length,
+    failed: results.length - filled.length,
+    bnbAmount,
+    tokenAmount,
+    averagePrice: tokenAmount > 0 ? bnbAmount / tokenAmount : null
+  };
+}
+
+/**
+ * Execute the same buy or sell from several wallets at once
+ * Each wallet trades independently with its own nonces, so one failing doesn't stop the others
+ * @param {Object} params - Batch parameters
+ * @param {string} params.side - 'buy' or 'sell'
+ * @param {string} params.tokenAddress - Token address
+ * @param {Object[]} params.wallets - Wallets to trade from
+ * @param {string} params.wallets[].privateKey - Private key of the wallet
+ * @param {string|number} params.wallets[].amount - BNB to spend when buying; tokens, a percentage of the balance or "max" when selling
+ * @param {number} [params.slippage=1.0] - Slippage tolerance in percentage
+ * @param {number} [params.maxPriceImpact] - Abort a wallet's trade if its price impact exceeds this percentage
+ * @param {Object} [params.gasStrategy] - Gas strategy every wallet prices its trade with
+ * @param {number} [params.deadlineSeconds] - Seconds each wallet's swap stays valid once signed
+ * @param {string} [params.approvalMode] - How much each selling wallet approves the router for
+ * @returns {Promise<{results: Object[], totals: Object}>} Per-wallet results in the order given, and the aggregate totals
+ */
+async function executeBatchTrade({ side, tokenAddress, wallets, slippage = 1.0, maxPriceImpact, gasStrategy, deadlineSeconds, approvalMode }) {
+  const walletAddresses = wallets.map(wallet => web3.eth.accounts.privateKeyToAccount(wallet.privateKey).address);
+  
+  // Two concurrent trades from one wallet would race for its balance and nonces
+  const duplicate = walletAddresses.find((address, index) => walletAddresses.indexOf(address) !== index);
+  if (duplicate) {
+    throw new Error(`Wallet ${duplicate} appears more than once in the batch`);
+  }
+  
+  const options = { maxPriceImpact, gasStrategy, deadlineSeconds, approvalMode };
+  
+  console.log(`Batch ${side} of ${tokenAddress} from ${wallets.length} wallets`);
+  const results = await Promise.all(wallets.map((wallet, index) =>
+    tradeFromWallet(side, tokenAddress, wallet, walletAddresses[index], slippage, options)
+  ));
+  
+  return { results, totals: getBatchTotals(results) };
+}
+
+module.exports = {
+  executeBatchTrade
+};
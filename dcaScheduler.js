@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const Web3 = require('web3');
+const { BSC_RPC_URL, DCA_CHECK_INTERVAL_MS, DCA_HISTORY_LIMIT } = require('./utils/constants');
+const { loadState, saveState } = require('./utils/storage');
+const { encryptPrivateKey, decryptPrivateKey } = require('./utils/keystore');
+const { buyToken, getTokenInfo } = require('./pancakeSwapWeb3');
+
+const web3 = new Web3(BSC_RPC_URL);
+
+const STATE_FILE = 'dca-schedules.json';
+
+// Schedules by id, including each schedule's encrypted key; restored from disk on startup
+const schedules = new Map(loadState(STATE_FILE, []).map(schedule => [schedule.id, schedule]));
+
+let pollTimer = null;
+let checking = false;
+
+/**
+ * Write every schedule to disk
+ */
+function persistSchedules() {
+  saveState(STATE_FILE, Array.from(schedules.values()));
+}
+
+/**
+ * Copy of a schedule that is safe to return from the API
+ * @param {Object} schedule - Stored schedule
+ * @param {boolean} [includeHistory=false] - Include every recorded run
+ * @returns {Object} Schedule without its encrypted key
+ */
+function toPublicSchedule(schedule, includeHistory = false) {
+  const { keystore, history, ...publicSchedule } = schedule;
+  return {
+    ...publicSchedule,
+    runs: history.length,
+    lastRun: history.length > 0 ? history[history.length - 1] : null,
+    ...(includeHistory ? { history } : {})
+  };
+}
+
+/**
+ * Find a schedule or throw
+ * @param {string} id - Schedule id
+ * @returns {Object} Stored schedule
+ */
+function getSchedule(id) {
+  const schedule = schedules.get(id);
+  
+  if (!schedule) {
+    throw new Error(`DCA schedule not found: ${id}`);
+  }
+  
+  return schedule;
+}
+
+/**
+ * BNB still available to spend under the budget cap
+ * @param {Object} schedule - Stored schedule
+ * @returns {Object|null} Remaining budget in wei (BN), or null without a cap
+ */
+function getRemainingBudget(schedule) {
+  if (!schedule.budgetWei) {
+    return null;
+  }
+  
+  const remaining = web3.utils.toBN(schedule.budgetWei).sub(web3.utils.toBN(schedule.spentWei));
+  return remaining.isNeg() ? web3.utils.toBN(0) : remaining;
+}
+
+/**
+ * Append a run to a schedule's history, keeping the most recent DCA_HISTORY_LIMIT runs
+ * @param {Object} schedule - Stored schedule
+ * @param {Object} run - Run details
+ */
+function recordRun(schedule, run) {
+  schedule.history.push({ at: Date.now(), ...run });
+  
+  if (schedule.history.length > DCA_HISTORY_LIMIT) {
+    schedule.history.splice(0, schedule.history.length - DCA_HISTORY_LIMIT);
+  }
+}
+
+/**
+ * Create a schedule that buys a token for a fixed BNB amount at a fixed interval
+ * @param {Object} params - Schedule parameters
+ * @param {string} params.privateKey - Private key of the buying account
+ * @param {string} params.tokenAddress - Token address
+ * @param {string|number} params.amount - BNB to spend on each run
+ * @param {number} params.intervalMinutes - Minutes between runs
+ * @param {string|number} [params.budget] - Total BNB the schedule may spend; it completes once spent
+ * @param {number} [params.slippage=1.0] - Slippage tolerance in percentage
+ * @param {number} [params.maxPriceImpact] - Skip a run whose price impact exceeds this percentage
+ * @param {number} [params.maxGasPriceGwei] - Skip a run while the gas price is above this
+ * @returns {Promise<Object>} The new schedule
+ */
+async function createDcaSchedule({ privateKey, tokenAddress, amount, intervalMinutes, budget, slippage = 1.0, maxPriceImpact, maxGasPriceGwei }) {
+  // Schedules outlive the request, so the key is only kept encrypted
+  const keystore = encryptPrivateKey(privateKey);
+  const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+  const tokenInfo = await getTokenInfo(tokenAddress);
+  
+  const schedule = {
+    id: crypto.randomBytes(8).toString('hex'),
+    walletAddress: account.address,
+    tokenAddress,
+    symbol: tokenInfo.symbol,
+    amount: amount.toString(),
+    amountWei: web3.utils.toWei(amount.toString(), 'ether'),
+    intervalMinutes,
+    budget: budget ? budget.toString() : null,
+    budgetWei: budget ? web3.utils.toWei(budget.toString(), 'ether') : null,
+    spent: '0',
+    spentWei: '0',
+    slippage,
+    maxPriceImpact: maxPriceImpact || null,
+    maxGasPriceGwei: maxGasPriceGwei || null,
+    status: 'active',
+    createdAt: Date.now(),
+    // The first run happens on the next check
+    nextRunAt: Date.now(),
+    inFlight: null,
+    history: [],
+    keystore
+  };
+  
+  schedules.set(schedule.id, schedule);
+  persistSchedules();
+  startPolling();
+  
+  console.log(`DCA schedule ${schedule.id} created: ${schedule.amount} BNB of ${tokenInfo.symbol} every ${intervalMinutes} minutes${schedule.budget ? ` up to ${schedule.budget} BNB` : ''}`);
+  return toPublicSchedule(schedule);
+}
+
+/**
+ * List every schedule with its latest run, newest first
+ * @returns {Object[]} Schedules
+ */
+function listDcaSchedules() {
+  return Array.from(schedules.values())
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(schedule => toPublicSchedule(schedule));
+}
+
+/**
+ * Get a schedule with every recorded run
+ * @param {string} id - Schedule id
+ * @returns {Object} Schedule with its history
+ */
+function getDcaHistory(id) {
+  return toPublicSchedule(getSchedule(id), true);
+}
+
+/**
+ * Pause an active schedule
+ * @param {string} id - Schedule id
+ * @returns {Object} The paused schedule
+ */
+function pauseDcaSchedule(id) {
+  const schedule = getSchedule(id);
+  
+  if (schedule.status !== 'active') {
+    throw new Error(`DCA schedule ${id} cannot be paused because it is ${schedule.status}`);
+  }
+  
+  schedule.status = 'paused';
+  persistSchedules();
+  stopPollingIfIdle();
+  
+  return toPublicSchedule(schedule);
+}
+
+/**
+ * Resume a paused schedule; a run that fell due while paused happens on the next check
+ * @param {string} id - Schedule id
+ * @returns {Object} The resumed schedule
+ */
+function resumeDcaSchedule(id) {
+  const schedule = getSchedule(id);
+  
+  if (schedule.status !== 'paused') {
+    throw new Error(`DCA schedule ${id} cannot be resumed because it is ${schedule.status}`);
+  }
+  
+  schedule.status = 'active';
+  persistSchedules();
+  startPolling();
+  
+  return toPublicSchedule(schedule);
+}
+
+/**
+ * Delete a schedule and its stored key
+ * @param {string} id - Schedule id
+ * @returns {Object} The deleted schedule
+ */
+function deleteDcaSchedule(id) {
+  const schedule = getSchedule(id);
+  
+  if (schedule.inFlight) {
+    throw new Error(`DCA schedule ${id} is buying right now. Try again once the run has finished.`);
+  }
+  
+  schedules.delete(id);
+  persistSchedules();
+  stopPollingIfIdle();
+  
+  return toPublicSchedule(schedule);
+}
+
+/**
+ * Complete a schedule whose budget is spent
+ * @param {Object} schedule - Stored schedule
+ * @returns {boolean} True if the schedule completed
+ */
+function completeIfBudgetSpent(schedule) {
+  const remaining = getRemainingBudget(schedule);
+  
+  if (!remaining || !remaining.isZero()) {
+    return false;
+  }
+  
+  schedule.status = 'completed';
+  delete schedule.keystore;
+  console.log(`DCA schedule ${schedule.id} completed after spending its ${schedule.budget} BNB budget`);
+  return true;
+}
+
+/**
+ * Buy once for a due schedule, or record why the run was skipped
+ * @param {Object} schedule - Stored schedule
+ */
+async function runDcaSchedule(schedule) {
+  if (completeIfBudgetSpent(schedule)) return;
+  
+  // Spend the regular amount, or whatever is left of the budget if that is less
+  const remaining = getRemainingBudget(schedule);
+  let amountWei = web3.utils.toBN(schedule.amountWei);
+  if (remaining && remaining.lt(amountWei)) {
+    amountWei = remaining;
+  }
+  const amount = web3.utils.fromWei(amountWei, 'ether');
+  
+  schedule.nextRunAt = Date.now() + schedule.intervalMinutes * 60 * 1000;
+  
+  // Recorded before sending so a restart mid-run still counts the spend against the budget
+  schedule.inFlight = { at: Date.now(), amount, amountWei: amountWei.toString() };
+  persistSchedules();
+  
+  try {
+    const privateKey = decryptPrivateKey(schedule.keystore);
+    // The gas cap is checked against the price the buy would actually pay
+    const { txHash, receipt } = await buyToken(privateKey, schedule.tokenAddress, amount, schedule.slippage, {
+      maxPriceImpact: schedule.maxPriceImpact || undefined,
+      gasStrategy: { maxGwei: schedule.maxGasPriceGwei || undefined }
+    });
+    
+    schedule.spentWei = web3.utils.toBN(schedule.spentWei).add(amountWei).toString();
+    schedule.spent = web3.utils.fromWei(schedule.spentWei, 'ether');
+    // The price the run filled at, which differs from the quote by the slippage and any transfer tax
+    recordRun(schedule, { status: 'executed', amount, txHash, price: receipt.effectivePrice });
+    console.log(`DCA schedule ${schedule.id} bought ${amount} BNB of ${schedule.symbol}: ${txHash}`);
+  } catch (error) {
+    // The price impact and gas price guards abort before signing, so nothing was spent
+    if (error.priceImpact !== undefined) {
+      recordRun(schedule, { status: 'skipped', amount, reason: error.message, priceImpact: error.priceImpact });
+    } else if (error.gasPrice !== undefined) {
+      recordRun(schedule, { status: 'skipped', amount, reason: error.message, gasPrice: error.gasPrice });
+    } else {
+      recordRun(schedule, { status: 'failed', amount, reason: error.message });
+      console.error(`DCA schedule ${schedule.id} failed:`, error.message);
+    }
+  }
+  
+  schedule.inFlight = null;
+  completeIfBudgetSpent(schedule);
+}
+
+/**
+ * Run every active schedule that is due
+ * Runs happen one at a time so nonces stay in order
+ */
+async function checkDcaSchedules() {
+  if (checking) return;
+  checking = true;
+  
+  try {
+    for (const schedule of schedules.values()) {
+      if (schedule.status !== 'active' || Date.now() < schedule.nextRunAt) continue;
+      
+      try {
+        await runDcaSchedule(schedule);
+      } catch (error) {
+        schedule.inFlight = null;
+        recordRun(schedule, { status: 'failed', reason: error.message });
+        console.error(`DCA schedule ${schedule.id} failed:`, error.message);
+      }
+    }
+  } finally {
+    persistSchedules();
+    checking = false;
+    stopPollingIfIdle();
+  }
+}
+
+/**
+ * Start checking for due runs if it isn't running
+ */
+function startPolling() {
+  if (!pollTimer) {
+    pollTimer = setInterval(checkDcaSchedules, DCA_CHECK_INTERVAL_MS);
+  }
+}
+
+/**
+ * Stop checking once no schedule is active
+ */
+function stopPollingIfIdle() {
+  const hasActiveSchedules = Array.from(schedules.values()).some(schedule => schedule.status === 'active');
+  
+  if (pollTimer && !hasActiveSchedules) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+// A run interrupted by a restart may or may not have bought, so count it against the budget and don't retry it
+const interruptedSchedules = Array.from(schedules.values()).filter(schedule => schedule.inFlight);
+interruptedSchedules.forEach(schedule => {
+  schedule.spentWei = web3.utils.toBN(schedule.spentWei).add(web3.utils.toBN(schedule.inFlight.amountWei)).toString();
+  schedule.spent = web3.utils.fromWei(schedule.spentWei, 'ether');
+  recordRun(schedule, { status: 'interrupted', amount: schedule.inFlight.amount, reason: 'The server restarted during this run. Check the wallet to see whether the buy went through.' });
+  schedule.inFlight = null;
+  completeIfBudgetSpent(schedule);
+});
+if (interruptedSchedules.length > 0) {
+  persistSchedules();
+}
+
+// Resume the active schedules restored from disk
+if (Array.from(schedules.values()).some(schedule => schedule.status === 'active')) {
+  startPolling();
+}
+
+module.exports = {
+  createDcaSchedule,
+  listDcaSchedules,
+  getDcaHistory,
+  pauseDcaSchedule,
+  resumeDcaSchedule,
+  deleteDcaSchedule
+};
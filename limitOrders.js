@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const Web3 = require('web3');
+const { BSC_RPC_URL, PRICE_POLL_INTERVAL_MS } = require('./utils/constants');
+const { buyToken, sellToken, getTokenInfo, getPoolPrice } = require('./pancakeSwapWeb3');
+
+const web3 = new Web3(BSC_RPC_URL);
+
+// Orders by id; private keys are kept apart so they never leave the process
+const orders = new Map();
+const privateKeys = new Map();
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Copy of an order for callers, so the stored order can't be changed from outside
+ * @param {Object} order - Stored order
+ * @returns {Object} Order copy
+ */
+function toPublicOrder(order) {
+  return { ...order };
+}
+
+/**
+ * Whether the pool price has crossed an order's trigger
+ * Buys fill at or below the trigger price, sells at or above it
+ * @param {Object} order - Stored order
+ * @param {number} price - Current price in BNB per token
+ * @returns {boolean} True if the order should execute
+ */
+function isTriggered(order, price) {
+  return order.side === 'buy' ? price <= order.triggerPrice : price >= order.triggerPrice;
+}
+
+/**
+ * Place a limit order that buys or sells once the pool price crosses the trigger price
+ * @param {Object} params - Order parameters
+ * @param {string} params.privateKey - Private key of the account that trades
+ * @param {string} params.tokenAddress - Token address
+ * @param {string} params.side - 'buy' or 'sell'
+ * @param {number} params.triggerPrice - Price in BNB per token
+ * @param {string|number} params.amount - BNB to spend when buying, tokens to sell when selling
+ * @param {number} [params.slippage=1.0] - Slippage tolerance in percentage
+ * @param {number} [params.feeTier] - Fee tier of the pool to watch (defaults to the most liquid valid pool, or the V2 pair without one)
+ * @param {number} [params.expiresAt] - Expiry as a millisecond timestamp, or none to keep the order open
+ * @returns {Promise<Object>} The new order
+ */
+async function createLimitOrder({ privateKey, tokenAddress, side, triggerPrice, amount, slippage = 1.0, feeTier, expiresAt }) {
+  const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+  const tokenInfo = await getTokenInfo(tokenAddress);
+  
+  // Reading the price up front rejects tokens without a pool to watch
+  const { price, feeTier: watchedFeeTier, protocol } = await getPoolPrice(tokenAddress, feeTier);
+  
+  const order = {
+    id: crypto.randomBytes(8).toString('hex'),
+    walletAddress: account.address,
+    tokenAddress,
+    symbol: tokenInfo.symbol,
+    side,
+    triggerPrice,
+    amount: amount.toString(),
+    slippage,
+    feeTier: watchedFeeTier,
+    protocol,
+    expiresAt: expiresAt || null,
+    status: 'open',
+    createdAt: Date.now(),
+    lastPrice: price,
+    lastCheckedAt: Date.now(),
+    executedAt: null,
+    triggeredAtPrice: null,
+    executionPrice: null,
+    txHash: null,
+    error: null
+  };
+  
+  orders.set(order.id, order);
+  privateKeys.set(order.id, privateKey);
+  startPolling();
+  
+  console.log(`Limit order ${order.id} placed: ${side} ${order.amount} ${side === 'buy' ? 'BNB' : tokenInfo.symbol} at ${triggerPrice} BNB per ${tokenInfo.symbol} (now ${price})`);
+  return toPublicOrder(order);
+}
+
+/**
+ * List every order, newest first
+ * @returns {Object[]} Orders
+ */
+function listLimitOrders() {
+  return Array.from(orders.values())
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(toPublicOrder);
+}
+
+/**
+ * Cancel an open order
+ * @param {string} id - Order id
+ * @returns {Object} The cancelled order
+ */
+function cancelLimitOrder(id) {
+  const order = orders.get(id);
+  
+  if (!order) {
+    throw new Error(`Limit order not found: ${id}`);
+  }
+  
+  if (order.status !== 'open') {
+    throw new Error(`Limit order ${id} cannot be cancelled because it is ${order.status}`);
+  }
+  
+  order.status = 'cancelled';
+  privateKeys.delete(id);
+  stopPollingIfIdle();
+  
+  return toPublicOrder(order);
+}
+
+/**
+ * Execute a triggered order with the regular buy/sell path
+ * @param {Object} order - Stored order
+ * @param {number} price - Price that triggered the order
+ */
+async function executeLimitOrder(order, price) {
+  order.status = 'executing';
+  order.triggeredAtPrice = price;
+  const privateKey = privateKeys.get(order.id);
+  
+  try {
+    const { txHash, receipt } = order.side === 'buy'
+      ? await buyToken(privateKey, order.tokenAddress, order.amount, order.slippage)
+      : await sellToken(privateKey, order.tokenAddress, order.amount, order.slippage);
+    
+    order.status = 'filled';
+    order.txHash = txHash;
+    // The price the trade filled at, which differs from the triggering price by the slippage and any transfer tax
+    order.executionPrice = receipt.effectivePrice;
+    console.log(`Limit order ${order.id} triggered at ${price} and filled at ${receipt.effectivePrice} BNB per ${order.symbol}: ${txHash}`);
+  } catch (error) {
+    order.status = 'failed';
+    order.error = error.message;
+    console.error(`Limit order ${order.id} failed:`, error.message);
+  }
+  
+  order.executedAt = Date.now();
+  privateKeys.delete(order.id);
+}
+
+/**
+ * Read the watched pools once and execute every open order whose trigger was crossed
+ * Orders sharing a pool share one price read; trades run one at a time so nonces stay in order
+ */
+async function checkLimitOrders() {
+  if (polling) return;
+  polling = true;
+  
+  try {
+    const now = Date.now();
+    const prices = new Map();
+    
+    for (const order of orders.values()) {
+      if (order.status !== 'open') continue;
+      
+      if (order.expiresAt && now >= order.expiresAt) {
+        order.status = 'expired';
+        privateKeys.delete(order.id);
+        continue;
+      }
+      
+      const poolKey = `${order.tokenAddress.toLowerCase()}:${order.feeTier}`;
+      
+      try {
+        if (!prices.has(poolKey)) {
+          const { price } = await getPoolPrice(order.tokenAddress, order.feeTier, order.protocol);
+          prices.set(poolKey, price);
+        }
+      } catch (error) {
+        console.error(`Failed to read price for limit order ${order.id}:`, error.message);
+        continue;
+      }
+      
+      order.lastPrice = prices.get(poolKey);
+      order.lastCheckedAt = now;
+      
+      if (isTriggered(order, order.lastPrice)) {
+        await executeLimitOrder(order, order.lastPrice);
+      }
+    }
+  } finally {
+    polling = false;
+    stopPollingIfIdle();
+  }
+}
+
+/**
+ * Start polling pool prices if it isn't running
+ */
+function startPolling() {
+  if (!pollTimer) {
+    pollTimer = setInterval(checkLimitOrders, PRICE_POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Stop polling once no order is open
+ */
+function stopPollingIfIdle() {
+  const hasOpenOrders = Array.from(orders.values()).some(order => order.status === 'open');
+  
+  if (pollTimer && !hasOpenOrders) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  createLimitOrder,
+  listLimitOrders,
+  cancelLimitOrder
+};
@@ -1,68 +1,77 @@
 const Web3 = require('web3');
 const axios = require('axios');
+const { ecsign, bufferToHex } = require('@ethereumjs/util');
 const { 
   erc20Abi, 
+  permitAbi,
   routerAbiV3, 
   factoryAbiV3, 
   poolAbiV3,
-  quoterAbiV3
+  quoterAbiV3,
+  routerAbi,
+  factoryAbi,
+  pairAbi,
+  wbnbAbi
 } = require('./utils/abi');
 const { 
   BSC_RPC_URL, 
   PANCAKESWAP_ROUTER_ADDRESS, 
   PANCAKESWAP_FACTORY_ADDRESS,
   PANCAKESWAP_QUOTER_ADDRESS,
+  PANCAKESWAP_V2_ROUTER_ADDRESS,
+  PANCAKESWAP_V2_FACTORY_ADDRESS,
   WBNB_ADDRESS,
   BNB_TOKEN_INFO,
+  ROUTING_BASE_TOKENS,
   DEFAULT_SLIPPAGE,
-  DEFAULT_DEADLINE_MINUTES,
+  DEFAULT_DEADLINE_SECONDS,
   MAX_UINT256,
-  GAS_MULTIPLIER,
-  FEE_TIERS
+  ALLOWANCE_SLOT_SEARCH_LIMIT,
+  APPROVAL_MODES,
+  DEFAULT_APPROVAL_MODE,
+  APPROVAL_BUFFER_PERCENT,
+  FALLBACK_GAS_LIMIT,
+  FEE_TIERS,
+  FEE_TIER_SELECTION,
+  SPLIT_ROUTE_STEPS,
+  TAX_PROBE_BNB,
+  TRANSFER_TAX_CACHE_MS,
+  V2_FEE
 } = require('./utils/constants');
+const { resolveGasPrice } = require('./utils/gasStrategy');
+const { sendTrackedTransaction } = require('./utils/transactionTracker');
 
 // Set to true for detailed logging, false for production
 const DEBUG_MODE = false; 
 
 // Initialize Web3
 const web3 = new Web3(BSC_RPC_URL);
+// eth_call with a state override set, which web3's own call doesn't pass through
+web3.extend({
+  methods: [{ name: 'callWithStateOverride', call: 'eth_call', params: 3 }]
+});
 
 // Initialize contracts
 const router = new web3.eth.Contract(routerAbiV3, PANCAKESWAP_ROUTER_ADDRESS);
 const factory = new web3.eth.Contract(factoryAbiV3, PANCAKESWAP_FACTORY_ADDRESS);
 const quoter = new web3.eth.Contract(quoterAbiV3, PANCAKESWAP_QUOTER_ADDRESS);
+const v2Router = new web3.eth.Contract(routerAbi, PANCAKESWAP_V2_ROUTER_ADDRESS);
+const v2Factory = new web3.eth.Contract(factoryAbi, PANCAKESWAP_V2_FACTORY_ADDRESS);
 
-// Add a nonce cache at the top of the file, after other global variables
-const nonceCache = {};
+// Routers a wallet may have approved to pull its tokens
+const ROUTERS = [
+  { name: 'PancakeSwap V3 router', address: PANCAKESWAP_ROUTER_ADDRESS },
+  { name: 'PancakeSwap V2 router', address: PANCAKESWAP_V2_ROUTER_ADDRESS }
+];
 
-/**
- * Get the next available nonce for an address
- * @param {string} address - Wallet address
- * @returns {Promise<number>} Next available nonce
- */
-async function getNextNonce(address) {
-  try {
-    // Get the current on-chain nonce
-    const onChainNonce = await web3.eth.getTransactionCount(address, 'pending');
-    
-    // Check if we have a cached nonce
-    if (nonceCache[address] === undefined || nonceCache[address] < onChainNonce) {
-      nonceCache[address] = onChainNonce;
-    } else {
-      // Increment the cached nonce
-      nonceCache[address]++;
-    }
-    
-    debugLog(`Using nonce ${nonceCache[address]} for ${address}`, true);
-    return nonceCache[address];
-  } catch (error) {
-    debugError('Error getting next nonce:', error);
-    // Fallback to getting the current nonce
-    const nonce = await web3.eth.getTransactionCount(address, 'pending');
-    debugLog(`Fallback to on-chain nonce: ${nonce}`, true);
-    return nonce;
-  }
-}
+// Measured transfer taxes by token and wallet, so trades don't repeat the simulations
+const transferTaxCache = new Map();
+
+// Storage layout of each token's allowance mapping, or null if it couldn't be found
+const allowanceLayoutCache = new Map();
+
+// EIP-2612 struct a permit signature covers
+const PERMIT_TYPEHASH = web3.utils.keccak256('Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)');
 
 /**
  * Helper function for conditional logging
@@ -158,6 +167,49 @@ function inspect(obj) {
   }
 }
 
+/**
+ * Parse an amount given relative to the balance: a percentage such as "25%", or "max"
+ * @param {string|number} amount - Amount as entered
+ * @returns {number|null} Share of the balance in basis points, or null for an absolute amount
+ */
+function parseBalanceShare(amount) {
+  const value = amount.toString().trim().toLowerCase();
+  
+  if (value === 'max') {
+    return 10000;
+  }
+  
+  const match = value.match(/^(\d+(?:\.\d+)?)\s*%$/);
+  if (!match) {
+    return null;
+  }
+  
+  const basisPoints = Math.round(parseFloat(match[1]) * 100);
+  if (basisPoints <= 0 || basisPoints > 10000) {
+    throw new Error(`Invalid percentage: ${amount}. Use a value above 0% and up to 100%.`);
+  }
+  
+  return basisPoints;
+}
+
+/**
+ * Convert a token amount to smallest units, resolving percentages and "max" against the exact on-chain balance
+ * Working from the raw balance avoids the dust and rounding failures of converting a decimal string
+ * @param {string|number} amount - Absolute amount, a percentage of the balance, or "max"
+ * @param {string} tokenBalance - balanceOf result in smallest units
+ * @param {number} decimals - Token decimals
+ * @returns {string} Amount in smallest units
+ */
+function resolveTokenAmount(amount, tokenBalance, decimals) {
+  const balanceShare = parseBalanceShare(amount);
+  
+  if (balanceShare === null) {
+    return toTokenUnits(amount, decimals);
+  }
+  
+  return safeBN(tokenBalance).muln(balanceShare).divn(10000).toString();
+}
+
 /**
  * Get token information from contract address
  * @param {string} tokenAddress - Token address
@@ -303,20 +355,11 @@ function encodePath(tokenAddresses, fees) {
 
 /**
  * Calculate deadline timestamp
- * @param {number} minutes - Minutes from now
+ * @param {number} [seconds=DEFAULT_DEADLINE_SECONDS] - Seconds from now
  * @returns {number} Deadline timestamp in seconds
  */
-function getDeadline(minutes = DEFAULT_DEADLINE_MINUTES) {
-  return Math.floor(Date.now() / 1000) + minutes * 60;
-}
-
-/**
- * Calculate gas price with multiplier
- * @returns {Promise<string>} Gas price in wei with multiplier applied
- */
-async function getGasPrice() {
-  const gasPrice = await web3.eth.getGasPrice();
-  return Math.floor(Number(gasPrice) * GAS_MULTIPLIER).toString();
+function getDeadline(seconds = DEFAULT_DEADLINE_SECONDS) {
+  return Math.floor(Date.now() / 1000) + seconds;
 }
 
 /**
@@ -473,20 +516,20 @@ async function validatePancakeV3Pool(tokenAddress, feeTier) {
     const sortedTokens = web3.utils.toChecksumAddress(tokenAddress) < web3.utils.toChecksumAddress(WBNB_ADDRESS)
       ? [tokenAddress, WBNB_ADDRESS]
       : [WBNB_ADDRESS, tokenAddress];
-
+    
     // Get pool address
     const poolAddress = await factory.methods.getPool(
       sortedTokens[0],
       sortedTokens[1],
       feeTier
     ).call();
-
+    
     // Check if pool exists
     if (poolAddress === '0x0000000000000000000000000000000000000000') {
       debugLog(`No PancakeSwap V3 pool exists for ${tokenAddress} with fee tier ${feeTier/10000}%`, true);
       return false;
     }
-
+    
     // Create pool contract
     const poolContract = new web3.eth.Contract(poolAbiV3, poolAddress);
     
@@ -522,266 +565,2420 @@ async function validatePancakeV3Pool(tokenAddress, feeTier) {
 }
 
 /**
- * Buy tokens using BNB
- * @param {string} privateKey - Private key of the account
- * @param {string} tokenAddress - Token address to buy
- * @param {string|number} bnbAmount - Amount of BNB to spend
- * @param {number} slippagePercent - Slippage tolerance in percentage
- * @returns {Promise<string>} Transaction hash
+ * Find the best fee tier for a token/WBNB pair whose pool passes validation
+ * Tries the other fee tiers if the best one doesn't have enough liquidity
+ * @param {string} tokenAddress - Token address
+ * @returns {Promise<number|null>} Valid fee tier, or null if no V3 pool is tradable
  */
-async function buyToken(privateKey, tokenAddress, bnbAmount, slippagePercent = 1.0) {
-  try {
-    // Add account to wallet
-    const account = web3.eth.accounts.privateKeyToAccount(privateKey);
-    web3.eth.accounts.wallet.add(account);
-    const walletAddress = account.address;
-    
-    debugLog(`Using wallet address: ${walletAddress}`, true);
-    
-    // Check BNB balance
-    const bnbBalance = await web3.eth.getBalance(walletAddress);
-    let bnbAmountWei;
-    
+async function findValidFeeTier(tokenAddress) {
+  const feeTier = await findBestFeeTier(WBNB_ADDRESS, tokenAddress);
+  
+  if (await validatePancakeV3Pool(tokenAddress, feeTier)) {
+    return feeTier;
+  }
+  
+  const feeTiers = [FEE_TIERS.LOWEST, FEE_TIERS.LOW, FEE_TIERS.MEDIUM, FEE_TIERS.HIGH];
+  for (const alternativeFee of feeTiers.filter(fee => fee !== feeTier)) {
+    debugLog(`Trying alternative fee tier: ${alternativeFee/10000}%`, true);
+    if (await validatePancakeV3Pool(tokenAddress, alternativeFee)) {
+      debugLog(`Found valid pool with fee tier ${alternativeFee/10000}%`, true);
+      return alternativeFee;
+    }
+  }
+  
+  debugLog('No valid PancakeSwap V3 pool found', true);
+  return null;
+}
+
+/**
+ * Quote a single V3 pool with QuoterV2's quoteExactInputSingle
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {number} fee - Fee tier of the pool
+ * @param {string} amountIn - Input amount in smallest units
+ * @returns {Promise<string>} Quoted output in smallest units
+ */
+async function quoteExactInputSingle(tokenIn, tokenOut, fee, amountIn) {
+  const quoteResult = await quoter.methods.quoteExactInputSingle({
+    tokenIn,
+    tokenOut,
+    amountIn,
+    fee,
+    sqrtPriceLimitX96: 0
+  }).call();
+  
+  // QuoterV2 also returns the price after the swap, ticks crossed and a gas estimate
+  return quoteResult.amountOut.toString();
+}
+
+/**
+ * Quote a trade on every existing fee tier between two tokens with quoteExactInputSingle
+ * Unlike pool liquidity, the quoted output accounts for the pool fee and where the in-range liquidity sits
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Input amount in smallest units
+ * @returns {Promise<Object[]>} One entry per existing pool ({feeTier, amountOut} or {feeTier, error}), best output first
+ */
+async function quoteFeeTiers(tokenIn, tokenOut, amountIn) {
+  const existingFees = await getExistingPoolFees(tokenIn, tokenOut);
+  const quotes = [];
+  
+  for (const fee of existingFees) {
     try {
-      // Convert BNB amount to Wei safely
-      bnbAmountWei = web3.utils.toWei(bnbAmount.toString(), 'ether');
+      const amountOut = await quoteExactInputSingle(tokenIn, tokenOut, fee, amountIn);
+      
+      debugLog(`Fee tier ${fee / 10000}% quotes ${amountOut}`);
+      quotes.push({ feeTier: fee, amountOut });
     } catch (error) {
-      debugError(`Error converting BNB amount to Wei: ${error.message}`, error);
-      throw new Error(`Invalid BNB amount: ${bnbAmount}. Please provide a valid number.`);
+      debugError(`Quote for fee tier ${fee / 10000}% failed:`, error);
+      quotes.push({ feeTier: fee, amountOut: null, error: error.message });
     }
-    
-    debugLog(`BNB balance: ${web3.utils.fromWei(bnbBalance, 'ether')} BNB`);
-    debugLog(`Attempting to spend: ${bnbAmount} BNB`);
-    
-    if (web3.utils.toBN(bnbBalance).lt(web3.utils.toBN(bnbAmountWei))) {
-      throw new Error(`Insufficient BNB balance. You have ${web3.utils.fromWei(bnbBalance, 'ether')} BNB but trying to spend ${bnbAmount} BNB`);
+  }
+  
+  // Failed quotes sort last
+  return quotes.sort((a, b) => {
+    if (a.amountOut === null || b.amountOut === null) {
+      return a.amountOut === null ? 1 : -1;
     }
-    
-    // Get token info
-    const tokenInfo = await getTokenInfo(tokenAddress);
-    debugLog(`Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
-    
-    // Find the best fee tier for the token pair
-    let feeTier = await findBestFeeTier(WBNB_ADDRESS, tokenAddress);
-    
-    // Validate if the pool has enough liquidity
-    const isPoolValid = await validatePancakeV3Pool(tokenAddress, feeTier);
-    if (!isPoolValid) {
-      // Try other fee tiers if the best one doesn't have enough liquidity
-      const feeTiers = [FEE_TIERS.LOWEST, FEE_TIERS.LOW, FEE_TIERS.MEDIUM, FEE_TIERS.HIGH];
-      let foundValidPool = false;
-      
-      for (const alternativeFee of feeTiers.filter(fee => fee !== feeTier)) {
-        debugLog(`Trying alternative fee tier: ${alternativeFee/10000}%`, true);
-        if (await validatePancakeV3Pool(tokenAddress, alternativeFee)) {
-          debugLog(`Found valid pool with fee tier ${alternativeFee/10000}%`, true);
-          feeTier = alternativeFee;
-          foundValidPool = true;
-          break;
-        }
+    return safeBN(b.amountOut).cmp(safeBN(a.amountOut));
+  });
+}
+
+/**
+ * Select the direct V3 fee tier for a trade between BNB and a token
+ * In output mode the trade is quoted on every tier and the highest validated output wins;
+ * the liquidity heuristic (findValidFeeTier) is used on request or when no tier can be quoted
+ * @param {string} tokenAddress - Token address (the non-WBNB side of the swap)
+ * @param {string} amountIn - Input amount in smallest units
+ * @param {boolean} isBuy - True for WBNB -> Token, false for Token -> WBNB
+ * @param {string} [selection=FEE_TIER_SELECTION.OUTPUT] - 'output' or 'liquidity'
+ * @returns {Promise<{feeTier: number|null, feeTierSelection: string, feeTierQuotes: Object[]}>} Selected tier, the mode actually used and the per-tier quotes
+ */
+async function selectFeeTier(tokenAddress, amountIn, isBuy, selection = FEE_TIER_SELECTION.OUTPUT) {
+  if (selection === FEE_TIER_SELECTION.OUTPUT) {
+    const tokenIn = isBuy ? WBNB_ADDRESS : tokenAddress;
+    const tokenOut = isBuy ? tokenAddress : WBNB_ADDRESS;
+    const feeTierQuotes = await quoteFeeTiers(tokenIn, tokenOut, amountIn);
+    
+    for (const quote of feeTierQuotes) {
+      if (quote.amountOut === null || safeBN(quote.amountOut).isZero()) {
+        continue;
       }
       
-      if (!foundValidPool) {
-        throw new Error('No valid PancakeSwap V3 pool found with sufficient liquidity. Trading may not be possible at this time.');
+      if (await validatePancakeV3Pool(tokenAddress, quote.feeTier)) {
+        debugLog(`Selected fee tier ${quote.feeTier / 10000}% by quoted output ${quote.amountOut}`, true);
+        return { feeTier: quote.feeTier, feeTierSelection: FEE_TIER_SELECTION.OUTPUT, feeTierQuotes };
       }
     }
     
-    // Check if the token might be a honeypot
-    const isHoneypot = await checkForHoneypot(tokenAddress);
-    if (isHoneypot) {
-      throw new Error('This token appears to be a potential honeypot. Transaction aborted for your safety.');
+    // Keep the failed quotes, so the caller can see why output selection wasn't used
+    const feeTier = await findValidFeeTier(tokenAddress);
+    if (feeTierQuotes.length > 0) {
+      debugError(`No fee tier could be quoted, falling back to pool liquidity: ${feeTierQuotes.map(quote => `${quote.feeTier / 10000}% ${quote.error || 'did not validate'}`).join(', ')}`);
     }
+    return { feeTier, feeTierSelection: FEE_TIER_SELECTION.LIQUIDITY, feeTierQuotes };
+  }
+  
+  const feeTier = await findValidFeeTier(tokenAddress);
+  return { feeTier, feeTierSelection: FEE_TIER_SELECTION.LIQUIDITY, feeTierQuotes: [] };
+}
+
+/**
+ * Quote a single-hop PancakeSwap V3 swap between WBNB and a token
+ * Falls back to an estimate from the pool's current price if the quoter fails
+ * @param {string} tokenAddress - Token address (the non-WBNB side of the swap)
+ * @param {number} feeTier - Fee tier of the pool
+ * @param {string} amountIn - Input amount in smallest units
+ * @param {Object} tokenInfo - Token info from getTokenInfo
+ * @param {boolean} isBuy - True for WBNB -> Token, false for Token -> WBNB
+ * @returns {Promise<{expectedOutputAmount: string, usedFallback: boolean}>} Quoted output and whether the fallback was used
+ */
+async function quoteV3Swap(tokenAddress, feeTier, amountIn, tokenInfo, isBuy) {
+  const path = isBuy
+    ? encodePath([WBNB_ADDRESS, tokenAddress], [feeTier])
+    : encodePath([tokenAddress, WBNB_ADDRESS], [feeTier]);
+  
+  let expectedOutputAmount = '0';
+  let usedFallback = false;
+  
+  try {
+    // Try using the quoter first
+    const quoteResult = await quoter.methods.quoteExactInput(
+      path,
+      amountIn
+    ).call();
     
-    // Encode path for swap (WBNB -> Token)
-    const path = encodePath([WBNB_ADDRESS, tokenAddress], [feeTier]);
+    // Enhanced logging for debugging
+    debugLog(`Raw quoter response: ${inspect(quoteResult)}`, true);
     
-    // Get expected output amount
-    let expectedOutputAmount = '0';
-    let usedFallback = false;
+    // Extract the amountOut from the response
+    if (typeof quoteResult === 'object' && quoteResult.amountOut) {
+      expectedOutputAmount = quoteResult.amountOut.toString();
+    } else if (typeof quoteResult === 'string' || typeof quoteResult === 'number') {
+      expectedOutputAmount = quoteResult.toString();
+    } else {
+      throw new Error('Unexpected quoter response format');
+    }
+    
+    debugLog(`Quoted output amount from PancakeSwap V3 Quoter: ${expectedOutputAmount}`);
+  } catch (quoteError) {
+    debugError('Failed to quote output amount using V3 Quoter:', quoteError);
+    usedFallback = true;
     
     try {
-      // Try using the quoter first
-      const quoteResult = await quoter.methods.quoteExactInput(
-        path,
-        bnbAmountWei
-      ).call();
-      
-      // Enhanced logging for debugging
-      debugLog(`Raw quoter response: ${inspect(quoteResult)}`, true);
+      debugLog('Attempting to estimate price using pool data...', true);
       
-      // Extract the amountOut from the response
-      if (typeof quoteResult === 'object' && quoteResult.amountOut) {
-        expectedOutputAmount = quoteResult.amountOut.toString();
-      } else if (typeof quoteResult === 'string' || typeof quoteResult === 'number') {
-        expectedOutputAmount = quoteResult.toString();
-      } else {
-        throw new Error('Unexpected quoter response format');
-      }
+      // Get pool data for manual price calculation
+      const sortedTokens = web3.utils.toChecksumAddress(tokenAddress) < web3.utils.toChecksumAddress(WBNB_ADDRESS)
+        ? [tokenAddress, WBNB_ADDRESS]
+        : [WBNB_ADDRESS, tokenAddress];
       
-      debugLog(`Quoted output amount from PancakeSwap V3 Quoter: ${expectedOutputAmount}`);
-    } catch (quoteError) {
-      debugError('Failed to quote output amount using V3 Quoter:', quoteError);
-      usedFallback = true;
+      const poolAddress = await factory.methods.getPool(sortedTokens[0], sortedTokens[1], feeTier).call();
       
-      try {
-        debugLog('Attempting to estimate price using pool data...', true);
-        
-        // Get pool data for manual price calculation
-        const sortedTokens = web3.utils.toChecksumAddress(tokenAddress) < web3.utils.toChecksumAddress(WBNB_ADDRESS)
-          ? [tokenAddress, WBNB_ADDRESS]
-          : [WBNB_ADDRESS, tokenAddress];
+      if (poolAddress !== '0x0000000000000000000000000000000000000000') {
+        const poolContract = new web3.eth.Contract(poolAbiV3, poolAddress);
+        const slot0 = await poolContract.methods.slot0().call();
         
-        const poolAddress = await factory.methods.getPool(sortedTokens[0], sortedTokens[1], feeTier).call();
+        debugLog(`Pool data - sqrtPriceX96: ${slot0.sqrtPriceX96}`, true);
         
-        if (poolAddress !== '0x0000000000000000000000000000000000000000') {
-          const poolContract = new web3.eth.Contract(poolAbiV3, poolAddress);
-          const slot0 = await poolContract.methods.slot0().call();
-          
-          debugLog(`Pool data - sqrtPriceX96: ${slot0.sqrtPriceX96}`, true);
+        // Safely convert values to BN
+        try {
+          // Calculate price from sqrtPriceX96
+          const sqrtPriceX96 = safeBN(slot0.sqrtPriceX96);
+          const Q96 = web3.utils.toBN(2).pow(web3.utils.toBN(96));
           
-          // Safely convert values to BN
-          try {
-            // Calculate price from sqrtPriceX96
-            const sqrtPriceX96 = safeBN(slot0.sqrtPriceX96);
-            const Q96 = web3.utils.toBN(2).pow(web3.utils.toBN(96));
-            
-            // Convert to price depending on token order
-            let price;
-            if (sortedTokens[0] === WBNB_ADDRESS) {
-              // If BNB is token0, then price = 1 / (sqrtPriceX96^2 / 2^192)
-              const sqrtPriceSquared = sqrtPriceX96.mul(sqrtPriceX96);
-              if (sqrtPriceSquared.isZero()) {
-                throw new Error('Price calculation failed: sqrtPriceSquared is zero');
-              }
-              price = Q96.mul(Q96).div(sqrtPriceSquared);
-            } else {
-              // If BNB is token1, then price = sqrtPriceX96^2 / 2^192
-              price = sqrtPriceX96.mul(sqrtPriceX96).div(Q96.mul(Q96));
-            }
-            
-            // Adjust for decimals
-            const decimalAdjustment = web3.utils.toBN(10).pow(web3.utils.toBN(18 - tokenInfo.decimals));
-            price = price.mul(decimalAdjustment);
-            
-            // Calculate rough output amount
-            const inputAmount = safeBN(bnbAmountWei);
-            const divisionFactor = safeBN(10).pow(safeBN(18));
-            let roughOutputAmount;
-            
-            // Avoid division by zero
-            if (divisionFactor.isZero()) {
-              throw new Error('Division by zero error in price calculation');
+          // Convert to price depending on token order; the input token being token0 inverts the price
+          const inputToken = isBuy ? WBNB_ADDRESS : tokenAddress;
+          let price;
+          if (sortedTokens[0] === inputToken) {
+            const sqrtPriceSquared = sqrtPriceX96.mul(sqrtPriceX96);
+            if (sqrtPriceSquared.isZero()) {
+              throw new Error('Price calculation failed: sqrtPriceSquared is zero');
             }
-            
-            roughOutputAmount = inputAmount.mul(price).div(divisionFactor);
-            
-            // Apply a safety factor (reduce by 10%) to account for fees and price impact
-            roughOutputAmount = roughOutputAmount.mul(safeBN(90)).div(safeBN(100));
-            
-            expectedOutputAmount = roughOutputAmount.toString();
-            debugLog(`Estimated output amount using pool data: ${expectedOutputAmount}`, true);
-          } catch (calcError) {
-            debugError('Error in price calculation:', calcError);
-            // Use a fallback minimum value
-            expectedOutputAmount = '1000';
-            debugLog('Using minimum fallback value due to calculation error', true);
+            price = Q96.mul(Q96).div(sqrtPriceSquared);
+          } else {
+            price = sqrtPriceX96.mul(sqrtPriceX96).div(Q96.mul(Q96));
           }
-        } else {
-          debugLog('No pool found for manual price estimation', true);
           
-          // Last resort: use a very small non-zero amount to allow transaction with high slippage
+          // Adjust for decimals
+          const decimalAdjustment = isBuy
+            ? web3.utils.toBN(10).pow(web3.utils.toBN(18 - tokenInfo.decimals))
+            : web3.utils.toBN(10).pow(web3.utils.toBN(tokenInfo.decimals - 18));
+          price = price.mul(decimalAdjustment);
+          
+          // Calculate rough output amount
+          const inputAmount = safeBN(amountIn);
+          const divisionFactor = safeBN(10).pow(safeBN(isBuy ? 18 : tokenInfo.decimals));
+          let roughOutputAmount;
+          
+          // Avoid division by zero
+          if (divisionFactor.isZero()) {
+            throw new Error('Division by zero error in price calculation');
+          }
+          
+          roughOutputAmount = inputAmount.mul(price).div(divisionFactor);
+          
+          // Apply a safety factor (reduce by 10%) to account for fees and price impact
+          roughOutputAmount = roughOutputAmount.mul(safeBN(90)).div(safeBN(100));
+          
+          expectedOutputAmount = roughOutputAmount.toString();
+          debugLog(`Estimated output amount using pool data: ${expectedOutputAmount}`, true);
+        } catch (calcError) {
+          debugError('Error in price calculation:', calcError);
+          // Use a fallback minimum value
           expectedOutputAmount = '1000';
-          debugLog('Using minimum fallback value for output amount', true);
+          debugLog('Using minimum fallback value due to calculation error', true);
         }
-      } catch (fallbackError) {
-        debugError('Failed to estimate price using fallback:', fallbackError);
+      } else {
+        debugLog('No pool found for manual price estimation', true);
         
         // Last resort: use a very small non-zero amount to allow transaction with high slippage
         expectedOutputAmount = '1000';
-        debugLog('Using minimum fallback value for output amount after all attempts failed', true);
+        debugLog('Using minimum fallback value for output amount', true);
       }
+    } catch (fallbackError) {
+      debugError('Failed to estimate price using fallback:', fallbackError);
+      
+      // Last resort: use a very small non-zero amount to allow transaction with high slippage
+      expectedOutputAmount = '1000';
+      debugLog('Using minimum fallback value for output amount after all attempts failed', true);
     }
+  }
+  
+  return { expectedOutputAmount, usedFallback };
+}
+
+/**
+ * Quote a swap on a PancakeSwap V2 pair
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Input amount in smallest units
+ * @returns {Promise<string|null>} Expected output amount in smallest units, or null if no usable V2 pair exists
+ */
+async function getV2Quote(tokenIn, tokenOut, amountIn) {
+  try {
+    const pairAddress = await v2Factory.methods.getPair(tokenIn, tokenOut).call();
     
-    // Calculate minimum output amount based on slippage
-    let amountOutMin;
-    try {
-      // Safely convert to BN
-      const bnExpectedOutput = safeBN(expectedOutputAmount);
-      const bnSlippageFactor = safeBN(10000 - slippagePercent * 100);
-      const bnDivisor = safeBN(10000);
-      
-      // Avoid division by zero
-      if (bnDivisor.isZero()) {
-        amountOutMin = bnExpectedOutput.toString(); // Just use the expected output as minimum if division error
-        debugLog('Division error in slippage calculation, using expected output as minimum', true);
-      } else {
-        amountOutMin = bnExpectedOutput.mul(bnSlippageFactor).div(bnDivisor).toString();
-      }
-    } catch (error) {
-      debugError('Error calculating minimum output amount:', error);
-      // Fallback: set amountOutMin to a very small value to allow transaction to proceed
-      amountOutMin = '1';
-      debugLog('Using minimum fallback value for minimum output amount', true);
+    if (pairAddress === '0x0000000000000000000000000000000000000000') {
+      debugLog(`No PancakeSwap V2 pair exists for ${tokenIn} and ${tokenOut}`, true);
+      return null;
     }
     
-    debugLog(`Expected output: ${fromTokenUnits(expectedOutputAmount, tokenInfo.decimals)} ${tokenInfo.symbol}`, true);
-    debugLog(`Minimum output (with ${slippagePercent}% slippage): ${fromTokenUnits(amountOutMin, tokenInfo.decimals)} ${tokenInfo.symbol}`, true);
+    // Make sure the pair actually holds reserves on both sides
+    const pairContract = new web3.eth.Contract(pairAbi, pairAddress);
+    const reserves = await pairContract.methods.getReserves().call();
     
-    if (usedFallback) {
-      debugLog('⚠️ Using estimated price due to quoter failure. Consider using higher slippage.', true);
+    if (safeBN(reserves._reserve0).isZero() || safeBN(reserves._reserve1).isZero()) {
+      debugLog(`PancakeSwap V2 pair ${pairAddress} has no reserves`, true);
+      return null;
     }
     
-    // Get the next nonce
-    const nonce = await getNextNonce(walletAddress);
+    const amounts = await v2Router.methods.getAmountsOut(amountIn, [tokenIn, tokenOut]).call();
+    const amountOut = amounts[amounts.length - 1].toString();
     
-    // Setup swap parameters
-    const recipient = walletAddress;
-    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
+    debugLog(`Quoted output amount from PancakeSwap V2 pair ${pairAddress}: ${amountOut}`, true);
+    return amountOut;
+  } catch (error) {
+    debugError('Error quoting PancakeSwap V2 pair:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the fee tiers for which a PancakeSwap V3 pool exists between two tokens
+ * @param {string} tokenA - First token address
+ * @param {string} tokenB - Second token address
+ * @returns {Promise<number[]>} Fee tiers with an existing pool
+ */
+async function getExistingPoolFees(tokenA, tokenB) {
+  const feeTiers = [FEE_TIERS.LOWEST, FEE_TIERS.LOW, FEE_TIERS.MEDIUM, FEE_TIERS.HIGH];
+  const existingFees = [];
+  
+  for (const fee of feeTiers) {
+    try {
+      const poolAddress = await factory.methods.getPool(tokenA, tokenB, fee).call();
+      if (poolAddress !== '0x0000000000000000000000000000000000000000') {
+        existingFees.push(fee);
+      }
+    } catch (error) {
+      debugError(`Error checking pool for fee tier ${fee / 10000}%:`, error);
+    }
+  }
+  
+  return existingFees;
+}
+
+/**
+ * Find the best two-hop PancakeSwap V3 route through an intermediate base token
+ * Every combination of existing fee tiers on both hops is quoted with the V3 Quoter
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Input amount in smallest units
+ * @param {string[]} [baseTokens] - Intermediate tokens to route through
+ * @returns {Promise<Object|null>} Best route, or null if no multi-hop route could be quoted
+ */
+async function findMultiHopRoute(tokenIn, tokenOut, amountIn, baseTokens = ROUTING_BASE_TOKENS) {
+  let bestRoute = null;
+  
+  for (const baseToken of baseTokens) {
+    if (baseToken.toLowerCase() === tokenIn.toLowerCase() || baseToken.toLowerCase() === tokenOut.toLowerCase()) {
+      continue;
+    }
     
-    // Estimate gas
-    const gasPrice = await web3.eth.getGasPrice();
+    const firstHopFees = await getExistingPoolFees(tokenIn, baseToken);
+    if (firstHopFees.length === 0) {
+      continue;
+    }
     
-    // Prepare transaction
-    const swapParams = {
+    const secondHopFees = await getExistingPoolFees(baseToken, tokenOut);
+    if (secondHopFees.length === 0) {
+      debugLog(`No PancakeSwap V3 pool between ${baseToken} and ${tokenOut}`);
+      continue;
+    }
+    
+    for (const firstFee of firstHopFees) {
+      for (const secondFee of secondHopFees) {
+        const tokens = [tokenIn, baseToken, tokenOut];
+        const fees = [firstFee, secondFee];
+        
+        try {
+          const quoteResult = await quoter.methods.quoteExactInput(encodePath(tokens, fees), amountIn).call();
+          const amountOut = safeBN(quoteResult);
+          
+          debugLog(`Multi-hop quote via ${baseToken} (${firstFee / 10000}% / ${secondFee / 10000}%): ${amountOut.toString()}`);
+          
+          if (!amountOut.isZero() && (bestRoute === null || amountOut.gt(safeBN(bestRoute.amountOut)))) {
+            bestRoute = {
+              protocol: 'V3',
+              tokens,
+              fees,
+              amountOut: amountOut.toString(),
+              usedFallback: false
+            };
+          }
+        } catch (error) {
+          debugLog(`Multi-hop quote via ${baseToken} (${firstFee / 10000}% / ${secondFee / 10000}%) failed: ${error.message}`);
+        }
+      }
+    }
+  }
+  
+  return bestRoute;
+}
+
+/**
+ * Find the route with the best output for a trade between BNB and a token
+ * Compares the direct V3 pool, the V2 pair and multi-hop V3 routes through the base tokens
+ * @param {string} tokenAddress - Token address (the non-WBNB side of the swap)
+ * @param {number|null} feeTier - Validated fee tier of the direct V3 pool, or null if there is none
+ * @param {string} amountIn - Input amount in smallest units
+ * @param {Object} tokenInfo - Token info from getTokenInfo
+ * @param {boolean} isBuy - True for WBNB -> Token, false for Token -> WBNB
+ * @param {string[]} [baseTokens] - Intermediate tokens for multi-hop routes
+ * @returns {Promise<Object>} Selected route with protocol, tokens, fees, amountOut and usedFallback
+ */
+async function findBestRoute(tokenAddress, feeTier, amountIn, tokenInfo, isBuy, baseTokens = ROUTING_BASE_TOKENS) {
+  const tokenIn = isBuy ? WBNB_ADDRESS : tokenAddress;
+  const tokenOut = isBuy ? tokenAddress : WBNB_ADDRESS;
+  const candidateRoutes = [];
+  
+  if (feeTier !== null) {
+    const v3Quote = await quoteV3Swap(tokenAddress, feeTier, amountIn, tokenInfo, isBuy);
+    candidateRoutes.push({
+      protocol: 'V3',
+      tokens: [tokenIn, tokenOut],
+      fees: [feeTier],
+      amountOut: v3Quote.expectedOutputAmount,
+      usedFallback: v3Quote.usedFallback
+    });
+  }
+  
+  const v2AmountOut = await getV2Quote(tokenIn, tokenOut, amountIn);
+  if (v2AmountOut !== null) {
+    candidateRoutes.push({
+      protocol: 'V2',
+      tokens: [tokenIn, tokenOut],
+      fees: [],
+      amountOut: v2AmountOut,
+      usedFallback: false
+    });
+  }
+  
+  const multiHopRoute = await findMultiHopRoute(tokenIn, tokenOut, amountIn, baseTokens);
+  if (multiHopRoute !== null) {
+    candidateRoutes.push(multiHopRoute);
+  }
+  
+  if (candidateRoutes.length === 0) {
+    throw new Error('No valid PancakeSwap V3 pool or V2 pair found with sufficient liquidity. Trading may not be possible at this time.');
+  }
+  
+  let bestRoute = candidateRoutes[0];
+  for (const route of candidateRoutes.slice(1)) {
+    if (safeBN(route.amountOut).gt(safeBN(bestRoute.amountOut))) {
+      bestRoute = route;
+    }
+  }
+  
+  return bestRoute;
+}
+
+/**
+ * Find the route with the best output between any two tokens
+ * Compares the best direct V3 fee tier, the direct V2 pair and two-hop V3 routes through WBNB and the base tokens
+ * @param {string} tokenIn - Input token address (WBNB for native BNB)
+ * @param {string} tokenOut - Output token address (WBNB for native BNB)
+ * @param {string} amountIn - Input amount in smallest units
+ * @param {string[]} [baseTokens] - Intermediate tokens for multi-hop routes
+ * @returns {Promise<Object>} Selected route with protocol, tokens, fees, amountOut and usedFallback
+ */
+async function findBestTokenRoute(tokenIn, tokenOut, amountIn, baseTokens = [WBNB_ADDRESS, ...ROUTING_BASE_TOKENS]) {
+  const candidateRoutes = [];
+  
+  // quoteFeeTiers puts the best successful quote first
+  const [bestTierQuote] = await quoteFeeTiers(tokenIn, tokenOut, amountIn);
+  if (bestTierQuote && bestTierQuote.amountOut !== null && !safeBN(bestTierQuote.amountOut).isZero()) {
+    candidateRoutes.push({
+      protocol: 'V3',
+      tokens: [tokenIn, tokenOut],
+      fees: [bestTierQuote.feeTier],
+      amountOut: bestTierQuote.amountOut,
+      usedFallback: false
+    });
+  }
+  
+  const v2AmountOut = await getV2Quote(tokenIn, tokenOut, amountIn);
+  if (v2AmountOut !== null) {
+    candidateRoutes.push({
+      protocol: 'V2',
+      tokens: [tokenIn, tokenOut],
+      fees: [],
+      amountOut: v2AmountOut,
+      usedFallback: false
+    });
+  }
+  
+  const multiHopRoute = await findMultiHopRoute(tokenIn, tokenOut, amountIn, baseTokens);
+  if (multiHopRoute !== null) {
+    candidateRoutes.push(multiHopRoute);
+  }
+  
+  if (candidateRoutes.length === 0) {
+    throw new Error(`No PancakeSwap V3 or V2 route found between ${tokenIn} and ${tokenOut}. Trading may not be possible at this time.`);
+  }
+  
+  let bestRoute = candidateRoutes[0];
+  for (const route of candidateRoutes.slice(1)) {
+    if (safeBN(route.amountOut).gt(safeBN(bestRoute.amountOut))) {
+      bestRoute = route;
+    }
+  }
+  
+  return bestRoute;
+}
+
+/**
+ * Quote one leg of a split trade on a single pool
+ * @param {Object} pool - Pool as {protocol, fee}
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {string} amountIn - Input amount in smallest units
+ * @returns {Promise<Object>} Quoted output (BN), zero if the pool could not be quoted
+ */
+async function quoteSplitLeg(pool, tokenIn, tokenOut, amountIn) {
+  if (pool.protocol === 'V2') {
+    const v2AmountOut = await getV2Quote(tokenIn, tokenOut, amountIn);
+    return safeBN(v2AmountOut === null ? '0' : v2AmountOut);
+  }
+  
+  try {
+    return safeBN(await quoteExactInputSingle(tokenIn, tokenOut, pool.fee, amountIn));
+  } catch (error) {
+    debugError(`Split quote on the ${pool.fee / 10000}% pool failed:`, error);
+    return safeBN(0);
+  }
+}
+
+/**
+ * Find the split of a trade across the direct V3 fee-tier pools and the V2 pair with the highest combined output
+ * Every pool is quoted at each multiple of 1 / SPLIT_ROUTE_STEPS of the trade, then the steps are
+ * distributed between the pools to maximise the summed output
+ * @param {string} tokenAddress - Token address (the non-WBNB side of the swap)
+ * @param {string} amountIn - Input amount in smallest units
+ * @param {boolean} isBuy - True for WBNB -> Token, false for Token -> WBNB
+ * @returns {Promise<Object>} Split route with protocol 'SPLIT' and one leg per pool that takes part
+ */
+async function findBestSplit(tokenAddress, amountIn, isBuy) {
+  const tokenIn = isBuy ? WBNB_ADDRESS : tokenAddress;
+  const tokenOut = isBuy ? tokenAddress : WBNB_ADDRESS;
+  const totalIn = safeBN(amountIn);
+  
+  // Pools that can take part: validated V3 fee tiers plus the V2 pair if one exists
+  // (a pair without reserves quotes zero at every step, so it never gets a share)
+  const pools = [];
+  for (const fee of await getExistingPoolFees(WBNB_ADDRESS, tokenAddress)) {
+    if (await validatePancakeV3Pool(tokenAddress, fee)) {
+      pools.push({ protocol: 'V3', fee });
+    }
+  }
+  const pairAddress = await v2Factory.methods.getPair(tokenIn, tokenOut).call();
+  if (pairAddress !== '0x0000000000000000000000000000000000000000') {
+    pools.push({ protocol: 'V2', fee: V2_FEE });
+  }
+  
+  if (pools.length === 0) {
+    throw new Error('No valid PancakeSwap V3 pool or V2 pair found with sufficient liquidity. Trading may not be possible at this time.');
+  }
+  
+  // quotes[i][step] is pool i's output for step / SPLIT_ROUTE_STEPS of the trade
+  const quotes = [];
+  for (const pool of pools) {
+    const poolQuotes = [safeBN(0)];
+    for (let step = 1; step <= SPLIT_ROUTE_STEPS; step++) {
+      // A pool that can't fill a smaller share won't fill a bigger one
+      const previousQuote = poolQuotes[step - 1];
+      if (step > 1 && previousQuote.isZero()) {
+        poolQuotes.push(safeBN(0));
+        continue;
+      }
+      
+      const stepAmountIn = totalIn.muln(step).divn(SPLIT_ROUTE_STEPS).toString();
+      poolQuotes.push(await quoteSplitLeg(pool, tokenIn, tokenOut, stepAmountIn));
+    }
+    
+    debugLog(`Split quotes for ${pool.protocol} ${pool.fee / 10000}%: ${poolQuotes.map(quote => quote.toString()).join(', ')}`);
+    quotes.push(poolQuotes);
+  }
+  
+  // best[steps] is the highest output from giving `steps` steps to the pools seen so far
+  let best = quotes[0].map((amountOut, steps) => ({ amountOut, allocation: [steps] }));
+  for (let i = 1; i < pools.length; i++) {
+    best = best.map((_, steps) => {
+      let bestForSteps = null;
+      for (let poolSteps = 0; poolSteps <= steps; poolSteps++) {
+        const amountOut = best[steps - poolSteps].amountOut.add(quotes[i][poolSteps]);
+        if (bestForSteps === null || amountOut.gt(bestForSteps.amountOut)) {
+          bestForSteps = { amountOut, allocation: [...best[steps - poolSteps].allocation, poolSteps] };
+        }
+      }
+      return bestForSteps;
+    });
+  }
+  
+  const bestSplit = best[SPLIT_ROUTE_STEPS];
+  if (bestSplit.amountOut.isZero()) {
+    throw new Error('No valid PancakeSwap V3 pool or V2 pair found with sufficient liquidity. Trading may not be possible at this time.');
+  }
+  
+  const legs = [];
+  bestSplit.allocation.forEach((steps, i) => {
+    if (steps > 0) {
+      legs.push({
+        protocol: pools[i].protocol,
+        fee: pools[i].fee,
+        amountIn: totalIn.muln(steps).divn(SPLIT_ROUTE_STEPS).toString(),
+        amountOut: quotes[i][steps].toString(),
+        share: steps * 100 / SPLIT_ROUTE_STEPS
+      });
+    }
+  });
+  
+  // Give the rounding remainder to the last leg so the legs add up to the full input
+  const allocatedIn = legs.slice(0, -1).reduce((sum, leg) => sum.add(safeBN(leg.amountIn)), safeBN(0));
+  legs[legs.length - 1].amountIn = totalIn.sub(allocatedIn).toString();
+  
+  return {
+    protocol: 'SPLIT',
+    tokens: [tokenIn, tokenOut],
+    fees: [],
+    legs,
+    amountOut: bestSplit.amountOut.toString(),
+    usedFallback: false
+  };
+}
+
+/**
+ * Build a human readable description of a route
+ * @param {Object} route - Route from findBestRoute
+ * @returns {string} Route description
+ */
+function describeRoute(route) {
+  if (route.protocol === 'SPLIT') {
+    const legs = route.legs.map(leg => `${leg.share}% ${leg.protocol} ${leg.fee / 10000}%`).join(', ');
+    return `PancakeSwap split ${route.tokens.join(' -> ')} (${legs})`;
+  }
+  
+  if (route.protocol === 'V2') {
+    return `PancakeSwap V2 ${route.tokens.join(' -> ')}`;
+  }
+  
+  const hops = route.fees.map((fee, i) => `${route.tokens[i]} -(${fee / 10000}%)-> `).join('');
+  return `PancakeSwap V3 ${hops}${route.tokens[route.tokens.length - 1]}`;
+}
+
+/**
+ * Wrap V3 router calls in the multicall that reverts once the deadline has passed
+ * The V3 router's swap parameters have no deadline of their own, so every V3 trade goes through this.
+ * @param {string[]} calls - Encoded router calls
+ * @param {number} deadline - Deadline timestamp in seconds
+ * @returns {Object} web3 contract method for the multicall
+ */
+function buildV3Multicall(calls, deadline) {
+  return router.methods['multicall(uint256,bytes[])'](deadline, calls);
+}
+
+/**
+ * Build the router call for a PancakeSwap V3 exact-input swap that ends in WBNB
+ * Unless WBNB is requested, the router receives the WBNB and unwrapWETH9 forwards it as native BNB
+ * @param {Object} swapParams - exactInput parameters (recipient is replaced as needed)
+ * @param {string} walletAddress - Wallet that receives the proceeds
+ * @param {number} deadline - Deadline timestamp in seconds
+ * @param {boolean} [receiveWBNB=false] - Deliver WBNB instead of native BNB
+ * @returns {Object} web3 contract method for the deadline multicall
+ */
+function buildV3SellMethod(swapParams, walletAddress, deadline, receiveWBNB = false) {
+  if (receiveWBNB) {
+    return buildV3Multicall([router.methods.exactInput({ ...swapParams, recipient: walletAddress }).encodeABI()], deadline);
+  }
+  
+  const swapData = router.methods.exactInput({ ...swapParams, recipient: PANCAKESWAP_ROUTER_ADDRESS }).encodeABI();
+  const unwrapData = router.methods.unwrapWETH9(swapParams.amountOutMinimum, walletAddress).encodeABI();
+  
+  return buildV3Multicall([swapData, unwrapData], deadline);
+}
+
+/**
+ * Break a split route down per pool in human readable units
+ * @param {Object} route - Route from findBestRoute or findBestSplit
+ * @param {number} inputDecimals - Decimals of the input token
+ * @param {number} outputDecimals - Decimals of the output token
+ * @returns {Object[]|null} One entry per pool with its share, input and expected output, or null if the route isn't split
+ */
+function getSplitBreakdown(route, inputDecimals, outputDecimals) {
+  if (route.protocol !== 'SPLIT') {
+    return null;
+  }
+  
+  return route.legs.map(leg => ({
+    protocol: leg.protocol,
+    fee: leg.fee,
+    share: leg.share,
+    amountIn: fromTokenUnits(leg.amountIn, inputDecimals),
+    expectedOutput: fromTokenUnits(leg.amountOut, outputDecimals)
+  }));
+}
+
+/**
+ * Build the router multicall for a split trade, one swap per leg
+ * Each leg's minimum is its share of the overall minimum; sells unwrap the combined WBNB unless WBNB is requested
+ * @param {Object} route - Split route from findBestSplit
+ * @param {string} amountOutMin - Minimum combined output in smallest units
+ * @param {string} walletAddress - Wallet that receives the output
+ * @param {number} deadline - Deadline timestamp in seconds
+ * @param {boolean} isBuy - True for BNB -> Token, false for Token -> BNB
+ * @param {Object} [options] - Trade options (receiveWBNB)
+ * @returns {Object} web3 contract method for the multicall
+ */
+function buildSplitSwapMethod(route, amountOutMin, walletAddress, deadline, isBuy, options = {}) {
+  const [tokenIn, tokenOut] = route.tokens;
+  const unwrap = !isBuy && !options.receiveWBNB;
+  const recipient = unwrap ? PANCAKESWAP_ROUTER_ADDRESS : walletAddress;
+  const totalAmountOut = safeBN(route.amountOut);
+  
+  const calls = route.legs.map(leg => {
+    const legAmountOutMin = safeBN(leg.amountOut).mul(safeBN(amountOutMin)).div(totalAmountOut).toString();
+    
+    if (leg.protocol === 'V2') {
+      return router.methods.swapExactTokensForTokens(leg.amountIn, legAmountOutMin, [tokenIn, tokenOut], recipient).encodeABI();
+    }
+    
+    return router.methods.exactInputSingle({
+      tokenIn,
+      tokenOut,
+      fee: leg.fee,
+      recipient,
+      amountIn: leg.amountIn,
+      amountOutMinimum: legAmountOutMin,
+      sqrtPriceLimitX96: 0
+    }).encodeABI();
+  });
+  
+  if (unwrap) {
+    calls.push(router.methods.unwrapWETH9(amountOutMin, walletAddress).encodeABI());
+  }
+  
+  return buildV3Multicall(calls, deadline);
+}
+
+/**
+ * Calculate the minimum output amount for a slippage tolerance
+ * @param {string} expectedOutputAmount - Expected output in smallest units
+ * @param {number} slippagePercent - Slippage tolerance in percentage
+ * @returns {string} Minimum output amount in smallest units
+ */
+function getAmountOutMinimum(expectedOutputAmount, slippagePercent) {
+  try {
+    // Safely convert to BN
+    const bnExpectedOutput = safeBN(expectedOutputAmount);
+    const bnSlippageFactor = safeBN(10000 - slippagePercent * 100);
+    const bnDivisor = safeBN(10000);
+    
+    // Avoid division by zero
+    if (bnDivisor.isZero()) {
+      debugLog('Division error in slippage calculation, using expected output as minimum', true);
+      return bnExpectedOutput.toString(); // Just use the expected output as minimum if division error
+    }
+    
+    return bnExpectedOutput.mul(bnSlippageFactor).div(bnDivisor).toString();
+  } catch (error) {
+    debugError('Error calculating minimum output amount:', error);
+    // Fallback: set amountOutMin to a very small value to allow transaction to proceed
+    debugLog('Using minimum fallback value for minimum output amount', true);
+    return '1';
+  }
+}
+
+/**
+ * Find how much of a simulated swap's output actually arrives, by binary search over eth_call
+ * The router call must revert when the recipient gains less than its minimum output
+ * @param {Function} buildCall - Returns the web3 contract method for a given minimum output
+ * @param {string} quotedAmountOut - Output quoted for the swap, ignoring any transfer tax
+ * @param {Object} callOptions - eth_call options (from, value)
+ * @returns {Promise<Object|null>} Received amount to within 0.1% of the quote (BN), or null if the swap always reverts
+ */
+async function findReceivedAmount(buildCall, quotedAmountOut, callOptions) {
+  const passes = amountMinimum => buildCall(amountMinimum.toString()).call(callOptions).then(() => true, () => false);
+  const quoted = safeBN(quotedAmountOut);
+  
+  // Untaxed tokens deliver the full quote, so one call settles the common case
+  if (await passes(quoted)) {
+    return quoted;
+  }
+  
+  if (!(await passes(safeBN(1)))) {
+    return null;
+  }
+  
+  let low = safeBN(1);
+  let high = quoted;
+  const resolution = web3.utils.BN.max(quoted.divn(1000), safeBN(1));
+  
+  while (high.sub(low).gt(resolution)) {
+    const mid = low.add(high).divn(2);
+    if (await passes(mid)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  
+  return low;
+}
+
+/**
+ * Turn a quoted and a received amount into a tax percentage
+ * @param {Object|string} quotedAmount - Amount expected without tax
+ * @param {Object|string} receivedAmount - Amount actually received
+ * @returns {number} Tax in percentage (two decimals)
+ */
+function getTaxPercent(quotedAmount, receivedAmount) {
+  const quoted = safeBN(quotedAmount);
+  if (quoted.isZero()) {
+    return 0;
+  }
+  
+  const shortfall = quoted.sub(safeBN(receivedAmount));
+  return shortfall.isNeg() ? 0 : shortfall.mul(safeBN(10000)).div(quoted).toNumber() / 100;
+}
+
+/**
+ * Reduce an amount by a tax percentage
+ * @param {string} amount - Amount in smallest units
+ * @param {number} taxPercent - Tax in percentage
+ * @returns {string} Amount left after the tax
+ */
+function applyTax(amount, taxPercent) {
+  return safeBN(amount).mul(safeBN(10000 - Math.round(taxPercent * 100))).div(safeBN(10000)).toString();
+}
+
+/**
+ * Detect a token's buy and sell transfer tax, reusing a measurement made in the last TRANSFER_TAX_CACHE_MS
+ * Each measurement costs a dozen or more eth_calls. A buy that could not be simulated is not cached,
+ * so a token whose trading isn't enabled yet is probed again next time.
+ * @param {string} tokenAddress - Token address
+ * @param {string} [walletAddress] - Wallet used to simulate a sell
+ * @returns {Promise<{buyTax: number|null, sellTax: number|null, sellTaxEstimated: boolean}>} Taxes in percentage, null if they could not be measured
+ */
+async function detectTransferTax(tokenAddress, walletAddress = null) {
+  const key = `${tokenAddress.toLowerCase()}:${walletAddress ? walletAddress.toLowerCase() : ''}`;
+  const cached = transferTaxCache.get(key);
+  
+  if (cached && Date.now() - cached.measuredAt < TRANSFER_TAX_CACHE_MS) {
+    return cached.transferTax;
+  }
+  
+  const transferTax = await measureTransferTax(tokenAddress, walletAddress);
+  if (transferTax.buyTax !== null) {
+    transferTaxCache.set(key, { transferTax, measuredAt: Date.now() });
+  }
+  
+  return transferTax;
+}
+
+/**
+ * Measure a token's buy and sell transfer tax by simulating swaps with eth_call
+ * The buy is simulated from the WBNB contract (which holds BNB for the swap value) to a fresh address.
+ * The sell can only be simulated from a wallet that holds the token and has approved the V2 router;
+ * otherwise the sell tax is assumed to equal the buy tax and flagged as estimated.
+ * @param {string} tokenAddress - Token address
+ * @param {string} [walletAddress] - Wallet used to simulate a sell
+ * @returns {Promise<{buyTax: number|null, sellTax: number|null, sellTaxEstimated: boolean}>} Taxes in percentage, null if they could not be measured
+ */
+async function measureTransferTax(tokenAddress, walletAddress = null) {
+  const probeAmountIn = web3.utils.toWei(TAX_PROBE_BNB, 'ether');
+  const deadline = getDeadline();
+  // A fresh address is never excluded from the tax
+  const probeRecipient = web3.eth.accounts.create().address;
+  const buyCallOptions = { from: WBNB_ADDRESS, value: probeAmountIn };
+  
+  let buyTax = null;
+  let sellTax = null;
+  let sellTaxEstimated = false;
+  let sellSimulated = false;
+  let probeTokensReceived = null;
+  
+  try {
+    const v2BuyQuote = await getV2Quote(WBNB_ADDRESS, tokenAddress, probeAmountIn);
+    
+    if (v2BuyQuote !== null) {
+      // The fee-on-transfer V2 buy reverts unless the recipient's balance grows by the minimum
+      probeTokensReceived = await findReceivedAmount(
+        amountOutMin => v2Router.methods.swapExactETHForTokensSupportingFeeOnTransferTokens(amountOutMin, [WBNB_ADDRESS, tokenAddress], probeRecipient, deadline),
+        v2BuyQuote,
+        buyCallOptions
+      );
+      buyTax = probeTokensReceived === null ? null : getTaxPercent(v2BuyQuote, probeTokensReceived);
+    } else {
+      const feeTier = await findValidFeeTier(tokenAddress);
+      
+      if (feeTier !== null) {
+        const v3BuyQuote = await quoteExactInputSingle(WBNB_ADDRESS, tokenAddress, feeTier, probeAmountIn);
+        
+        // Swap into the router, then sweepToken reverts unless the router holds the minimum
+        probeTokensReceived = await findReceivedAmount(
+          amountMinimum => router.methods.multicall([
+            router.methods.exactInputSingle({
+              tokenIn: WBNB_ADDRESS,
+              tokenOut: tokenAddress,
+              fee: feeTier,
+              recipient: PANCAKESWAP_ROUTER_ADDRESS,
+              amountIn: probeAmountIn,
+              amountOutMinimum: 0,
+              sqrtPriceLimitX96: 0
+            }).encodeABI(),
+            router.methods.sweepToken(tokenAddress, amountMinimum, probeRecipient).encodeABI()
+          ]),
+          v3BuyQuote,
+          buyCallOptions
+        );
+        buyTax = probeTokensReceived === null ? null : getTaxPercent(v3BuyQuote, probeTokensReceived);
+      }
+    }
+  } catch (error) {
+    debugError('Failed to simulate a buy for transfer tax detection:', error);
+  }
+  
+  try {
+    if (walletAddress) {
+      const tokenContract = new web3.eth.Contract(erc20Abi, tokenAddress);
+      const [tokenBalance, allowance] = await Promise.all([
+        tokenContract.methods.balanceOf(walletAddress).call(),
+        tokenContract.methods.allowance(walletAddress, PANCAKESWAP_V2_ROUTER_ADDRESS).call()
+      ]);
+      
+      // Sell about as much as the probe buy received, or 1% of the balance
+      let probeTokens = probeTokensReceived !== null ? probeTokensReceived : safeBN(tokenBalance).divn(100);
+      probeTokens = web3.utils.BN.min(probeTokens, safeBN(tokenBalance));
+      
+      if (!probeTokens.isZero() && safeBN(allowance).gte(probeTokens)) {
+        const v2SellQuote = await getV2Quote(tokenAddress, WBNB_ADDRESS, probeTokens.toString());
+        
+        if (v2SellQuote !== null) {
+          const bnbReceived = await findReceivedAmount(
+            amountOutMin => v2Router.methods.swapExactTokensForETHSupportingFeeOnTransferTokens(probeTokens.toString(), amountOutMin, [tokenAddress, WBNB_ADDRESS], walletAddress, deadline),
+            v2SellQuote,
+            { from: walletAddress }
+          );
+          sellSimulated = true;
+          sellTax = bnbReceived === null ? null : getTaxPercent(v2SellQuote, bnbReceived);
+        }
+      }
+    }
+  } catch (error) {
+    debugError('Failed to simulate a sell for transfer tax detection:', error);
+  }
+  
+  // A simulated sell that always reverts is left as null rather than estimated
+  if (!sellSimulated && buyTax !== null) {
+    sellTax = buyTax;
+    sellTaxEstimated = true;
+  }
+  
+  debugLog(`Transfer tax for ${tokenAddress}: buy ${buyTax}%, sell ${sellTax}%${sellTaxEstimated ? ' (estimated)' : ''}`, true);
+  
+  return { buyTax, sellTax, sellTaxEstimated };
+}
+
+/**
+ * Select the route for a trade between BNB and a token and work out its minimum output
+ * Shared by the trade functions and quoteTrade so a quote matches what would be executed
+ * @param {string} tokenAddress - Token address (the non-WBNB side of the swap)
+ * @param {string} amountIn - Input amount in smallest units
+ * @param {Object} tokenInfo - Token info from getTokenInfo
+ * @param {number} slippagePercent - Slippage tolerance in percentage
+ * @param {boolean} isBuy - True for BNB -> Token, false for Token -> BNB
+ * @param {Object} [options] - Trade options (baseTokens, feeTierSelection, split, transferTax from detectTransferTax)
+ * @returns {Promise<Object>} Route, the input it was quoted on, expected and received output, minimum output, the per-tier quotes and whether the quoter fallback was used
+ */
+async function prepareTrade(tokenAddress, amountIn, tokenInfo, slippagePercent, isBuy, options = {}) {
+  const transferTax = options.transferTax || null;
+  const tax = transferTax ? (isBuy ? transferTax.buyTax : transferTax.sellTax) || 0 : 0;
+  let feeTier = null;
+  let feeTierSelection = null;
+  let feeTierQuotes = [];
+  let quotedAmountIn = amountIn;
+  let route;
+  
+  if (tax > 0 && !isBuy) {
+    // V3 pools revert when they receive less than the swap amount, so taxed sells go through V2
+    // and are quoted on what is left after the tax
+    quotedAmountIn = applyTax(amountIn, tax);
+    const v2AmountOut = await getV2Quote(tokenAddress, WBNB_ADDRESS, quotedAmountIn);
+    
+    if (v2AmountOut === null) {
+      throw new Error(`This token takes a ${tax}% transfer tax on sells and has no PancakeSwap V2 pair. PancakeSwap V3 pools cannot settle taxed transfers.`);
+    }
+    
+    route = {
+      protocol: 'V2',
+      tokens: [tokenAddress, WBNB_ADDRESS],
+      fees: [],
+      amountOut: v2AmountOut,
+      usedFallback: false,
+      feeOnTransfer: true
+    };
+  } else if (options.split && tax === 0) {
+    // Divide the trade across every direct pool instead of picking one
+    route = await findBestSplit(tokenAddress, amountIn, isBuy);
+  } else {
+    if (options.split) {
+      debugLog(`Split routing is not available for a token with a ${tax}% transfer tax, using a single route`, true);
+    }
+    
+    // Find the best fee tier with a tradable pool (null if only V2 or multi-hop routes remain)
+    ({ feeTier, feeTierSelection, feeTierQuotes } = await selectFeeTier(tokenAddress, amountIn, isBuy, options.feeTierSelection));
+    
+    // Quote the direct V3 pool (if one is usable), the V2 pair and multi-hop routes, then take the best output
+    route = await findBestRoute(tokenAddress, feeTier, amountIn, tokenInfo, isBuy, options.baseTokens);
+  }
+  
+  // expectedOutputAmount is what the router's minimum-output check sees; expectedReceivedAmount is what arrives
+  let expectedOutputAmount = route.amountOut;
+  let expectedReceivedAmount = route.amountOut;
+  
+  if (tax > 0 && isBuy) {
+    expectedReceivedAmount = applyTax(route.amountOut, tax);
+    
+    // V3 checks the amount the pool sends; the fee-on-transfer V2 functions check what the wallet gains
+    if (route.protocol === 'V2') {
+      route.feeOnTransfer = true;
+      expectedOutputAmount = expectedReceivedAmount;
+    }
+  }
+  
+  const amountOutMin = getAmountOutMinimum(expectedOutputAmount, slippagePercent);
+  
+  debugLog(`Routing through ${describeRoute(route)}`, true);
+  
+  const outputDecimals = isBuy ? tokenInfo.decimals : 18;
+  const outputSymbol = isBuy ? tokenInfo.symbol : 'BNB';
+  if (tax > 0) {
+    debugLog(`Token takes a ${tax}% transfer tax on ${isBuy ? 'buys' : 'sells'}`, true);
+  }
+  debugLog(`Expected output: ${fromTokenUnits(expectedReceivedAmount, outputDecimals)} ${outputSymbol}`, true);
+  debugLog(`Minimum output (with ${slippagePercent}% slippage): ${fromTokenUnits(amountOutMin, outputDecimals)} ${outputSymbol}`, true);
+  
+  if (route.usedFallback) {
+    debugLog('⚠️ Using estimated price due to quoter failure. Consider using higher slippage.', true);
+  }
+  
+  return {
+    feeTier,
+    feeTierSelection,
+    feeTierQuotes,
+    route,
+    quotedAmountIn,
+    expectedOutputAmount,
+    expectedReceivedAmount,
+    amountOutMin,
+    usedFallback: route.usedFallback
+  };
+}
+
+/**
+ * Build the router call for an exact-input trade along a single route between any two tokens
+ * WBNB at either end of the route can be paid or delivered as native BNB
+ * @param {Object} route - Route with protocol, tokens, fees and (for V2) feeOnTransfer
+ * @param {string} amountIn - Input amount in smallest units
+ * @param {string} amountOutMin - Minimum output amount in smallest units
+ * @param {string} walletAddress - Wallet that receives the output
+ * @param {number} deadline - Deadline timestamp in seconds
+ * @param {boolean} nativeIn - Pay the WBNB input as native BNB (sent as the transaction value)
+ * @param {boolean} nativeOut - Deliver the WBNB output as native BNB
+ * @returns {{swapMethod: Object, swapTarget: string}} web3 contract method and the router it must be sent to
+ */
+function buildRouteSwapMethod(route, amountIn, amountOutMin, walletAddress, deadline, nativeIn, nativeOut) {
+  if (route.protocol === 'V2') {
+    // Taxed tokens need the variants that check the balance the recipient actually gains
+    const suffix = route.feeOnTransfer ? 'SupportingFeeOnTransferTokens' : '';
+    let swapMethod;
+    
+    if (nativeIn) {
+      swapMethod = v2Router.methods[`swapExactETHForTokens${suffix}`](
+        amountOutMin,
+        route.tokens,
+        walletAddress,
+        deadline
+      );
+    } else {
+      // swapExactTokensForETH unwraps itself; swapExactTokensForTokens leaves WBNB proceeds as WBNB
+      const v2Swap = nativeOut
+        ? v2Router.methods[`swapExactTokensForETH${suffix}`]
+        : v2Router.methods[`swapExactTokensForTokens${suffix}`];
+      swapMethod = v2Swap(
+        amountIn,
+        amountOutMin,
+        route.tokens,
+        walletAddress,
+        deadline
+      );
+    }
+    
+    return { swapMethod, swapTarget: PANCAKESWAP_V2_ROUTER_ADDRESS };
+  }
+  
+  // Encode path for swap (e.g. WBNB -> [base token] -> Token)
+  const swapParams = {
+    path: encodePath(route.tokens, route.fees),
+    recipient: walletAddress,
+    amountIn: amountIn,
+    amountOutMinimum: amountOutMin
+  };
+  
+  // The router wraps a native BNB input itself; a native BNB output needs unwrapWETH9
+  const swapMethod = nativeOut
+    ? buildV3SellMethod(swapParams, walletAddress, deadline)
+    : buildV3Multicall([router.methods.exactInput(swapParams).encodeABI()], deadline);
+  
+  return { swapMethod, swapTarget: PANCAKESWAP_ROUTER_ADDRESS };
+}
+
+/**
+ * Build the router call for an exact-input trade between BNB and a token
+ * @param {Object} route - Route from findBestRoute or findBestSplit
+ * @param {string} amountIn - Input amount in smallest units
+ * @param {string} amountOutMin - Minimum output amount in smallest units
+ * @param {string} walletAddress - Wallet that receives the output
+ * @param {number} deadline - Deadline timestamp in seconds
+ * @param {boolean} isBuy - True for BNB -> Token, false for Token -> BNB
+ * @param {Object} [options] - Trade options (receiveWBNB)
+ * @returns {{swapMethod: Object, swapTarget: string}} web3 contract method and the router it must be sent to
+ */
+function buildSwapMethod(route, amountIn, amountOutMin, walletAddress, deadline, isBuy, options = {}) {
+  if (route.protocol === 'SPLIT') {
+    return { swapMethod: buildSplitSwapMethod(route, amountOutMin, walletAddress, deadline, isBuy, options), swapTarget: PANCAKESWAP_ROUTER_ADDRESS };
+  }
+  
+  return buildRouteSwapMethod(route, amountIn, amountOutMin, walletAddress, deadline, isBuy, !isBuy && !options.receiveWBNB);
+}
+
+/**
+ * Compute what a route would pay out at the pools' current mid prices, i.e. with no price impact
+ * V3 prices come from each pool's slot0.sqrtPriceX96, V2 prices from the pair reserves
+ * @param {Object} route - Route from findBestRoute
+ * @param {string} amountIn - Input amount in smallest units
+ * @returns {Promise<{midAmountOut: Object, midAmountOutAfterFees: Object}>} Mid-price output before and after pool fees (BN)
+ */
+async function getMidPriceOutput(route, amountIn) {
+  // A split route's mid-price output is the sum of its legs'
+  if (route.protocol === 'SPLIT') {
+    let midAmountOut = safeBN(0);
+    let midAmountOutAfterFees = safeBN(0);
+    
+    for (const leg of route.legs) {
+      const legRoute = { protocol: leg.protocol, tokens: route.tokens, fees: leg.protocol === 'V3' ? [leg.fee] : [] };
+      const legOutput = await getMidPriceOutput(legRoute, leg.amountIn);
+      midAmountOut = midAmountOut.add(legOutput.midAmountOut);
+      midAmountOutAfterFees = midAmountOutAfterFees.add(legOutput.midAmountOutAfterFees);
+    }
+    
+    return { midAmountOut, midAmountOutAfterFees };
+  }
+  
+  const Q192 = web3.utils.toBN(2).pow(web3.utils.toBN(192));
+  const feeDenominator = safeBN(1000000);
+  let midAmountOut = safeBN(amountIn);
+  let midAmountOutAfterFees = safeBN(amountIn);
+  
+  for (let i = 0; i < route.tokens.length - 1; i++) {
+    const hopIn = route.tokens[i];
+    const hopOut = route.tokens[i + 1];
+    const zeroForOne = hopIn.toLowerCase() < hopOut.toLowerCase();
+    let numerator;
+    let denominator;
+    let fee;
+    
+    if (route.protocol === 'V2') {
+      const pairAddress = await v2Factory.methods.getPair(hopIn, hopOut).call();
+      const pairContract = new web3.eth.Contract(pairAbi, pairAddress);
+      const reserves = await pairContract.methods.getReserves().call();
+      
+      numerator = safeBN(zeroForOne ? reserves._reserve1 : reserves._reserve0);
+      denominator = safeBN(zeroForOne ? reserves._reserve0 : reserves._reserve1);
+      fee = V2_FEE;
+    } else {
+      const poolAddress = await factory.methods.getPool(hopIn, hopOut, route.fees[i]).call();
+      const poolContract = new web3.eth.Contract(poolAbiV3, poolAddress);
+      const slot0 = await poolContract.methods.slot0().call();
+      
+      // sqrtPriceX96^2 / 2^192 is the price of token0 in token1
+      const priceX192 = safeBN(slot0.sqrtPriceX96).sqr();
+      numerator = zeroForOne ? priceX192 : Q192;
+      denominator = zeroForOne ? Q192 : priceX192;
+      fee = route.fees[i];
+    }
+    
+    if (denominator.isZero()) {
+      throw new Error(`Pool between ${hopIn} and ${hopOut} has no price`);
+    }
+    
+    midAmountOut = midAmountOut.mul(numerator).div(denominator);
+    midAmountOutAfterFees = midAmountOutAfterFees.mul(numerator).div(denominator)
+      .mul(feeDenominator.sub(safeBN(fee))).div(feeDenominator);
+  }
+  
+  return { midAmountOut, midAmountOutAfterFees };
+}
+
+/**
+ * Get a token's current price in BNB from the token/WBNB V3 pool's slot0, or from the V2 pair's reserves
+ * Tokens without a valid V3 pool, such as most freshly migrated FourMeme tokens, are priced from the V2 pair.
+ * @param {string} tokenAddress - Token address
+ * @param {number} [feeTier] - Fee tier of the V3 pool to read (defaults to the most liquid valid pool)
+ * @param {string} [protocol] - 'V2' to read the V2 pair; otherwise a V3 pool is read when one is valid
+ * @returns {Promise<{price: number, feeTier: number|null, protocol: string}>} BNB per whole token, the fee tier read (null for V2) and the protocol read
+ */
+async function getPoolPrice(tokenAddress, feeTier = null, protocol = null) {
+  const tokenInfo = await getTokenInfo(tokenAddress);
+  const selectedFeeTier = protocol === 'V2' ? null : feeTier || await findValidFeeTier(tokenAddress);
+  // Price 10^18 whole tokens so that very cheap tokens keep their precision
+  const amountIn = safeBN(10).pow(safeBN(tokenInfo.decimals + 18)).toString();
+  
+  if (!selectedFeeTier) {
+    const pairAddress = await v2Factory.methods.getPair(tokenAddress, WBNB_ADDRESS).call();
+    if (pairAddress === '0x0000000000000000000000000000000000000000') {
+      throw new Error(`No valid PancakeSwap V3 pool or V2 pair found for ${tokenInfo.symbol}`);
+    }
+    
+    const route = { protocol: 'V2', tokens: [tokenAddress, WBNB_ADDRESS], fees: [] };
+    const { midAmountOut } = await getMidPriceOutput(route, amountIn);
+    if (midAmountOut.isZero()) {
+      throw new Error(`PancakeSwap V2 pair ${pairAddress} for ${tokenInfo.symbol} has no reserves`);
+    }
+    
+    return { price: Number(fromTokenUnits(midAmountOut.toString(), 36)), feeTier: null, protocol: 'V2' };
+  }
+  
+  const poolAddress = await factory.methods.getPool(tokenAddress, WBNB_ADDRESS, selectedFeeTier).call();
+  if (poolAddress === '0x0000000000000000000000000000000000000000') {
+    throw new Error(`No PancakeSwap V3 pool exists for ${tokenInfo.symbol} with fee tier ${selectedFeeTier/10000}%`);
+  }
+  
+  const route = { protocol: 'V3', tokens: [tokenAddress, WBNB_ADDRESS], fees: [selectedFeeTier] };
+  const { midAmountOut } = await getMidPriceOutput(route, amountIn);
+  
+  return { price: Number(fromTokenUnits(midAmountOut.toString(), 36)), feeTier: selectedFeeTier, protocol: 'V3' };
+}
+
+/**
+ * Price per token of a trade, from the quoted BNB and token amounts
+ * @param {string} bnbAmountWei - BNB spent or received in wei
+ * @param {string} tokenAmount - Tokens received or sold in smallest units
+ * @param {number} decimals - Token decimals
+ * @returns {number|null} BNB per whole token, or null if no tokens change hands
+ */
+function getTradePrice(bnbAmountWei, tokenAmount, decimals) {
+  const tokens = Number(fromTokenUnits(tokenAmount.toString(), decimals));
+  return tokens > 0 ? Number(fromTokenUnits(bnbAmountWei.toString(), 18)) / tokens : null;
+}
+
+// Events decoded from trade receipts
+const RECEIPT_EVENTS = {
+  transfer: erc20Abi.find(item => item.type === 'event' && item.name === 'Transfer'),
+  swapV3: poolAbiV3.find(item => item.type === 'event' && item.name === 'Swap'),
+  swapV2: pairAbi.find(item => item.type === 'event' && item.name === 'Swap'),
+  deposit: wbnbAbi.find(item => item.name === 'Deposit'),
+  withdrawal: wbnbAbi.find(item => item.name === 'Withdrawal')
+};
+const RECEIPT_EVENT_TOPICS = Object.fromEntries(
+  Object.entries(RECEIPT_EVENTS).map(([key, event]) => [key, web3.eth.abi.encodeEventSignature(event)])
+);
+
+/**
+ * Decode a log with an event ABI
+ * @param {Object} event - Event ABI item
+ * @param {Object} log - Receipt log
+ * @returns {Object} Decoded values
+ */
+function decodeEventLog(event, log) {
+  return web3.eth.abi.decodeLog(event.inputs, log.data, log.topics.slice(1));
+}
+
+/**
+ * Add up what a swap moved for the wallet, from the logs of its transaction
+ * Tokens are counted from their Transfer events from (input) or to (output) the wallet.
+ * A 'BNB' side is counted from the WBNB Deposit (input) or Withdrawal (output) and WBNB Transfers with the wallet,
+ * so transfer taxes, refunds and the real fill are all reflected. Each pool's Swap event is listed as well.
+ * @param {Object} tx - Transaction receipt from web3
+ * @param {string} walletAddress - Trading wallet
+ * @param {string} tokenIn - Token sold, or 'BNB'
+ * @param {string} tokenOut - Token bought, or 'BNB'
+ * @returns {{amountIn: Object, amountOut: Object, swaps: Object[]}} Input and output amounts in smallest units, and the decoded pool swaps
+ */
+function decodeTradeLogs(tx, walletAddress, tokenIn, tokenOut) {
+  const wallet = walletAddress.toLowerCase();
+  const wbnb = WBNB_ADDRESS.toLowerCase();
+  const nativeIn = tokenIn.toLowerCase() === 'bnb';
+  const nativeOut = tokenOut.toLowerCase() === 'bnb';
+  const inAddress = nativeIn ? wbnb : tokenIn.toLowerCase();
+  const outAddress = nativeOut ? wbnb : tokenOut.toLowerCase();
+  
+  let amountIn = safeBN(0);
+  let amountOut = safeBN(0);
+  const swaps = [];
+  
+  for (const log of tx.logs || []) {
+    const address = log.address.toLowerCase();
+    const topic = log.topics[0];
+    
+    try {
+      // ERC-721 transfers share the topic but index the token id as a fourth topic
+      if (topic === RECEIPT_EVENT_TOPICS.transfer && log.topics.length === 3) {
+        const { from, to, value } = decodeEventLog(RECEIPT_EVENTS.transfer, log);
+        
+        if (address === inAddress && from.toLowerCase() === wallet) {
+          amountIn = amountIn.add(safeBN(value));
+        } else if (address === outAddress && to.toLowerCase() === wallet) {
+          amountOut = amountOut.add(safeBN(value));
+        }
+      } else if (address === wbnb && topic === RECEIPT_EVENT_TOPICS.deposit && nativeIn) {
+        amountIn = amountIn.add(safeBN(decodeEventLog(RECEIPT_EVENTS.deposit, log).wad));
+      } else if (address === wbnb && topic === RECEIPT_EVENT_TOPICS.withdrawal && nativeOut) {
+        amountOut = amountOut.add(safeBN(decodeEventLog(RECEIPT_EVENTS.withdrawal, log).wad));
+      } else if (topic === RECEIPT_EVENT_TOPICS.swapV3) {
+        const { amount0, amount1 } = decodeEventLog(RECEIPT_EVENTS.swapV3, log);
+        swaps.push({ protocol: 'V3', pool: log.address, amount0: amount0.toString(), amount1: amount1.toString() });
+      } else if (topic === RECEIPT_EVENT_TOPICS.swapV2) {
+        const { amount0In, amount1In, amount0Out, amount1Out } = decodeEventLog(RECEIPT_EVENTS.swapV2, log);
+        // Signed like V3: positive amounts go into the pool, negative amounts come out
+        swaps.push({
+          protocol: 'V2',
+          pool: log.address,
+          amount0: safeBN(amount0In).sub(safeBN(amount0Out)).toString(),
+          amount1: safeBN(amount1In).sub(safeBN(amount1Out)).toString()
+        });
+      }
+    } catch (error) {
+      debugError(`Failed to decode log ${log.logIndex} of ${tx.transactionHash}:`, error);
+    }
+  }
+  
+  return { amountIn, amountOut, swaps };
+}
+
+/**
+ * Build a structured receipt from the amounts decoded from a mined swap
+ * @param {Object} tx - Transaction receipt from web3
+ * @param {Object} route - Route the trade used
+ * @param {string} gasPrice - Gas price the transaction was sent with, in wei
+ * @param {Object} sides - Amounts, symbols and decimals of both sides, the decoded swaps and the effective price
+ * @returns {Object} Receipt with the actual amounts, effective price, fee tier, gas and block
+ */
+function buildReceipt(tx, route, gasPrice, sides) {
+  const effectiveGasPrice = tx.effectiveGasPrice ? safeBN(tx.effectiveGasPrice.toString()) : safeBN(gasPrice);
+  const feeTiers = route.protocol === 'SPLIT'
+    ? route.legs.map(leg => leg.fee)
+    : route.protocol === 'V2' ? [V2_FEE] : route.fees;
+  
+  return {
+    status: tx.status ? 'success' : 'reverted',
+    txHash: tx.transactionHash,
+    blockNumber: tx.blockNumber,
+    amountIn: fromTokenUnits(sides.amountIn.toString(), sides.decimalsIn),
+    amountOut: fromTokenUnits(sides.amountOut.toString(), sides.decimalsOut),
+    tokenIn: sides.symbolIn,
+    tokenOut: sides.symbolOut,
+    effectivePrice: sides.effectivePrice,
+    protocol: route.protocol,
+    feeTier: feeTiers.length === 1 ? feeTiers[0] : null,
+    feeTiers,
+    swaps: sides.swaps,
+    gasUsed: tx.gasUsed,
+    gasPrice: web3.utils.fromWei(effectiveGasPrice, 'gwei'),
+    gasCost: web3.utils.fromWei(effectiveGasPrice.mul(safeBN(tx.gasUsed.toString())), 'ether')
+  };
+}
+
+/**
+ * Build a structured receipt of a BNB/token trade from the amounts that actually moved on chain
+ * @param {Object} tx - Transaction receipt from web3
+ * @param {string} walletAddress - Trading wallet
+ * @param {string} tokenAddress - Token bought or sold
+ * @param {Object} tokenInfo - Token info (symbol, decimals)
+ * @param {boolean} isBuy - True for BNB -> Token, false for Token -> BNB
+ * @param {Object} route - Route the trade used
+ * @param {string} gasPrice - Gas price the transaction was sent with, in wei
+ * @returns {Object} Receipt with the actual amounts, effective price in BNB per token, fee tier, gas and block
+ */
+function buildTradeReceipt(tx, walletAddress, tokenAddress, tokenInfo, isBuy, route, gasPrice) {
+  const { amountIn, amountOut, swaps } = decodeTradeLogs(tx, walletAddress, isBuy ? 'BNB' : tokenAddress, isBuy ? tokenAddress : 'BNB');
+  const bnbAmount = isBuy ? amountIn : amountOut;
+  const tokenAmount = isBuy ? amountOut : amountIn;
+  
+  return buildReceipt(tx, route, gasPrice, {
+    amountIn,
+    amountOut,
+    decimalsIn: isBuy ? 18 : tokenInfo.decimals,
+    decimalsOut: isBuy ? tokenInfo.decimals : 18,
+    symbolIn: isBuy ? 'BNB' : tokenInfo.symbol,
+    symbolOut: isBuy ? tokenInfo.symbol : 'BNB',
+    effectivePrice: getTradePrice(bnbAmount, tokenAmount, tokenInfo.decimals),
+    swaps
+  });
+}
+
+/**
+ * Build a structured receipt of a token/token swap from the amounts that actually moved on chain
+ * @param {Object} tx - Transaction receipt from web3
+ * @param {string} walletAddress - Trading wallet
+ * @param {string} tokenIn - Token sold, or 'BNB'
+ * @param {string} tokenOut - Token bought, or 'BNB'
+ * @param {Object} tokenInInfo - Input token info (symbol, decimals)
+ * @param {Object} tokenOutInfo - Output token info (symbol, decimals)
+ * @param {Object} route - Route the swap used
+ * @param {string} gasPrice - Gas price the transaction was sent with, in wei
+ * @returns {Object} Receipt with the actual amounts, effective price in input tokens per output token, fee tiers, gas and block
+ */
+function buildSwapReceipt(tx, walletAddress, tokenIn, tokenOut, tokenInInfo, tokenOutInfo, route, gasPrice) {
+  const { amountIn, amountOut, swaps } = decodeTradeLogs(tx, walletAddress, tokenIn, tokenOut);
+  const received = Number(fromTokenUnits(amountOut.toString(), tokenOutInfo.decimals));
+  
+  return buildReceipt(tx, route, gasPrice, {
+    amountIn,
+    amountOut,
+    decimalsIn: tokenInInfo.decimals,
+    decimalsOut: tokenOutInfo.decimals,
+    symbolIn: tokenInInfo.symbol,
+    symbolOut: tokenOutInfo.symbol,
+    effectivePrice: received > 0 ? Number(fromTokenUnits(amountIn.toString(), tokenInInfo.decimals)) / received : null,
+    swaps
+  });
+}
+
+/**
+ * Calculate price impact as the shortfall of the quoted output against the fee-adjusted mid-price output
+ * @param {Object|string} midAmountOutAfterFees - Mid-price output after pool fees
+ * @param {string} amountOut - Quoted output amount
+ * @returns {number} Price impact in percentage (two decimals)
+ */
+function calculatePriceImpact(midAmountOutAfterFees, amountOut) {
+  const midOutput = safeBN(midAmountOutAfterFees);
+  if (midOutput.isZero()) {
+    return 0;
+  }
+  
+  const shortfall = midOutput.sub(safeBN(amountOut));
+  if (shortfall.isNeg()) {
+    return 0;
+  }
+  
+  return shortfall.mul(safeBN(10000)).div(midOutput).toNumber() / 100;
+}
+
+/**
+ * Abort a trade before signing if its price impact exceeds the caller's limit
+ * @param {Object} route - Route the trade will use
+ * @param {string} amountIn - Input amount in smallest units
+ * @param {string} amountOut - Quoted output amount in smallest units
+ * @param {number} [maxPriceImpact] - Maximum allowed price impact in percentage; no check if omitted
+ * @returns {Promise<number|null>} Computed price impact in percentage, or null if no limit was given
+ */
+async function checkPriceImpact(route, amountIn, amountOut, maxPriceImpact) {
+  if (maxPriceImpact === undefined || maxPriceImpact === null) {
+    return null;
+  }
+  
+  let priceImpact;
+  try {
+    const { midAmountOutAfterFees } = await getMidPriceOutput(route, amountIn);
+    priceImpact = calculatePriceImpact(midAmountOutAfterFees, amountOut);
+  } catch (error) {
+    debugError('Failed to calculate price impact:', error);
+    throw new Error(`Could not verify price impact against the ${maxPriceImpact}% limit: ${error.message}`);
+  }
+  
+  debugLog(`Price impact: ${priceImpact}% (maximum ${maxPriceImpact}%)`, true);
+  
+  if (priceImpact > maxPriceImpact) {
+    const error = new Error(`Price impact too high: ${priceImpact}% exceeds the maximum of ${maxPriceImpact}%. Try a smaller amount.`);
+    error.priceImpact = priceImpact;
+    throw error;
+  }
+  
+  return priceImpact;
+}
+
+// Explanations for the revert reasons PancakeSwap routers and pools give most often
+const REVERT_REASON_HINTS = [
+  { match: ['Too little received', 'INSUFFICIENT_OUTPUT_AMOUNT'], hint: 'the price moved past your slippage tolerance' },
+  { match: ['Too much requested', 'EXCESSIVE_INPUT_AMOUNT'], hint: 'the price moved past your slippage tolerance' },
+  { match: ['STF', 'TRANSFER_FROM_FAILED'], hint: 'the router could not pull the input tokens, so the token may restrict transfers' },
+  { match: ['TRANSFER_FAILED'], hint: 'the token refused the transfer, so it may restrict trading' },
+  { match: ['Transaction too old', 'EXPIRED'], hint: 'the deadline passed' }
+];
+
+/**
+ * Extract a readable revert reason from a failed eth_call or gas estimation
+ * Decodes Error(string) and Panic(uint256) revert data, and falls back to the node's message
+ * @param {Error} error - Error thrown by web3
+ * @returns {string} Revert reason
+ */
+function decodeRevertReason(error) {
+  // Nodes return the revert data either directly or nested one level down
+  const data = typeof error.data === 'string' ? error.data : (error.data && typeof error.data.data === 'string' ? error.data.data : null);
+  
+  if (data && data.startsWith('0x08c379a0')) {
+    try {
+      return web3.eth.abi.decodeParameter('string', '0x' + data.slice(10));
+    } catch (decodeError) {
+      debugError('Failed to decode revert reason:', decodeError);
+    }
+  }
+  
+  if (data && data.startsWith('0x4e487b71')) {
+    return `Panic 0x${web3.utils.toBN('0x' + data.slice(10)).toString(16)}`;
+  }
+  
+  if (data && data.length >= 10) {
+    return `Custom error ${data.slice(0, 10)}`;
+  }
+  
+  const message = (error.message || '').replace(/^Returned error: /, '').replace(/^execution reverted:?\s*/, '');
+  return message || 'no reason given';
+}
+
+/**
+ * Simulate a swap with eth_call against the pending block and estimate its gas
+ * A swap that would revert is refused with its decoded reason instead of being sent with a guessed gas limit.
+ * With force the simulation is skipped, and a failed estimate falls back to FALLBACK_GAS_LIMIT.
+ * @param {Object} swapMethod - web3 contract method of the swap
+ * @param {Object} callOptions - Transaction options (from, value)
+ * @param {boolean} [force=false] - Skip the simulation and send the swap even if it looks like it will revert
+ * @returns {Promise<number>} Estimated gas
+ */
+async function simulateSwap(swapMethod, callOptions, force = false) {
+  if (!force) {
+    try {
+      await swapMethod.call(callOptions, 'pending');
+    } catch (error) {
+      throw createSimulationError(error);
+    }
+  }
+  
+  try {
+    return await swapMethod.estimateGas(callOptions);
+  } catch (error) {
+    if (!force) {
+      throw createSimulationError(error);
+    }
+    
+    debugError(`Gas estimation failed, using ${FALLBACK_GAS_LIMIT} because the trade was forced:`, error);
+    return FALLBACK_GAS_LIMIT;
+  }
+}
+
+/**
+ * Estimate the gas of an approval, with a 10% buffer
+ * Tokens with transfer hooks can need far more than a plain ERC20 approval, so no fixed limit fits every token.
+ * @param {Object} approveMethod - web3 contract method of the approval
+ * @param {string} walletAddress - Address sending the approval
+ * @returns {Promise<number>} Gas limit for the approval
+ */
+async function estimateApprovalGas(approveMethod, walletAddress) {
+  const estimatedGas = await approveMethod.estimateGas({ from: walletAddress });
+  return Math.floor(estimatedGas * 1.1);
+}
+
+/**
+ * Amount a sale approves the router for under an approval mode
+ * @param {string} amount - Amount the router will pull, in smallest units
+ * @param {string} [approvalMode=DEFAULT_APPROVAL_MODE] - 'exact', 'buffer' or 'unlimited'
+ * @returns {string} Amount to approve in smallest units
+ */
+function getApprovalAmount(amount, approvalMode = DEFAULT_APPROVAL_MODE) {
+  if (approvalMode === APPROVAL_MODES.EXACT) {
+    return amount;
+  }
+  
+  if (approvalMode === APPROVAL_MODES.BUFFER) {
+    return web3.utils.toBN(amount).muln(100 + APPROVAL_BUFFER_PERCENT).divn(100).toString();
+  }
+  
+  if (approvalMode === APPROVAL_MODES.UNLIMITED) {
+    return MAX_UINT256;
+  }
+  
+  throw new Error(`Unknown approval mode: ${approvalMode}`);
+}
+
+/**
+ * Approve a router to pull a sale's tokens unless the current allowance already covers them
+ * @param {string} privateKey - Private key of the seller
+ * @param {Object} tokenContract - web3 contract of the token being sold
+ * @param {string} spender - Router that will pull the tokens
+ * @param {string} amount - Amount the router will pull, in smallest units
+ * @param {string} gasPrice - Gas price in wei
+ * @param {string} [approvalMode=DEFAULT_APPROVAL_MODE] - Approve exactly the amount, the amount plus APPROVAL_BUFFER_PERCENT, or unlimited
+ * @returns {Promise<string|null>} Hash of the approval, or null if none was needed
+ */
+async function ensureAllowance(privateKey, tokenContract, spender, amount, gasPrice, approvalMode = DEFAULT_APPROVAL_MODE) {
+  const walletAddress = web3.eth.accounts.privateKeyToAccount(privateKey).address;
+  const router = ROUTERS.find(candidate => candidate.address === spender);
+  const routerLabel = router ? router.name : spender;
+  const approveAmount = getApprovalAmount(amount, approvalMode);
+  
+  // Check if the token has any transfer restrictions
+  try {
+    const allowance = await tokenContract.methods.allowance(walletAddress, spender).call();
+    
+    if (web3.utils.toBN(allowance).gte(web3.utils.toBN(amount))) {
+      debugLog(`Token already approved for ${routerLabel}`);
+      return null;
+    }
+    
+    debugLog(`Approving tokens for ${routerLabel} (${approvalMode} approval)...`, true);
+    
+    const approveMethod = tokenContract.methods.approve(spender, approveAmount);
+    const approveTx = await sendTrackedTransaction(privateKey, {
+      from: walletAddress,
+      to: tokenContract.options.address,
+      data: approveMethod.encodeABI(),
+      gas: await estimateApprovalGas(approveMethod, walletAddress),
+      gasPrice
+    }, 'approval');
+    
+    debugLog(`Token approval successful! Hash: ${approveTx.transactionHash}`);
+    return approveTx.transactionHash;
+  } catch (error) {
+    debugError('Token approval failed:', error);
+    throw new Error(`Token approval failed: ${error.message}. This token may have transfer restrictions or be a honeypot.`);
+  }
+}
+
+/**
+ * Storage key of an allowance in a mapping(owner => mapping(spender => amount))
+ * @param {string} owner - Token owner
+ * @param {string} spender - Approved spender
+ * @param {{slot: number, vyper: boolean}} layout - Slot of the mapping, and whether it hashes the Vyper way (slot before key)
+ * @returns {string} Storage key
+ */
+function getAllowanceStorageKey(owner, spender, { slot, vyper }) {
+  const hashKey = (key, mappingSlot) => web3.utils.keccak256(vyper
+    ? web3.eth.abi.encodeParameters(['uint256', 'address'], [mappingSlot, key])
+    : web3.eth.abi.encodeParameters(['address', 'uint256'], [key, mappingSlot]));
+  
+  return hashKey(spender, hashKey(owner, slot));
+}
+
+/**
+ * Find where a token stores its allowances, by overriding candidate slots in an eth_call of allowance()
+ * The result is cached per token, including a token whose layout couldn't be found.
+ * @param {Object} tokenContract - web3 contract of the token
+ * @param {string} owner - Token owner
+ * @param {string} spender - Approved spender
+ * @returns {Promise<{slot: number, vyper: boolean}|null>} Layout of the allowance mapping, or null if it wasn't found
+ */
+async function findAllowanceLayout(tokenContract, owner, spender) {
+  const tokenAddress = tokenContract.options.address;
+  const cacheKey = tokenAddress.toLowerCase();
+  
+  if (allowanceLayoutCache.has(cacheKey)) {
+    return allowanceLayoutCache.get(cacheKey);
+  }
+  
+  // An odd value no real allowance is likely to hold
+  const marker = web3.utils.padLeft('0x5ca1ab1e5ca1ab1e', 64);
+  const allowanceData = tokenContract.methods.allowance(owner, spender).encodeABI();
+  
+  const layouts = [];
+  for (let slot = 0; slot < ALLOWANCE_SLOT_SEARCH_LIMIT; slot++) {
+    layouts.push({ slot, vyper: false }, { slot, vyper: true });
+  }
+  
+  let found = null;
+  try {
+    for (const layout of layouts) {
+      const result = await web3.callWithStateOverride({ to: tokenAddress, data: allowanceData }, 'pending', {
+        [tokenAddress]: { stateDiff: { [getAllowanceStorageKey(owner, spender, layout)]: marker } }
+      });
+      
+      if (web3.utils.toBN(result).eq(web3.utils.toBN(marker))) {
+        found = layout;
+        break;
+      }
+    }
+  } catch (error) {
+    // Nodes without state override support fail on the first probe
+    debugError('Failed to search for the allowance slot:', error);
+  }
+  
+  allowanceLayoutCache.set(cacheKey, found);
+  return found;
+}
+
+/**
+ * Simulate a sale as if the router were already approved, by overriding the token's allowance storage in the eth_call
+ * @param {Object} swapMethod - web3 contract method of the swap
+ * @param {Object} callOptions - Transaction options (from, value)
+ * @param {Object} tokenContract - web3 contract of the token being sold
+ * @param {string} spender - Router that will pull the tokens, which is also the swap's target
+ * @returns {Promise<boolean>} True if the swap was simulated, false if the token's allowance couldn't be overridden
+ */
+async function simulateSwapWithAllowance(swapMethod, callOptions, tokenContract, spender) {
+  const layout = await findAllowanceLayout(tokenContract, callOptions.from, spender);
+  
+  if (!layout) {
+    return false;
+  }
+  
+  try {
+    await web3.callWithStateOverride({
+      from: callOptions.from,
+      to: spender,
+      data: swapMethod.encodeABI(),
+      value: web3.utils.toHex(callOptions.value || 0)
+    }, 'pending', {
+      [tokenContract.options.address]: {
+        stateDiff: { [getAllowanceStorageKey(callOptions.from, spender, layout)]: web3.utils.padLeft(web3.utils.toHex(MAX_UINT256), 64) }
+      }
+    });
+  } catch (error) {
+    throw createSimulationError(error);
+  }
+  
+  return true;
+}
+
+/**
+ * Simulate a sale before approving the router, so an approval is only sent for a swap that will be sent too
+ * Without an allowance the swap can only be simulated with the token's allowance overridden. When the token's
+ * allowance storage can't be found, the approval goes first and the swap is simulated after it, as before.
+ * @param {string} privateKey - Private key of the seller
+ * @param {Object} tokenContract - web3 contract of the token being sold
+ * @param {string} spender - Router that will pull the tokens, which is also the swap's target
+ * @param {string} amount - Amount the router will pull, in smallest units
+ * @param {string} gasPrice - Gas price in wei
+ * @param {Object} swapMethod - web3 contract method of the swap
+ * @param {Object} callOptions - Transaction options (from, value)
+ * @param {Object} [options] - Trade options
+ * @param {boolean} [options.force=false] - Skip the simulations and send the swap even if it looks like it will revert
+ * @param {string} [options.approvalMode] - Approve exactly the amount, the amount plus APPROVAL_BUFFER_PERCENT, or unlimited
+ * @returns {Promise<number>} Estimated gas of the swap
+ */
+async function simulateAndApproveSwap(privateKey, tokenContract, spender, amount, gasPrice, swapMethod, callOptions, options = {}) {
+  const allowance = await tokenContract.methods.allowance(callOptions.from, spender).call();
+  
+  if (web3.utils.toBN(allowance).lt(web3.utils.toBN(amount))) {
+    if (!options.force && !(await simulateSwapWithAllowance(swapMethod, callOptions, tokenContract, spender))) {
+      debugLog('Could not find the token\'s allowance storage, so the swap is simulated after the approval', true);
+    }
+    
+    await ensureAllowance(privateKey, tokenContract, spender, amount, gasPrice, options.approvalMode);
+  }
+  
+  // Gas can only be estimated against the real allowance
+  return simulateSwap(swapMethod, callOptions, options.force);
+}
+
+/**
+ * Sign an EIP-2612 permit off-chain
+ * The digest is built on the token's own DOMAIN_SEPARATOR, so its name and version don't need to be known.
+ * @param {string} privateKey - Private key of the token owner
+ * @param {string} tokenAddress - Token with a permit function
+ * @param {string} spender - Address allowed to pull the tokens
+ * @param {string} value - Allowance granted in smallest units
+ * @param {number} deadline - Timestamp in seconds after which the permit is void
+ * @returns {Promise<{v: number, r: string, s: string}>} Signature
+ */
+async function signPermit(privateKey, tokenAddress, spender, value, deadline) {
+  const owner = web3.eth.accounts.privateKeyToAccount(privateKey).address;
+  const permitContract = new web3.eth.Contract(permitAbi, tokenAddress);
+  const [domainSeparator, nonce] = await Promise.all([
+    permitContract.methods.DOMAIN_SEPARATOR().call(),
+    permitContract.methods.nonces(owner).call()
+  ]);
+  
+  const structHash = web3.utils.keccak256(web3.eth.abi.encodeParameters(
+    ['bytes32', 'address', 'address', 'uint256', 'uint256', 'uint256'],
+    [PERMIT_TYPEHASH, owner, spender, value, nonce, deadline]
+  ));
+  const digest = web3.utils.soliditySha3(
+    { t: 'bytes2', v: '0x1901' },
+    { t: 'bytes32', v: domainSeparator },
+    { t: 'bytes32', v: structHash }
+  );
+  
+  const { v, r, s } = ecsign(Buffer.from(digest.slice(2), 'hex'), Buffer.from(privateKey.replace(/^0x/, ''), 'hex'));
+  return { v: Number(v), r: bufferToHex(r), s: bufferToHex(s) };
+}
+
+/**
+ * Put a signed permit for the V3 router in front of a sale's swap, in a single multicall
+ * The router's selfPermit hands the signature to the token, so no separate approval transaction is needed.
+ * @param {string} privateKey - Private key of the seller
+ * @param {string} tokenAddress - Token being sold
+ * @param {Object} swapMethod - web3 contract method of the V3 router swap, a deadline multicall
+ * @param {string} amount - Amount the router will pull, in smallest units
+ * @param {number} deadline - Deadline timestamp in seconds, shared by the permit and the swap
+ * @param {string} [approvalMode=DEFAULT_APPROVAL_MODE] - How much the permit allows, as for an approval
+ * @returns {Promise<Object|null>} web3 contract method of the bundled multicall, or null if the token has no working permit
+ */
+async function buildPermitSwapMethod(privateKey, tokenAddress, swapMethod, amount, deadline, approvalMode = DEFAULT_APPROVAL_MODE) {
+  const walletAddress = web3.eth.accounts.privateKeyToAccount(privateKey).address;
+  const value = getApprovalAmount(amount, approvalMode);
+  let permitData;
+  
+  try {
+    const { v, r, s } = await signPermit(privateKey, tokenAddress, PANCAKESWAP_ROUTER_ADDRESS, value, deadline);
+    const permitMethod = router.methods.selfPermit(tokenAddress, value, deadline, v, r, s);
+    
+    // Run the permit on its own first; tokens without permit, or with a non-standard one, revert here
+    await permitMethod.call({ from: walletAddress }, 'pending');
+    permitData = permitMethod.encodeABI();
+  } catch (error) {
+    debugLog(`Token has no usable permit, falling back to an approval: ${error.message}`);
+    return null;
+  }
+  
+  // The permit runs first inside the swap's own multicall, under the same deadline
+  const [, swapCalls] = swapMethod.arguments;
+  
+  return buildV3Multicall([permitData, ...swapCalls], deadline);
+}
+
+/**
+ * Build the error for a swap that failed its simulation
+ * @param {Error} error - Error thrown by web3
+ * @returns {Error} Error carrying the decoded revert reason
+ */
+function createSimulationError(error) {
+  const revertReason = decodeRevertReason(error);
+  const known = REVERT_REASON_HINTS.find(({ match }) => match.some(text => revertReason.includes(text)));
+  
+  debugError('Swap simulation failed:', error);
+  const simulationError = new Error(`Simulation failed: the swap would revert with "${revertReason}"${known ? ` (${known.hint})` : ''}. It was not sent; use force to send it anyway.`);
+  simulationError.revertReason = revertReason;
+  return simulationError;
+}
+
+/**
+ * Quote a trade between BNB and a token without signing or sending anything
+ * Runs the same transfer tax detection, fee tier selection, pool validation, quoting and gas estimation as buyToken/sellToken
+ * @param {string} tokenAddress - Token address
+ * @param {string|number} amount - BNB to spend when buying, tokens to sell when selling (a percentage of the balance or "max" when a wallet address is given)
+ * @param {number} slippagePercent - Slippage tolerance in percentage
+ * @param {boolean} isBuy - True to quote a buy, false to quote a sell
+ * @param {Object} [options] - Trade options
+ * @param {string} [options.walletAddress] - Wallet used for gas estimation
+ * @param {string[]} [options.baseTokens] - Intermediate tokens for multi-hop routes
+ * @param {boolean} [options.receiveWBNB=false] - Quote a sell that delivers WBNB
+ * @param {number} [options.maxPriceImpact] - Flag the quote if its price impact exceeds this percentage
+ * @param {string} [options.feeTierSelection='output'] - Pick the V3 fee tier by quoted output or by pool liquidity
+ * @param {boolean} [options.split=false] - Quote the trade split across every direct pool
+ * @param {Object} [options.gasStrategy] - Gas strategy to price the gas with; going over its maxGwei is flagged rather than refused
+ * @returns {Promise<Object>} Quote details
+ */
+async function quoteTrade(tokenAddress, amount, slippagePercent = 1.0, isBuy = true, options = {}) {
+  const tokenInfo = await getTokenInfo(tokenAddress);
+  const inputDecimals = isBuy ? 18 : tokenInfo.decimals;
+  const outputDecimals = isBuy ? tokenInfo.decimals : 18;
+  
+  let amountIn;
+  if (!isBuy && parseBalanceShare(amount) !== null) {
+    // Percentages and "max" need the wallet's exact balance
+    if (!options.walletAddress) {
+      throw new Error('A wallet address is required to quote a percentage or max sell amount');
+    }
+    const tokenContract = new web3.eth.Contract(erc20Abi, tokenAddress);
+    const tokenBalance = await tokenContract.methods.balanceOf(options.walletAddress).call();
+    amountIn = resolveTokenAmount(amount, tokenBalance, tokenInfo.decimals);
+    
+    if (web3.utils.toBN(amountIn).isZero()) {
+      throw new Error(`Your ${tokenInfo.symbol} balance is too small to sell ${amount} of it`);
+    }
+  } else {
+    try {
+      amountIn = isBuy ? web3.utils.toWei(amount.toString(), 'ether') : toTokenUnits(amount, tokenInfo.decimals);
+    } catch (error) {
+      throw new Error(`Invalid ${isBuy ? 'BNB' : 'token'} amount: ${amount}. Please provide a valid number.`);
+    }
+  }
+  
+  const transferTax = await detectTransferTax(tokenAddress, options.walletAddress);
+  const trade = await prepareTrade(tokenAddress, amountIn, tokenInfo, slippagePercent, isBuy, { ...options, transferTax });
+  
+  // Mid price (BNB per token) and price impact against the selected route, leaving any transfer tax out
+  let midPrice = null;
+  let priceImpact = null;
+  try {
+    const { midAmountOut, midAmountOutAfterFees } = await getMidPriceOutput(trade.route, trade.quotedAmountIn);
+    const bnbSide = Number(fromTokenUnits(isBuy ? trade.quotedAmountIn : midAmountOut.toString(), 18));
+    const tokenSide = Number(fromTokenUnits(isBuy ? midAmountOut.toString() : trade.quotedAmountIn, tokenInfo.decimals));
+    midPrice = tokenSide > 0 ? bnbSide / tokenSide : null;
+    priceImpact = calculatePriceImpact(midAmountOutAfterFees, trade.route.amountOut);
+  } catch (error) {
+    debugError('Failed to calculate mid price:', error);
+  }
+  
+  // Gas estimation needs a sender; sells also need an existing allowance
+  let estimatedGas = null;
+  let gasEstimateFailed = false;
+  let revertReason = null;
+  // The quote reports a price above the cap instead of refusing, since nothing is sent
+  const { maxGwei, ...gasStrategy } = options.gasStrategy || {};
+  const gasPrice = await resolveGasPrice(gasStrategy);
+  const gasPriceExceeded = maxGwei !== undefined && Number(web3.utils.fromWei(gasPrice, 'gwei')) > maxGwei;
+  
+  if (options.walletAddress) {
+    const deadline = getDeadline();
+    const { swapMethod } = buildSwapMethod(trade.route, amountIn, trade.amountOutMin, options.walletAddress, deadline, isBuy, options);
+    
+    estimatedGas = await swapMethod.estimateGas({
+      from: options.walletAddress,
+      value: isBuy ? amountIn : '0'
+    }).catch(error => {
+      debugError('Gas estimation failed:', error);
+      gasEstimateFailed = true;
+      revertReason = decodeRevertReason(error);
+      // Same default gas limit a forced trade uses when estimation fails
+      return FALLBACK_GAS_LIMIT;
+    });
+  }
+  
+  const estimatedGasCost = estimatedGas === null
+    ? null
+    : web3.utils.fromWei(safeBN(gasPrice).mul(safeBN(Math.floor(estimatedGas * 1.1))).toString(), 'ether');
+  
+  return {
+    side: isBuy ? 'buy' : 'sell',
+    token: tokenInfo,
+    amountIn: fromTokenUnits(amountIn, inputDecimals),
+    expectedOutput: fromTokenUnits(trade.expectedReceivedAmount, outputDecimals),
+    amountOutMinimum: fromTokenUnits(trade.amountOutMin, outputDecimals),
+    feeTier: trade.route.fees.length === 1 ? trade.route.fees[0] : null,
+    feeTierSelection: trade.feeTierSelection,
+    feeTierQuotes: trade.feeTierQuotes.map(quote => ({
+      feeTier: quote.feeTier,
+      expectedOutput: quote.amountOut === null ? null : fromTokenUnits(quote.amountOut, outputDecimals),
+      error: quote.error
+    })),
+    route: trade.route,
+    splits: getSplitBreakdown(trade.route, inputDecimals, outputDecimals),
+    midPrice,
+    priceImpact,
+    buyTax: transferTax.buyTax,
+    sellTax: transferTax.sellTax,
+    sellTaxEstimated: transferTax.sellTaxEstimated,
+    priceImpactExceeded: options.maxPriceImpact !== undefined && priceImpact !== null && priceImpact > options.maxPriceImpact,
+    estimatedGas,
+    gasEstimateFailed,
+    revertReason,
+    gasPrice: web3.utils.fromWei(gasPrice, 'gwei'),
+    gasPriceExceeded,
+    estimatedGasCost,
+    usedFallback: trade.usedFallback
+  };
+}
+
+/**
+ * Buy tokens using BNB
+ * @param {string} privateKey - Private key of the account
+ * @param {string} tokenAddress - Token address to buy
+ * @param {string|number} bnbAmount - Amount of BNB to spend
+ * @param {number} slippagePercent - Slippage tolerance in percentage
+ * @param {Object} [options] - Additional trade options
+ * @param {string[]} [options.baseTokens] - Intermediate tokens for multi-hop routes
+ * @param {number} [options.maxPriceImpact] - Abort if the price impact exceeds this percentage
+ * @param {string} [options.feeTierSelection='output'] - Pick the V3 fee tier by quoted output or by pool liquidity
+ * @param {boolean} [options.split=false] - Split the trade across every direct V3 fee tier and the V2 pair in one multicall
+ * @param {Object} [options.gasStrategy] - Gas strategy (mode, gwei, multiplier, maxGwei) for resolveGasPrice; a price above maxGwei refuses the trade
+ * @param {number} [options.deadlineSeconds] - Seconds the swap stays valid once signed; defaults to DEFAULT_DEADLINE_SECONDS
+ * @param {boolean} [options.force=false] - Skip the pre-flight simulation and send the swap even if it looks like it will revert
+ * @returns {Promise<{txHash: string, route: Object, feeTierQuotes: Object[], splits: Object[]|null, entryPrice: number|null, bnbAmount: string, tokenAmount: string, receipt: Object}>} Transaction hash, the route used, the quote on every direct V3 fee tier, the per-pool breakdown of a split trade, the quoted BNB paid per token, the BNB spent, the quoted tokens received and the receipt decoded from the mined transaction
+ */
+async function buyToken(privateKey, tokenAddress, bnbAmount, slippagePercent = 1.0, options = {}) {
+  try {
+    // Add account to wallet
+    const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+    web3.eth.accounts.wallet.add(account);
+    const walletAddress = account.address;
+    
+    debugLog(`Using wallet address: ${walletAddress}`, true);
+    
+    // Check BNB balance
+    const bnbBalance = await web3.eth.getBalance(walletAddress);
+    let bnbAmountWei;
+    
+    try {
+      // Convert BNB amount to Wei safely
+      bnbAmountWei = web3.utils.toWei(bnbAmount.toString(), 'ether');
+    } catch (error) {
+      debugError(`Error converting BNB amount to Wei: ${error.message}`, error);
+      throw new Error(`Invalid BNB amount: ${bnbAmount}. Please provide a valid number.`);
+    }
+    
+    debugLog(`BNB balance: ${web3.utils.fromWei(bnbBalance, 'ether')} BNB`);
+    debugLog(`Attempting to spend: ${bnbAmount} BNB`);
+    
+    if (web3.utils.toBN(bnbBalance).lt(web3.utils.toBN(bnbAmountWei))) {
+      throw new Error(`Insufficient BNB balance. You have ${web3.utils.fromWei(bnbBalance, 'ether')} BNB but trying to spend ${bnbAmount} BNB`);
+    }
+    
+    // Get token info
+    const tokenInfo = await getTokenInfo(tokenAddress);
+    debugLog(`Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+    
+    // Check if the token might be a honeypot
+    const isHoneypot = await checkForHoneypot(tokenAddress);
+    if (isHoneypot) {
+      throw new Error('This token appears to be a potential honeypot. Transaction aborted for your safety.');
+    }
+    
+    // Taxed tokens deliver less than the pools pay out
+    const transferTax = await detectTransferTax(tokenAddress, walletAddress);
+    
+    // Select the route and minimum output
+    const { route, feeTierQuotes, quotedAmountIn, expectedReceivedAmount, amountOutMin } = await prepareTrade(tokenAddress, bnbAmountWei, tokenInfo, slippagePercent, true, { ...options, transferTax });
+    
+    // Abort before signing if the trade would move the price more than allowed
+    await checkPriceImpact(route, quotedAmountIn, route.amountOut, options.maxPriceImpact);
+    
+    // Price gas up front, so a price above the cap refuses the trade before anything is sent
+    const gasPrice = await resolveGasPrice(options.gasStrategy);
+    
+    // Setup swap parameters
+    const deadline = getDeadline(options.deadlineSeconds);
+    
+    // Prepare transaction
+    const { swapMethod, swapTarget } = buildSwapMethod(route, bnbAmountWei, amountOutMin, walletAddress, deadline, true, options);
+    
+    const swapData = swapMethod.encodeABI();
+    // Simulate against the pending block first, so a swap that would revert is never sent
+    const estimatedGas = await simulateSwap(swapMethod, {
+      from: walletAddress,
+      value: bnbAmountWei
+    }, options.force);
+    
+    debugLog(`Gas estimate: ${estimatedGas}`);
+    debugLog(`Gas price: ${web3.utils.fromWei(gasPrice, 'gwei')} gwei`);
+    debugLog(`Swapping ${bnbAmount} BNB for ${tokenInfo.symbol} with ${slippagePercent}% slippage via ${describeRoute(route)}`, true);
+    
+    // Execute the swap
+    const tx = await sendTrackedTransaction(privateKey, {
+      from: walletAddress,
+      to: swapTarget,
+      data: swapData,
+      value: bnbAmountWei,
+      gas: Math.floor(estimatedGas * 1.1), // Add 10% buffer
+      gasPrice: gasPrice
+    }, 'swap');
+    
+    // Clean up wallet
+    web3.eth.accounts.wallet.remove(walletAddress);
+    
+    debugLog(`Transaction successful! Hash: ${tx.transactionHash}`, true);
+    return {
+      txHash: tx.transactionHash,
+      route,
+      feeTierQuotes,
+      splits: getSplitBreakdown(route, 18, tokenInfo.decimals),
+      entryPrice: getTradePrice(quotedAmountIn, expectedReceivedAmount, tokenInfo.decimals),
+      bnbAmount: web3.utils.fromWei(bnbAmountWei, 'ether'),
+      tokenAmount: fromTokenUnits(expectedReceivedAmount, tokenInfo.decimals),
+      receipt: buildTradeReceipt(tx, walletAddress, tokenAddress, tokenInfo, true, route, gasPrice)
+    };
+  } catch (error) {
+    debugError('Error buying token:', error);
+    
+    // Clean up wallet if exists
+    try {
+      const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+      web3.eth.accounts.wallet.remove(account.address);
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Sell tokens for BNB
+ * @param {string} privateKey - Private key of the account
+ * @param {string} tokenAddress - Token address to sell
+ * @param {string|number} tokenAmount - Amount of tokens to sell, a percentage of the balance such as "25%", or "max"
+ * @param {number} slippagePercent - Slippage tolerance in percentage
+ * @param {Object} [options] - Additional trade options
+ * @param {string[]} [options.baseTokens] - Intermediate tokens for multi-hop routes
+ * @param {number} [options.maxPriceImpact] - Abort if the price impact exceeds this percentage
+ * @param {boolean} [options.receiveWBNB=false] - Deliver the proceeds as WBNB instead of native BNB
+ * @param {string} [options.feeTierSelection='output'] - Pick the V3 fee tier by quoted output or by pool liquidity
+ * @param {boolean} [options.split=false] - Split the trade across every direct V3 fee tier and the V2 pair in one multicall
+ * @param {Object} [options.gasStrategy] - Gas strategy (mode, gwei, multiplier, maxGwei) for resolveGasPrice; a price above maxGwei refuses the trade
+ * @param {number} [options.deadlineSeconds] - Seconds the swap stays valid once signed; defaults to DEFAULT_DEADLINE_SECONDS
+ * @param {string} [options.approvalMode='exact'] - Approve the router for exactly the amount sold, that plus a 10% buffer ('buffer'), or 'unlimited'
+ * @param {boolean} [options.permit=true] - On the V3 router, approve tokens that support EIP-2612 with a signed permit bundled into the swap instead of an approval transaction
+ * @param {boolean} [options.force=false] - Skip the pre-flight simulation and send the swap even if it looks like it will revert
+ * @returns {Promise<{txHash: string, route: Object, feeTierQuotes: Object[], splits: Object[]|null, exitPrice: number|null, tokenAmount: string, bnbAmount: string, usedPermit: boolean, receipt: Object}>} Transaction hash, the route used, the quote on every direct V3 fee tier, the per-pool breakdown of a split trade, the quoted BNB received per token, the tokens sold, the quoted BNB received, whether a permit replaced the approval and the receipt decoded from the mined transaction
+ */
+async function sellToken(privateKey, tokenAddress, tokenAmount, slippagePercent = 1.0, options = {}) {
+  try {
+    // Add account to wallet
+    const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+    web3.eth.accounts.wallet.add(account);
+    const walletAddress = account.address;
+    
+    debugLog(`Using wallet address: ${walletAddress}`, true);
+    
+    // Get token info
+    const tokenInfo = await getTokenInfo(tokenAddress);
+    debugLog(`Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+    
+    // Check token balance
+    const tokenContract = new web3.eth.Contract(erc20Abi, tokenAddress);
+    const tokenBalance = await tokenContract.methods.balanceOf(walletAddress).call();
+    debugLog(`Token balance: ${fromTokenUnits(tokenBalance, tokenInfo.decimals)} ${tokenInfo.symbol}`);
+    
+    // Convert token amount to token units safely ("25%" or "max" resolve against the exact balance)
+    let tokenAmountInUnits;
+    
+    try {
+      tokenAmountInUnits = resolveTokenAmount(tokenAmount, tokenBalance, tokenInfo.decimals);
+      debugLog(`Token amount in smallest units: ${tokenAmountInUnits}`);
+    } catch (error) {
+      debugError(`Error converting token amount to units: ${error.message}`, error);
+      throw new Error(`Invalid token amount: ${tokenAmount}. Please provide a valid number, a percentage of your balance or "max".`);
+    }
+    
+    debugLog(`Attempting to sell: ${fromTokenUnits(tokenAmountInUnits, tokenInfo.decimals)} ${tokenInfo.symbol}`);
+    
+    if (web3.utils.toBN(tokenAmountInUnits).isZero()) {
+      throw new Error(`Insufficient token balance. You have ${fromTokenUnits(tokenBalance, tokenInfo.decimals)} ${tokenInfo.symbol}, so there is nothing to sell`);
+    }
+    
+    // Taxed tokens deliver less than the pools pay out, and V3 pools can't take taxed sells
+    const transferTax = await detectTransferTax(tokenAddress, walletAddress);
+    
+    if (web3.utils.toBN(tokenBalance).lt(web3.utils.toBN(tokenAmountInUnits))) {
+      // A taxed buy delivers less than its quote, so selling the quoted amount can come up short by the buy tax
+      const taxedAmount = transferTax.buyTax ? applyTax(tokenAmountInUnits, transferTax.buyTax) : tokenAmountInUnits;
+      
+      if (web3.utils.toBN(tokenBalance).isZero() || web3.utils.toBN(tokenBalance).lt(web3.utils.toBN(taxedAmount))) {
+        throw new Error(`Insufficient token balance. You have ${fromTokenUnits(tokenBalance, tokenInfo.decimals)} ${tokenInfo.symbol} but trying to sell ${tokenAmount} ${tokenInfo.symbol}`);
+      }
+      
+      debugLog(`Balance is short of ${tokenAmount} ${tokenInfo.symbol} by less than the ${transferTax.buyTax}% buy tax, selling the full balance`, true);
+      tokenAmountInUnits = tokenBalance.toString();
+    }
+    
+    // Select the route and minimum output
+    const { route, feeTierQuotes, quotedAmountIn, amountOutMin } = await prepareTrade(tokenAddress, tokenAmountInUnits, tokenInfo, slippagePercent, false, { ...options, transferTax });
+    
+    // Abort before signing if the trade would move the price more than allowed
+    await checkPriceImpact(route, quotedAmountIn, route.amountOut, options.maxPriceImpact);
+    
+    // Price gas up front, so a price above the cap refuses the trade before anything is sent
+    const gasPrice = await resolveGasPrice(options.gasStrategy);
+    
+    // Setup swap parameters
+    const deadline = getDeadline(options.deadlineSeconds);
+    const { swapMethod: routeSwapMethod, swapTarget } = buildSwapMethod(route, tokenAmountInUnits, amountOutMin, walletAddress, deadline, false, options);
+    let swapMethod = routeSwapMethod;
+    let usedPermit = false;
+    
+    // Only the V3 router has selfPermit, so a V2 route is always approved the usual way
+    const allowance = await tokenContract.methods.allowance(walletAddress, swapTarget).call();
+    if (options.permit !== false && swapTarget === PANCAKESWAP_ROUTER_ADDRESS && web3.utils.toBN(allowance).lt(web3.utils.toBN(tokenAmountInUnits))) {
+      const permitSwapMethod = await buildPermitSwapMethod(privateKey, tokenAddress, routeSwapMethod, tokenAmountInUnits, deadline, options.approvalMode);
+      
+      if (permitSwapMethod) {
+        debugLog(`Approving ${tokenInfo.symbol} with a permit bundled into the swap`, true);
+        swapMethod = permitSwapMethod;
+        usedPermit = true;
+      }
+    }
+    
+    const swapData = swapMethod.encodeABI();
+    // Simulate against the pending block first, so a swap that would revert is never sent, and only then
+    // approve the router that will pull the tokens, which depends on the selected route
+    const estimatedGas = usedPermit
+      ? await simulateSwap(swapMethod, { from: walletAddress }, options.force)
+      : await simulateAndApproveSwap(privateKey, tokenContract, swapTarget, tokenAmountInUnits, gasPrice, swapMethod, { from: walletAddress }, options);
+    
+    debugLog(`Gas estimate: ${estimatedGas}`);
+    debugLog(`Gas price: ${web3.utils.fromWei(gasPrice, 'gwei')} gwei`);
+    debugLog(`Swapping ${tokenAmount} ${tokenInfo.symbol} for ${options.receiveWBNB ? 'WBNB' : 'BNB'} with ${slippagePercent}% slippage via ${describeRoute(route)}`, true);
+    
+    // Execute the swap
+    const tx = await sendTrackedTransaction(privateKey, {
+      from: walletAddress,
+      to: swapTarget,
+      data: swapData,
+      gas: Math.floor(estimatedGas * 1.1), // Add 10% buffer
+      gasPrice: gasPrice
+    }, 'swap');
+    
+    // Clean up wallet
+    web3.eth.accounts.wallet.remove(walletAddress);
+    
+    debugLog(`Transaction successful! Hash: ${tx.transactionHash}`, true);
+    return {
+      txHash: tx.transactionHash,
+      route,
+      feeTierQuotes,
+      splits: getSplitBreakdown(route, tokenInfo.decimals, 18),
+      exitPrice: getTradePrice(route.amountOut, tokenAmountInUnits, tokenInfo.decimals),
+      tokenAmount: fromTokenUnits(tokenAmountInUnits, tokenInfo.decimals),
+      bnbAmount: web3.utils.fromWei(route.amountOut.toString(), 'ether'),
+      usedPermit,
+      receipt: buildTradeReceipt(tx, walletAddress, tokenAddress, tokenInfo, false, route, gasPrice)
+    };
+  } catch (error) {
+    debugError('Error selling token:', error);
+    
+    // Clean up wallet if exists
+    try {
+      const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+      web3.eth.accounts.wallet.remove(account.address);
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Buy tokens using BNB with a specific fee tier
+ * @param {string} privateKey - Private key of the account
+ * @param {string} tokenAddress - Token address to buy
+ * @param {string|number} bnbAmount - Amount of BNB to spend
+ * @param {number} slippagePercent - Slippage tolerance in percentage
+ * @param {number} [specificFeeTier] - Use a specific fee tier if provided
+ * @param {Object} [options] - Additional trade options
+ * @param {number} [options.maxPriceImpact] - Abort if the price impact exceeds this percentage
+ * @param {Object} [options.gasStrategy] - Gas strategy (mode, gwei, multiplier, maxGwei) for resolveGasPrice; a price above maxGwei refuses the trade
+ * @param {number} [options.deadlineSeconds] - Seconds the swap stays valid once signed; defaults to DEFAULT_DEADLINE_SECONDS
+ * @param {boolean} [options.force=false] - Skip the pre-flight simulation and send the swap even if it looks like it will revert
+ * @returns {Promise<{txHash: string, receipt: Object}>} Transaction hash and the receipt decoded from the mined transaction
+ */
+async function buyTokenWithFeeTier(privateKey, tokenAddress, bnbAmount, slippagePercent = 1.0, specificFeeTier = FEE_TIERS.MEDIUM, options = {}) {
+  debugLog(`Using specific fee tier: ${specificFeeTier / 10000}%`, true);
+  
+  // Call the regular buyToken but with fixed fee tier
+  try {
+    // Add account to wallet
+    const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+    web3.eth.accounts.wallet.add(account);
+    const walletAddress = account.address;
+    
+    debugLog(`Using wallet address: ${walletAddress}`, true);
+    
+    // Check BNB balance
+    const bnbBalance = await web3.eth.getBalance(walletAddress);
+    const bnbAmountWei = web3.utils.toWei(bnbAmount.toString(), 'ether');
+    
+    debugLog(`BNB balance: ${web3.utils.fromWei(bnbBalance, 'ether')} BNB`);
+    debugLog(`Attempting to spend: ${bnbAmount} BNB`);
+    
+    if (web3.utils.toBN(bnbBalance).lt(web3.utils.toBN(bnbAmountWei))) {
+      throw new Error(`Insufficient BNB balance. You have ${web3.utils.fromWei(bnbBalance, 'ether')} BNB but trying to spend ${bnbAmount} BNB`);
+    }
+    
+    // Get token info
+    const tokenInfo = await getTokenInfo(tokenAddress);
+    debugLog(`Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+    
+    // Use the specified fee tier instead of finding the best one
+    const feeTier = specificFeeTier;
+    
+    // Validate if the pool has enough liquidity
+    const isPoolValid = await validatePancakeV3Pool(tokenAddress, feeTier);
+    if (!isPoolValid) {
+      throw new Error(`No valid PancakeSwap V3 pool with ${feeTier/10000}% fee tier found. Try using the auto-select option instead.`);
+    }
+    
+    // Check if the token might be a honeypot
+    const isHoneypot = await checkForHoneypot(tokenAddress);
+    if (isHoneypot) {
+      throw new Error('This token appears to be a potential honeypot. Transaction aborted for your safety.');
+    }
+    
+    // Taxed tokens deliver less than the pool pays out
+    const transferTax = await detectTransferTax(tokenAddress, walletAddress);
+    
+    // Encode path for swap (WBNB -> Token)
+    const path = encodePath([WBNB_ADDRESS, tokenAddress], [feeTier]);
+    
+    // Get expected output amount
+    let expectedOutputAmount = '0';
+    let usedFallback = false;
+    
+    try {
+      // Try using the quoter first
+      const quoteResult = await quoter.methods.quoteExactInput(
+        path,
+        bnbAmountWei
+      ).call();
+      
+      // Enhanced logging for debugging
+      debugLog(`Raw quoter response: ${inspect(quoteResult)}`, true);
+      
+      // Extract the amountOut from the response
+      if (typeof quoteResult === 'object' && quoteResult.amountOut) {
+        expectedOutputAmount = quoteResult.amountOut.toString();
+      } else if (typeof quoteResult === 'string' || typeof quoteResult === 'number') {
+        expectedOutputAmount = quoteResult.toString();
+      } else {
+        throw new Error('Unexpected quoter response format');
+      }
+      
+      debugLog(`Quoted output amount from PancakeSwap V3 Quoter: ${expectedOutputAmount}`);
+    } catch (quoteError) {
+      debugError('Failed to quote output amount using V3 Quoter:', quoteError);
+      usedFallback = true;
+      
+      try {
+        debugLog('Attempting to estimate price using pool data...', true);
+        
+        // Get pool data for manual price calculation
+        const sortedTokens = web3.utils.toChecksumAddress(tokenAddress) < web3.utils.toChecksumAddress(WBNB_ADDRESS)
+          ? [tokenAddress, WBNB_ADDRESS]
+          : [WBNB_ADDRESS, tokenAddress];
+        
+        const poolAddress = await factory.methods.getPool(sortedTokens[0], sortedTokens[1], feeTier).call();
+        
+        if (poolAddress !== '0x0000000000000000000000000000000000000000') {
+          const poolContract = new web3.eth.Contract(poolAbiV3, poolAddress);
+          const slot0 = await poolContract.methods.slot0().call();
+          
+          debugLog(`Pool data - sqrtPriceX96: ${slot0.sqrtPriceX96}`, true);
+          
+          // Safely convert values to BN
+          try {
+            // Calculate price from sqrtPriceX96
+            const sqrtPriceX96 = safeBN(slot0.sqrtPriceX96);
+            const Q96 = web3.utils.toBN(2).pow(web3.utils.toBN(96));
+            
+            // Convert to price depending on token order
+            let price;
+            if (sortedTokens[0] === WBNB_ADDRESS) {
+              // If BNB is token0, then price = 1 / (sqrtPriceX96^2 / 2^192)
+              const sqrtPriceSquared = sqrtPriceX96.mul(sqrtPriceX96);
+              if (sqrtPriceSquared.isZero()) {
+                throw new Error('Price calculation failed: sqrtPriceSquared is zero');
+              }
+              price = Q96.mul(Q96).div(sqrtPriceSquared);
+            } else {
+              // If BNB is token1, then price = sqrtPriceX96^2 / 2^192
+              price = sqrtPriceX96.mul(sqrtPriceX96).div(Q96.mul(Q96));
+            }
+            
+            // Adjust for decimals
+            const decimalAdjustment = web3.utils.toBN(10).pow(web3.utils.toBN(18 - tokenInfo.decimals));
+            price = price.mul(decimalAdjustment);
+            
+            // Calculate rough output amount
+            const inputAmount = safeBN(bnbAmountWei);
+            const divisionFactor = safeBN(10).pow(safeBN(18));
+            let roughOutputAmount;
+            
+            // Avoid division by zero
+            if (divisionFactor.isZero()) {
+              throw new Error('Division by zero error in price calculation');
+            }
+            
+            roughOutputAmount = inputAmount.mul(price).div(divisionFactor);
+            
+            // Apply a safety factor (reduce by 10%) to account for fees and price impact
+            roughOutputAmount = roughOutputAmount.mul(safeBN(90)).div(safeBN(100));
+            
+            expectedOutputAmount = roughOutputAmount.toString();
+            debugLog(`Estimated output amount using pool data: ${expectedOutputAmount}`, true);
+          } catch (calcError) {
+            debugError('Error in price calculation:', calcError);
+            // Use a fallback minimum value
+            expectedOutputAmount = '1000';
+            debugLog('Using minimum fallback value due to calculation error', true);
+          }
+        } else {
+          throw new Error(`No pool exists for this token with the ${feeTier/10000}% fee tier. Try using the auto-select option instead.`);
+        }
+      } catch (fallbackError) {
+        throw new Error(`Could not estimate price for ${feeTier/10000}% fee tier: ${fallbackError.message}`);
+      }
+    }
+    
+    // Calculate minimum output amount based on slippage
+    const amountOutMin = web3.utils.toBN(expectedOutputAmount)
+      .mul(web3.utils.toBN(10000 - slippagePercent * 100))
+      .div(web3.utils.toBN(10000))
+      .toString();
+    
+    // V3 checks the minimum against what the pool sends, so only the amount that arrives is reduced by the tax
+    const expectedReceivedAmount = transferTax.buyTax ? applyTax(expectedOutputAmount, transferTax.buyTax) : expectedOutputAmount;
+    
+    if (transferTax.buyTax) {
+      debugLog(`Token takes a ${transferTax.buyTax}% transfer tax on buys`, true);
+    }
+    debugLog(`Expected output: ${fromTokenUnits(expectedReceivedAmount, tokenInfo.decimals)} ${tokenInfo.symbol}`, true);
+    debugLog(`Minimum output (with ${slippagePercent}% slippage): ${fromTokenUnits(amountOutMin, tokenInfo.decimals)} ${tokenInfo.symbol}`, true);
+    
+    if (usedFallback) {
+      debugLog('⚠️ Using estimated price due to quoter failure. Consider using higher slippage.', true);
+    }
+    
+    // Abort before signing if the trade would move the price more than allowed
+    const route = { protocol: 'V3', tokens: [WBNB_ADDRESS, tokenAddress], fees: [feeTier] };
+    await checkPriceImpact(route, bnbAmountWei, expectedOutputAmount, options.maxPriceImpact);
+    
+    // Price gas up front, so a price above the cap refuses the trade before anything is sent
+    const gasPrice = await resolveGasPrice(options.gasStrategy);
+    
+    // Setup swap parameters
+    const recipient = walletAddress;
+    const deadline = getDeadline(options.deadlineSeconds);
+    
+    // Prepare transaction
+    const swapParams = {
       path: path,
       recipient: recipient,
-      deadline: deadline,
       amountIn: bnbAmountWei,
       amountOutMinimum: amountOutMin
     };
     
-    const swapData = router.methods.exactInput(swapParams).encodeABI();
-    const estimatedGas = await router.methods.exactInput(swapParams).estimateGas({
+    const swapMethod = buildV3Multicall([router.methods.exactInput(swapParams).encodeABI()], deadline);
+    const swapData = swapMethod.encodeABI();
+    // Simulate against the pending block first, so a swap that would revert is never sent
+    const estimatedGas = await simulateSwap(swapMethod, {
       from: walletAddress,
       value: bnbAmountWei
-    }).catch(error => {
-      debugError('Gas estimation failed:', error);
-      // Default gas limit if estimation fails
-      return 500000;
-    });
+    }, options.force);
     
     debugLog(`Gas estimate: ${estimatedGas}`);
     debugLog(`Gas price: ${web3.utils.fromWei(gasPrice, 'gwei')} gwei`);
-    debugLog(`Swapping ${bnbAmount} BNB for ${tokenInfo.symbol} with ${slippagePercent}% slippage`, true);
+    debugLog(`Swapping ${bnbAmount} BNB for ${tokenInfo.symbol} with ${slippagePercent}% slippage and ${feeTier/10000}% fee tier`, true);
     
     // Execute the swap
-    const tx = await web3.eth.sendTransaction({
+    const tx = await sendTrackedTransaction(privateKey, {
       from: walletAddress,
       to: PANCAKESWAP_ROUTER_ADDRESS,
       data: swapData,
       value: bnbAmountWei,
       gas: Math.floor(estimatedGas * 1.1), // Add 10% buffer
-      gasPrice: gasPrice,
-      nonce: nonce // Add the nonce
-    });
+      gasPrice: gasPrice
+    }, 'swap');
     
     // Clean up wallet
     web3.eth.accounts.wallet.remove(walletAddress);
     
     debugLog(`Transaction successful! Hash: ${tx.transactionHash}`, true);
-    return tx.transactionHash;
+    return {
+      txHash: tx.transactionHash,
+      receipt: buildTradeReceipt(tx, walletAddress, tokenAddress, tokenInfo, true, route, gasPrice)
+    };
   } catch (error) {
-    debugError('Error buying token:', error);
+    debugError('Error buying token with specific fee tier:', error);
     
     // Clean up wallet if exists
     try {
@@ -796,14 +2993,24 @@ async function buyToken(privateKey, tokenAddress, bnbAmount, slippagePercent = 1
 }
 
 /**
- * Sell tokens for BNB
+ * Sell tokens for BNB with a specific fee tier
  * @param {string} privateKey - Private key of the account
  * @param {string} tokenAddress - Token address to sell
- * @param {string|number} tokenAmount - Amount of tokens to sell
+ * @param {string|number} tokenAmount - Amount of tokens to sell, a percentage of the balance such as "25%", or "max"
  * @param {number} slippagePercent - Slippage tolerance in percentage
- * @returns {Promise<string>} Transaction hash
+ * @param {number} [specificFeeTier] - Use a specific fee tier if provided
+ * @param {Object} [options] - Additional trade options
+ * @param {boolean} [options.receiveWBNB=false] - Deliver the proceeds as WBNB instead of native BNB
+ * @param {number} [options.maxPriceImpact] - Abort if the price impact exceeds this percentage
+ * @param {Object} [options.gasStrategy] - Gas strategy (mode, gwei, multiplier, maxGwei) for resolveGasPrice; a price above maxGwei refuses the trade
+ * @param {number} [options.deadlineSeconds] - Seconds the swap stays valid once signed; defaults to DEFAULT_DEADLINE_SECONDS
+ * @param {string} [options.approvalMode='exact'] - Approve the router for exactly the amount sold, that plus a 10% buffer ('buffer'), or 'unlimited'
+ * @param {boolean} [options.force=false] - Skip the pre-flight simulation and send the swap even if it looks like it will revert
+ * @returns {Promise<{txHash: string, receipt: Object}>} Transaction hash and the receipt decoded from the mined transaction
  */
-async function sellToken(privateKey, tokenAddress, tokenAmount, slippagePercent = 1.0) {
+async function sellTokenWithFeeTier(privateKey, tokenAddress, tokenAmount, slippagePercent = 1.0, specificFeeTier = FEE_TIERS.MEDIUM, options = {}) {
+  debugLog(`Using specific fee tier: ${specificFeeTier / 10000}%`, true);
+  
   try {
     // Add account to wallet
     const account = web3.eth.accounts.privateKeyToAccount(privateKey);
@@ -816,49 +3023,36 @@ async function sellToken(privateKey, tokenAddress, tokenAmount, slippagePercent
     const tokenInfo = await getTokenInfo(tokenAddress);
     debugLog(`Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
     
-    // Convert token amount to token units safely
-    let tokenAmountInUnits;
-    
-    try {
-      tokenAmountInUnits = toTokenUnits(tokenAmount, tokenInfo.decimals);
-      debugLog(`Token amount in smallest units: ${tokenAmountInUnits}`);
-    } catch (error) {
-      debugError(`Error converting token amount to units: ${error.message}`, error);
-      throw new Error(`Invalid token amount: ${tokenAmount}. Please provide a valid number.`);
-    }
-    
     // Check token balance
+    const tokenContract = new web3.eth.Contract(erc20Abi, tokenAddress);
     const tokenBalance = await tokenContract.methods.balanceOf(walletAddress).call();
     debugLog(`Token balance: ${fromTokenUnits(tokenBalance, tokenInfo.decimals)} ${tokenInfo.symbol}`);
-    debugLog(`Attempting to sell: ${tokenAmount} ${tokenInfo.symbol}`);
+    
+    // Convert token amount to token units ("25%" or "max" resolve against the exact balance)
+    const tokenAmountInUnits = resolveTokenAmount(tokenAmount, tokenBalance, tokenInfo.decimals);
+    debugLog(`Attempting to sell: ${fromTokenUnits(tokenAmountInUnits, tokenInfo.decimals)} ${tokenInfo.symbol}`);
+    
+    if (web3.utils.toBN(tokenAmountInUnits).isZero()) {
+      throw new Error(`Insufficient token balance. You have ${fromTokenUnits(tokenBalance, tokenInfo.decimals)} ${tokenInfo.symbol}, so there is nothing to sell`);
+    }
     
     if (web3.utils.toBN(tokenBalance).lt(web3.utils.toBN(tokenAmountInUnits))) {
       throw new Error(`Insufficient token balance. You have ${fromTokenUnits(tokenBalance, tokenInfo.decimals)} ${tokenInfo.symbol} but trying to sell ${tokenAmount} ${tokenInfo.symbol}`);
     }
     
-    // Find the best fee tier for the token pair
-    let feeTier = await findBestFeeTier(tokenAddress, WBNB_ADDRESS);
+    // Use the specified fee tier instead of finding the best one
+    const feeTier = specificFeeTier;
     
     // Validate if the pool has enough liquidity
     const isPoolValid = await validatePancakeV3Pool(tokenAddress, feeTier);
-    if (!isPoolValid) {
-      // Try other fee tiers if the best one doesn't have enough liquidity
-      const feeTiers = [FEE_TIERS.LOWEST, FEE_TIERS.LOW, FEE_TIERS.MEDIUM, FEE_TIERS.HIGH];
-      let foundValidPool = false;
-      
-      for (const alternativeFee of feeTiers.filter(fee => fee !== feeTier)) {
-        debugLog(`Trying alternative fee tier: ${alternativeFee/10000}%`, true);
-        if (await validatePancakeV3Pool(tokenAddress, alternativeFee)) {
-          debugLog(`Found valid pool with fee tier ${alternativeFee/10000}%`, true);
-          feeTier = alternativeFee;
-          foundValidPool = true;
-          break;
-        }
-      }
-      
-      if (!foundValidPool) {
-        throw new Error('No valid PancakeSwap V3 pool found with sufficient liquidity. Trading may not be possible at this time.');
-      }
+    if (!isPoolValid) {
+      throw new Error(`No valid PancakeSwap V3 pool with ${feeTier/10000}% fee tier found. Try using the auto-select option instead.`);
+    }
+    
+    // V3 pools revert when they receive less than the swap amount, so a taxed sell can't use a fixed V3 fee tier
+    const transferTax = await detectTransferTax(tokenAddress, walletAddress);
+    if (transferTax.sellTax > 0) {
+      throw new Error(`This token takes a ${transferTax.sellTax}% transfer tax on sells, which a PancakeSwap V3 pool cannot settle. Use the auto-select option to sell through PancakeSwap V2 instead.`);
     }
     
     // Encode path for swap (Token -> WBNB)
@@ -956,42 +3150,18 @@ async function sellToken(privateKey, tokenAddress, tokenAmount, slippagePercent
             debugLog('Using minimum fallback value due to calculation error', true);
           }
         } else {
-          debugLog('No pool found for manual price estimation', true);
-          
-          // Last resort: use a very small non-zero amount to allow transaction with high slippage
-          expectedOutputAmount = '1000';
-          debugLog('Using minimum fallback value for output amount', true);
+          throw new Error(`No pool exists for this token with the ${feeTier/10000}% fee tier. Try using the auto-select option instead.`);
         }
       } catch (fallbackError) {
-        debugError('Failed to estimate price using fallback:', fallbackError);
-        
-        // Last resort: use a very small non-zero amount to allow transaction with high slippage
-        expectedOutputAmount = '1000';
-        debugLog('Using minimum fallback value for output amount after all attempts failed', true);
+        throw new Error(`Could not estimate price for ${feeTier/10000}% fee tier: ${fallbackError.message}`);
       }
     }
     
     // Calculate minimum output amount based on slippage
-    let amountOutMin;
-    try {
-      // Safely convert to BN
-      const bnExpectedOutput = safeBN(expectedOutputAmount);
-      const bnSlippageFactor = safeBN(10000 - slippagePercent * 100);
-      const bnDivisor = safeBN(10000);
-      
-      // Avoid division by zero
-      if (bnDivisor.isZero()) {
-        amountOutMin = bnExpectedOutput.toString(); // Just use the expected output as minimum if division error
-        debugLog('Division error in slippage calculation, using expected output as minimum', true);
-      } else {
-        amountOutMin = bnExpectedOutput.mul(bnSlippageFactor).div(bnDivisor).toString();
-      }
-    } catch (error) {
-      debugError('Error calculating minimum output amount:', error);
-      // Fallback: set amountOutMin to a very small value to allow transaction to proceed
-      amountOutMin = '1';
-      debugLog('Using minimum fallback value for minimum output amount', true);
-    }
+    const amountOutMin = web3.utils.toBN(expectedOutputAmount)
+      .mul(web3.utils.toBN(10000 - slippagePercent * 100))
+      .div(web3.utils.toBN(10000))
+      .toString();
     
     debugLog(`Expected output: ${web3.utils.fromWei(expectedOutputAmount, 'ether')} BNB`, true);
     debugLog(`Minimum output (with ${slippagePercent}% slippage): ${web3.utils.fromWei(amountOutMin, 'ether')} BNB`, true);
@@ -1000,86 +3170,56 @@ async function sellToken(privateKey, tokenAddress, tokenAmount, slippagePercent
       debugLog('⚠️ Using estimated price due to quoter failure. Consider using higher slippage.', true);
     }
     
-    // Get the next nonce for approval transaction
-    let nonce = await getNextNonce(walletAddress);
+    // Abort before signing if the trade would move the price more than allowed
+    const route = { protocol: 'V3', tokens: [tokenAddress, WBNB_ADDRESS], fees: [feeTier] };
+    await checkPriceImpact(route, tokenAmountInUnits, expectedOutputAmount, options.maxPriceImpact);
     
-    // Check if the token has any transfer restrictions
-    try {
-      // Check allowance
-      const allowance = await tokenContract.methods.allowance(walletAddress, PANCAKESWAP_ROUTER_ADDRESS).call();
-      
-      // If allowance is less than the amount to sell, approve tokens
-      if (web3.utils.toBN(allowance).lt(web3.utils.toBN(tokenAmountInUnits))) {
-        debugLog('Approving tokens for PancakeSwap V3 router...', true);
-        
-        // Unlimited approval
-        const approveAmount = web3.utils.toBN(2).pow(web3.utils.toBN(256)).sub(web3.utils.toBN(1)).toString();
-        
-        const approveTx = await tokenContract.methods.approve(PANCAKESWAP_ROUTER_ADDRESS, approveAmount).send({
-          from: walletAddress,
-          gas: 200000,
-          gasPrice: await web3.eth.getGasPrice(),
-          nonce: nonce // Add the nonce for approval
-        });
-        
-        debugLog(`Token approval successful! Hash: ${approveTx.transactionHash}`);
-        
-        // Increment nonce for the next transaction
-        nonce++;
-      } else {
-        debugLog('Token already approved for PancakeSwap V3 router');
-      }
-    } catch (error) {
-      debugError('Token approval failed:', error);
-      throw new Error(`Token approval failed: ${error.message}. This token may have transfer restrictions or be a honeypot.`);
-    }
+    // Price gas up front, so a price above the cap refuses the trade before anything is sent
+    const gasPrice = await resolveGasPrice(options.gasStrategy);
     
     // Setup swap parameters
     const recipient = walletAddress;
-    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
-    
-    // Estimate gas
-    const gasPrice = await web3.eth.getGasPrice();
+    const deadline = getDeadline(options.deadlineSeconds);
     
     // Prepare transaction
     const swapParams = {
       path: path,
       recipient: recipient,
-      deadline: deadline,
       amountIn: tokenAmountInUnits,
       amountOutMinimum: amountOutMin
     };
     
-    const swapData = router.methods.exactInput(swapParams).encodeABI();
-    const estimatedGas = await router.methods.exactInput(swapParams).estimateGas({
+    const swapMethod = buildV3SellMethod(swapParams, walletAddress, deadline, options.receiveWBNB);
+    const swapData = swapMethod.encodeABI();
+    // Simulate against the pending block first, so a swap that would revert is never sent, and only then
+    // approve the router unless the allowance already covers the sale
+    const estimatedGas = await simulateAndApproveSwap(privateKey, tokenContract, PANCAKESWAP_ROUTER_ADDRESS, tokenAmountInUnits, gasPrice, swapMethod, {
       from: walletAddress
-    }).catch(error => {
-      debugError('Gas estimation failed:', error);
-      // Default gas limit if estimation fails
-      return 500000;
-    });
+    }, options);
     
     debugLog(`Gas estimate: ${estimatedGas}`);
     debugLog(`Gas price: ${web3.utils.fromWei(gasPrice, 'gwei')} gwei`);
-    debugLog(`Swapping ${tokenAmount} ${tokenInfo.symbol} for BNB with ${slippagePercent}% slippage`, true);
+    debugLog(`Swapping ${tokenAmount} ${tokenInfo.symbol} for ${options.receiveWBNB ? 'WBNB' : 'BNB'} with ${slippagePercent}% slippage and ${feeTier/10000}% fee tier`, true);
     
-    // Execute the swap with the current nonce (either incremented after approval or the original one)
-    const tx = await web3.eth.sendTransaction({
+    // Execute the swap
+    const tx = await sendTrackedTransaction(privateKey, {
       from: walletAddress,
       to: PANCAKESWAP_ROUTER_ADDRESS,
       data: swapData,
       gas: Math.floor(estimatedGas * 1.1), // Add 10% buffer
-      gasPrice: gasPrice,
-      nonce: nonce // Add the nonce
-    });
+      gasPrice: gasPrice
+    }, 'swap');
     
     // Clean up wallet
     web3.eth.accounts.wallet.remove(walletAddress);
     
     debugLog(`Transaction successful! Hash: ${tx.transactionHash}`, true);
-    return tx.transactionHash;
+    return {
+      txHash: tx.transactionHash,
+      receipt: buildTradeReceipt(tx, walletAddress, tokenAddress, tokenInfo, false, route, gasPrice)
+    };
   } catch (error) {
-    debugError('Error selling token:', error);
+    debugError('Error selling token with specific fee tier:', error);
     
     // Clean up wallet if exists
     try {
@@ -1094,18 +3234,208 @@ async function sellToken(privateKey, tokenAddress, tokenAmount, slippagePercent
 }
 
 /**
- * Buy tokens using BNB with a specific fee tier
- * @param {string} privateKey - Private key of the account
- * @param {string} tokenAddress - Token address to buy
- * @param {string|number} bnbAmount - Amount of BNB to spend
+ * Quote the input needed for an exact-output PancakeSwap V3 swap
+ * @param {string} path - Reversed path (output token first), as expected by exactOutput
+ * @param {string} amountOut - Desired output amount in smallest units
+ * @returns {Promise<string>} Required input amount in smallest units
+ */
+async function quoteV3ExactOutput(path, amountOut) {
+  try {
+    const quoteResult = await quoter.methods.quoteExactOutput(path, amountOut).call();
+    debugLog(`Raw quoter response: ${inspect(quoteResult)}`, true);
+    
+    const amountIn = typeof quoteResult === 'object' ? quoteResult.amountIn : quoteResult;
+    if (amountIn === undefined || safeBN(amountIn).isZero()) {
+      throw new Error('Unexpected quoter response format');
+    }
+    
+    return amountIn.toString();
+  } catch (error) {
+    debugError('Failed to quote input amount using V3 Quoter:', error);
+    throw new Error(`Failed to quote input amount for exact output trade: ${error.message}`);
+  }
+}
+
+/**
+ * Apply slippage to a quoted input amount to get the maximum input
+ * @param {string} amountIn - Quoted input amount in smallest units
  * @param {number} slippagePercent - Slippage tolerance in percentage
- * @param {number} [specificFeeTier] - Use a specific fee tier if provided
- * @returns {Promise<string>} Transaction hash
+ * @returns {string} Maximum input amount in smallest units
  */
-async function buyTokenWithFeeTier(privateKey, tokenAddress, bnbAmount, slippagePercent = 1.0, specificFeeTier = FEE_TIERS.MEDIUM) {
-  debugLog(`Using specific fee tier: ${specificFeeTier / 10000}%`, true);
+function getAmountInMaximum(amountIn, slippagePercent) {
+  return safeBN(amountIn)
+    .mul(safeBN(10000 + Math.round(slippagePercent * 100)))
+    .div(safeBN(10000))
+    .toString();
+}
+
+/**
+ * Build the V3 router multicall of an exact output trade
+ * A buy refunds whatever BNB the swap didn't use. A sell swaps into the router and unwraps, unless WBNB was requested.
+ * @param {string} path - Encoded exactOutput path, output token first
+ * @param {string} amountOut - Exact output in smallest units
+ * @param {string} amountInMaximum - Most input the swap may take, in smallest units
+ * @param {string} walletAddress - Recipient of the output
+ * @param {number} deadline - Deadline timestamp in seconds
+ * @param {boolean} isBuy - True for a BNB to token buy, false for a token to BNB sell
+ * @param {boolean} [receiveWBNB=false] - Deliver a sale's proceeds as WBNB instead of native BNB
+ * @returns {Object} web3 contract method of the multicall
+ */
+function buildExactOutputMethod(path, amountOut, amountInMaximum, walletAddress, deadline, isBuy, receiveWBNB = false) {
+  const unwrap = !isBuy && !receiveWBNB;
+  const swapData = router.methods.exactOutput({
+    path: path,
+    recipient: unwrap ? PANCAKESWAP_ROUTER_ADDRESS : walletAddress,
+    amountOut: amountOut,
+    amountInMaximum: amountInMaximum
+  }).encodeABI();
   
-  // Call the regular buyToken but with fixed fee tier
+  if (isBuy) {
+    return buildV3Multicall([swapData, router.methods.refundETH().encodeABI()], deadline);
+  }
+  
+  return buildV3Multicall(unwrap ? [swapData, router.methods.unwrapWETH9(amountOut, walletAddress).encodeABI()] : [swapData], deadline);
+}
+
+/**
+ * Refuse an exact output trade of a token that takes a transfer tax on that side
+ * A taxed buy can't deliver the exact amount, and V3 pools revert when a taxed sell pays them less than the swap amount.
+ * @param {string} tokenAddress - Token address
+ * @param {string} [walletAddress] - Wallet used to simulate a sell
+ * @param {boolean} isBuy - True for a buy, false for a sell
+ */
+async function rejectTaxedExactOutput(tokenAddress, walletAddress, isBuy) {
+  const transferTax = await detectTransferTax(tokenAddress, walletAddress);
+  const tax = isBuy ? transferTax.buyTax : transferTax.sellTax;
+  
+  if (tax > 0) {
+    throw new Error(`This token takes a ${tax}% transfer tax on ${isBuy ? 'buys' : 'sells'}, so an exact output trade can't ${isBuy ? 'deliver the exact amount' : 'settle on its PancakeSwap V3 pool'}. Trade an exact input amount instead.`);
+  }
+}
+
+/**
+ * Quote an exact output trade between BNB and a token without signing or sending anything
+ * Runs the same pool selection and quoting as buyTokenExactOutput/sellTokenExactOutput
+ * @param {string} tokenAddress - Token address
+ * @param {string|number} amountOut - Exact tokens to receive when buying, exact BNB to receive when selling
+ * @param {number} slippagePercent - Slippage tolerance in percentage, applied to the input
+ * @param {boolean} isBuy - True to quote a buy, false to quote a sell
+ * @param {Object} [options] - Trade options
+ * @param {string} [options.walletAddress] - Wallet used for gas estimation
+ * @param {boolean} [options.receiveWBNB=false] - Quote a sell that delivers WBNB
+ * @param {number} [options.maxPriceImpact] - Flag the quote if its price impact exceeds this percentage
+ * @param {Object} [options.gasStrategy] - Gas strategy to price the gas with; going over its maxGwei is flagged rather than refused
+ * @returns {Promise<Object>} Quote details, with the quoted input as amountIn and the exact output as expectedOutput
+ */
+async function quoteExactOutputTrade(tokenAddress, amountOut, slippagePercent = 1.0, isBuy = true, options = {}) {
+  const tokenInfo = await getTokenInfo(tokenAddress);
+  const inputDecimals = isBuy ? 18 : tokenInfo.decimals;
+  const outputDecimals = isBuy ? tokenInfo.decimals : 18;
+  
+  let amountOutUnits;
+  try {
+    amountOutUnits = isBuy ? toTokenUnits(amountOut, tokenInfo.decimals) : web3.utils.toWei(amountOut.toString(), 'ether');
+  } catch (error) {
+    throw new Error(`Invalid ${isBuy ? 'token' : 'BNB'} amount: ${amountOut}. Please provide a valid number.`);
+  }
+  
+  // Exact output trades are only supported on a direct V3 pool
+  const feeTier = await findValidFeeTier(tokenAddress);
+  if (feeTier === null) {
+    throw new Error('No valid PancakeSwap V3 pool found with sufficient liquidity. Exact output trades require a V3 pool.');
+  }
+  
+  await rejectTaxedExactOutput(tokenAddress, options.walletAddress, isBuy);
+  
+  // exactOutput paths run backwards, output token first
+  const tokens = isBuy ? [WBNB_ADDRESS, tokenAddress] : [tokenAddress, WBNB_ADDRESS];
+  const route = { protocol: 'V3', tokens, fees: [feeTier], amountOut: amountOutUnits, usedFallback: false };
+  const path = encodePath([...route.tokens].reverse(), [feeTier]);
+  const quotedAmountIn = await quoteV3ExactOutput(path, amountOutUnits);
+  const amountInMaximum = getAmountInMaximum(quotedAmountIn, slippagePercent);
+  
+  // Mid price (BNB per token) and the price impact of paying the quoted input
+  let midPrice = null;
+  let priceImpact = null;
+  try {
+    const { midAmountOut, midAmountOutAfterFees } = await getMidPriceOutput(route, quotedAmountIn);
+    const bnbSide = Number(fromTokenUnits(isBuy ? quotedAmountIn : midAmountOut.toString(), 18));
+    const tokenSide = Number(fromTokenUnits(isBuy ? midAmountOut.toString() : quotedAmountIn, tokenInfo.decimals));
+    midPrice = tokenSide > 0 ? bnbSide / tokenSide : null;
+    priceImpact = calculatePriceImpact(midAmountOutAfterFees, amountOutUnits);
+  } catch (error) {
+    debugError('Failed to calculate mid price:', error);
+  }
+  
+  // Gas estimation needs a sender; sells also need an existing allowance
+  let estimatedGas = null;
+  let gasEstimateFailed = false;
+  let revertReason = null;
+  // The quote reports a price above the cap instead of refusing, since nothing is sent
+  const { maxGwei, ...gasStrategy } = options.gasStrategy || {};
+  const gasPrice = await resolveGasPrice(gasStrategy);
+  const gasPriceExceeded = maxGwei !== undefined && Number(web3.utils.fromWei(gasPrice, 'gwei')) > maxGwei;
+  
+  if (options.walletAddress) {
+    const swapMethod = buildExactOutputMethod(path, amountOutUnits, amountInMaximum, options.walletAddress, getDeadline(), isBuy, options.receiveWBNB);
+    
+    estimatedGas = await swapMethod.estimateGas({
+      from: options.walletAddress,
+      value: isBuy ? amountInMaximum : '0'
+    }).catch(error => {
+      debugError('Gas estimation failed:', error);
+      gasEstimateFailed = true;
+      revertReason = decodeRevertReason(error);
+      // Same default gas limit a forced trade uses when estimation fails
+      return FALLBACK_GAS_LIMIT;
+    });
+  }
+  
+  const estimatedGasCost = estimatedGas === null
+    ? null
+    : web3.utils.fromWei(safeBN(gasPrice).mul(safeBN(Math.floor(estimatedGas * 1.1))).toString(), 'ether');
+  
+  return {
+    mode: 'exactOutput',
+    side: isBuy ? 'buy' : 'sell',
+    token: tokenInfo,
+    amountIn: fromTokenUnits(quotedAmountIn, inputDecimals),
+    amountInMaximum: fromTokenUnits(amountInMaximum, inputDecimals),
+    expectedOutput: fromTokenUnits(amountOutUnits, outputDecimals),
+    amountOutMinimum: fromTokenUnits(amountOutUnits, outputDecimals),
+    feeTier,
+    feeTierSelection: null,
+    feeTierQuotes: [],
+    route,
+    splits: null,
+    midPrice,
+    priceImpact,
+    priceImpactExceeded: options.maxPriceImpact !== undefined && priceImpact !== null && priceImpact > options.maxPriceImpact,
+    estimatedGas,
+    gasEstimateFailed,
+    revertReason,
+    gasPrice: web3.utils.fromWei(gasPrice, 'gwei'),
+    gasPriceExceeded,
+    estimatedGasCost,
+    usedFallback: false
+  };
+}
+
+/**
+ * Buy an exact amount of tokens with BNB
+ * Sends the maximum BNB allowed by the slippage bound; unused BNB is refunded in the same transaction
+ * @param {string} privateKey - Private key of the account
+ * @param {string} tokenAddress - Token address to buy
+ * @param {string|number} tokenAmount - Exact amount of tokens to receive
+ * @param {number} slippagePercent - Slippage tolerance in percentage, applied to the BNB input
+ * @param {Object} [options] - Additional trade options
+ * @param {number} [options.maxPriceImpact] - Abort if the price impact of the quoted input exceeds this percentage
+ * @param {Object} [options.gasStrategy] - Gas strategy (mode, gwei, multiplier, maxGwei) for resolveGasPrice; a price above maxGwei refuses the trade
+ * @param {number} [options.deadlineSeconds] - Seconds the swap stays valid once signed; defaults to DEFAULT_DEADLINE_SECONDS
+ * @param {boolean} [options.force=false] - Skip the pre-flight simulation and send the swap even if it looks like it will revert
+ * @returns {Promise<{txHash: string, route: Object, amountInMaximum: string, entryPrice: number|null, receipt: Object}>} Transaction hash, route, BNB cap, the quoted BNB paid per token and the receipt decoded from the mined transaction
+ */
+async function buyTokenExactOutput(privateKey, tokenAddress, tokenAmount, slippagePercent = 1.0, options = {}) {
   try {
     // Add account to wallet
     const account = web3.eth.accounts.privateKeyToAccount(privateKey);
@@ -1114,28 +3444,21 @@ async function buyTokenWithFeeTier(privateKey, tokenAddress, bnbAmount, slippage
     
     debugLog(`Using wallet address: ${walletAddress}`, true);
     
-    // Check BNB balance
-    const bnbBalance = await web3.eth.getBalance(walletAddress);
-    const bnbAmountWei = web3.utils.toWei(bnbAmount.toString(), 'ether');
-    
-    debugLog(`BNB balance: ${web3.utils.fromWei(bnbBalance, 'ether')} BNB`);
-    debugLog(`Attempting to spend: ${bnbAmount} BNB`);
-    
-    if (web3.utils.toBN(bnbBalance).lt(web3.utils.toBN(bnbAmountWei))) {
-      throw new Error(`Insufficient BNB balance. You have ${web3.utils.fromWei(bnbBalance, 'ether')} BNB but trying to spend ${bnbAmount} BNB`);
-    }
-    
     // Get token info
     const tokenInfo = await getTokenInfo(tokenAddress);
     debugLog(`Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
     
-    // Use the specified fee tier instead of finding the best one
-    const feeTier = specificFeeTier;
+    let tokenAmountInUnits;
+    try {
+      tokenAmountInUnits = toTokenUnits(tokenAmount, tokenInfo.decimals);
+    } catch (error) {
+      throw new Error(`Invalid token amount: ${tokenAmount}. Please provide a valid number.`);
+    }
     
-    // Validate if the pool has enough liquidity
-    const isPoolValid = await validatePancakeV3Pool(tokenAddress, feeTier);
-    if (!isPoolValid) {
-      throw new Error(`No valid PancakeSwap V3 pool with ${feeTier/10000}% fee tier found. Try using the auto-select option instead.`);
+    // Exact output trades are only supported on a direct V3 pool
+    const feeTier = await findValidFeeTier(tokenAddress);
+    if (feeTier === null) {
+      throw new Error('No valid PancakeSwap V3 pool found with sufficient liquidity. Exact output trades require a V3 pool.');
     }
     
     // Check if the token might be a honeypot
@@ -1144,172 +3467,179 @@ async function buyTokenWithFeeTier(privateKey, tokenAddress, bnbAmount, slippage
       throw new Error('This token appears to be a potential honeypot. Transaction aborted for your safety.');
     }
     
-    // Encode path for swap (WBNB -> Token)
-    const path = encodePath([WBNB_ADDRESS, tokenAddress], [feeTier]);
+    await rejectTaxedExactOutput(tokenAddress, walletAddress, true);
     
-    // Get expected output amount
-    let expectedOutputAmount = '0';
-    let usedFallback = false;
+    // exactOutput paths run backwards (Token <- WBNB)
+    const path = encodePath([tokenAddress, WBNB_ADDRESS], [feeTier]);
+    const quotedAmountIn = await quoteV3ExactOutput(path, tokenAmountInUnits);
+    const amountInMaximum = getAmountInMaximum(quotedAmountIn, slippagePercent);
+    
+    debugLog(`Quoted input: ${web3.utils.fromWei(quotedAmountIn, 'ether')} BNB`, true);
+    debugLog(`Maximum input (with ${slippagePercent}% slippage): ${web3.utils.fromWei(amountInMaximum, 'ether')} BNB`, true);
+    
+    // Abort before signing if paying the quoted input would move the price more than allowed
+    const route = { protocol: 'V3', tokens: [WBNB_ADDRESS, tokenAddress], fees: [feeTier], amountOut: tokenAmountInUnits, usedFallback: false };
+    await checkPriceImpact(route, quotedAmountIn, tokenAmountInUnits, options.maxPriceImpact);
+    
+    // Check BNB balance against the maximum we may spend
+    const bnbBalance = await web3.eth.getBalance(walletAddress);
+    if (web3.utils.toBN(bnbBalance).lt(web3.utils.toBN(amountInMaximum))) {
+      throw new Error(`Insufficient BNB balance. You have ${web3.utils.fromWei(bnbBalance, 'ether')} BNB but up to ${web3.utils.fromWei(amountInMaximum, 'ether')} BNB may be spent`);
+    }
+    
+    // Price gas up front, so a price above the cap refuses the trade before anything is sent
+    const gasPrice = await resolveGasPrice(options.gasStrategy);
+    
+    // Swap, then refund whatever BNB the swap didn't use
+    const deadline = getDeadline(options.deadlineSeconds);
+    const swapMethod = buildExactOutputMethod(path, tokenAmountInUnits, amountInMaximum, walletAddress, deadline, true);
+    
+    // Simulate against the pending block first, so a swap that would revert is never sent
+    const estimatedGas = await simulateSwap(swapMethod, {
+      from: walletAddress,
+      value: amountInMaximum
+    }, options.force);
+    
+    debugLog(`Gas estimate: ${estimatedGas}`);
+    debugLog(`Gas price: ${web3.utils.fromWei(gasPrice, 'gwei')} gwei`);
+    debugLog(`Buying exactly ${tokenAmount} ${tokenInfo.symbol} for at most ${web3.utils.fromWei(amountInMaximum, 'ether')} BNB`, true);
+    
+    // Execute the swap
+    const tx = await sendTrackedTransaction(privateKey, {
+      from: walletAddress,
+      to: PANCAKESWAP_ROUTER_ADDRESS,
+      data: swapMethod.encodeABI(),
+      value: amountInMaximum,
+      gas: Math.floor(estimatedGas * 1.1), // Add 10% buffer
+      gasPrice: gasPrice
+    }, 'swap');
+    
+    // Clean up wallet
+    web3.eth.accounts.wallet.remove(walletAddress);
+    
+    debugLog(`Transaction successful! Hash: ${tx.transactionHash}`, true);
+    return {
+      txHash: tx.transactionHash,
+      route,
+      amountInMaximum,
+      entryPrice: getTradePrice(quotedAmountIn, tokenAmountInUnits, tokenInfo.decimals),
+      receipt: buildTradeReceipt(tx, walletAddress, tokenAddress, tokenInfo, true, route, gasPrice)
+    };
+  } catch (error) {
+    debugError('Error buying exact token amount:', error);
     
+    // Clean up wallet if exists
     try {
-      // Try using the quoter first
-      const quoteResult = await quoter.methods.quoteExactInput(
-        path,
-        bnbAmountWei
-      ).call();
-      
-      // Enhanced logging for debugging
-      debugLog(`Raw quoter response: ${inspect(quoteResult)}`, true);
-      
-      // Extract the amountOut from the response
-      if (typeof quoteResult === 'object' && quoteResult.amountOut) {
-        expectedOutputAmount = quoteResult.amountOut.toString();
-      } else if (typeof quoteResult === 'string' || typeof quoteResult === 'number') {
-        expectedOutputAmount = quoteResult.toString();
-      } else {
-        throw new Error('Unexpected quoter response format');
-      }
-      
-      debugLog(`Quoted output amount from PancakeSwap V3 Quoter: ${expectedOutputAmount}`);
-    } catch (quoteError) {
-      debugError('Failed to quote output amount using V3 Quoter:', quoteError);
-      usedFallback = true;
-      
-      try {
-        debugLog('Attempting to estimate price using pool data...', true);
-        
-        // Get pool data for manual price calculation
-        const sortedTokens = web3.utils.toChecksumAddress(tokenAddress) < web3.utils.toChecksumAddress(WBNB_ADDRESS)
-          ? [tokenAddress, WBNB_ADDRESS]
-          : [WBNB_ADDRESS, tokenAddress];
-        
-        const poolAddress = await factory.methods.getPool(sortedTokens[0], sortedTokens[1], feeTier).call();
-        
-        if (poolAddress !== '0x0000000000000000000000000000000000000000') {
-          const poolContract = new web3.eth.Contract(poolAbiV3, poolAddress);
-          const slot0 = await poolContract.methods.slot0().call();
-          
-          debugLog(`Pool data - sqrtPriceX96: ${slot0.sqrtPriceX96}`, true);
-          
-          // Safely convert values to BN
-          try {
-            // Calculate price from sqrtPriceX96
-            const sqrtPriceX96 = safeBN(slot0.sqrtPriceX96);
-            const Q96 = web3.utils.toBN(2).pow(web3.utils.toBN(96));
-            
-            // Convert to price depending on token order
-            let price;
-            if (sortedTokens[0] === WBNB_ADDRESS) {
-              // If BNB is token0, then price = 1 / (sqrtPriceX96^2 / 2^192)
-              const sqrtPriceSquared = sqrtPriceX96.mul(sqrtPriceX96);
-              if (sqrtPriceSquared.isZero()) {
-                throw new Error('Price calculation failed: sqrtPriceSquared is zero');
-              }
-              price = Q96.mul(Q96).div(sqrtPriceSquared);
-            } else {
-              // If BNB is token1, then price = sqrtPriceX96^2 / 2^192
-              price = sqrtPriceX96.mul(sqrtPriceX96).div(Q96.mul(Q96));
-            }
-            
-            // Adjust for decimals
-            const decimalAdjustment = web3.utils.toBN(10).pow(web3.utils.toBN(18 - tokenInfo.decimals));
-            price = price.mul(decimalAdjustment);
-            
-            // Calculate rough output amount
-            const inputAmount = safeBN(bnbAmountWei);
-            const divisionFactor = safeBN(10).pow(safeBN(18));
-            let roughOutputAmount;
-            
-            // Avoid division by zero
-            if (divisionFactor.isZero()) {
-              throw new Error('Division by zero error in price calculation');
-            }
-            
-            roughOutputAmount = inputAmount.mul(price).div(divisionFactor);
-            
-            // Apply a safety factor (reduce by 10%) to account for fees and price impact
-            roughOutputAmount = roughOutputAmount.mul(safeBN(90)).div(safeBN(100));
-            
-            expectedOutputAmount = roughOutputAmount.toString();
-            debugLog(`Estimated output amount using pool data: ${expectedOutputAmount}`, true);
-          } catch (calcError) {
-            debugError('Error in price calculation:', calcError);
-            // Use a fallback minimum value
-            expectedOutputAmount = '1000';
-            debugLog('Using minimum fallback value due to calculation error', true);
-          }
-        } else {
-          throw new Error(`No pool exists for this token with the ${feeTier/10000}% fee tier. Try using the auto-select option instead.`);
-        }
-      } catch (fallbackError) {
-        throw new Error(`Could not estimate price for ${feeTier/10000}% fee tier: ${fallbackError.message}`);
-      }
+      const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+      web3.eth.accounts.wallet.remove(account.address);
+    } catch (e) {
+      // Ignore cleanup errors
     }
     
-    // Calculate minimum output amount based on slippage
-    const amountOutMin = web3.utils.toBN(expectedOutputAmount)
-      .mul(web3.utils.toBN(10000 - slippagePercent * 100))
-      .div(web3.utils.toBN(10000))
-      .toString();
+    throw error;
+  }
+}
+
+/**
+ * Sell as many tokens as needed to receive an exact amount of BNB
+ * @param {string} privateKey - Private key of the account
+ * @param {string} tokenAddress - Token address to sell
+ * @param {string|number} bnbAmount - Exact amount of BNB to receive
+ * @param {number} slippagePercent - Slippage tolerance in percentage, applied to the token input
+ * @param {Object} [options] - Additional trade options
+ * @param {boolean} [options.receiveWBNB=false] - Deliver the proceeds as WBNB instead of native BNB
+ * @param {number} [options.maxPriceImpact] - Abort if the price impact of the quoted input exceeds this percentage
+ * @param {Object} [options.gasStrategy] - Gas strategy (mode, gwei, multiplier, maxGwei) for resolveGasPrice; a price above maxGwei refuses the trade
+ * @param {number} [options.deadlineSeconds] - Seconds the swap stays valid once signed; defaults to DEFAULT_DEADLINE_SECONDS
+ * @param {string} [options.approvalMode='exact'] - Approve the router for exactly the amount sold, that plus a 10% buffer ('buffer'), or 'unlimited'
+ * @param {boolean} [options.force=false] - Skip the pre-flight simulation and send the swap even if it looks like it will revert
+ * @returns {Promise<{txHash: string, route: Object, amountInMaximum: string, receipt: Object}>} Transaction hash, route, token cap and the receipt decoded from the mined transaction
+ */
+async function sellTokenExactOutput(privateKey, tokenAddress, bnbAmount, slippagePercent = 1.0, options = {}) {
+  try {
+    // Add account to wallet
+    const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+    web3.eth.accounts.wallet.add(account);
+    const walletAddress = account.address;
+    
+    debugLog(`Using wallet address: ${walletAddress}`, true);
     
-    debugLog(`Expected output: ${fromTokenUnits(expectedOutputAmount, tokenInfo.decimals)} ${tokenInfo.symbol}`, true);
-    debugLog(`Minimum output (with ${slippagePercent}% slippage): ${fromTokenUnits(amountOutMin, tokenInfo.decimals)} ${tokenInfo.symbol}`, true);
+    // Get token info
+    const tokenInfo = await getTokenInfo(tokenAddress);
+    const tokenContract = new web3.eth.Contract(erc20Abi, tokenAddress);
+    debugLog(`Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
     
-    if (usedFallback) {
-      debugLog('⚠️ Using estimated price due to quoter failure. Consider using higher slippage.', true);
+    let bnbAmountWei;
+    try {
+      bnbAmountWei = web3.utils.toWei(bnbAmount.toString(), 'ether');
+    } catch (error) {
+      throw new Error(`Invalid BNB amount: ${bnbAmount}. Please provide a valid number.`);
+    }
+    
+    // Exact output trades are only supported on a direct V3 pool
+    const feeTier = await findValidFeeTier(tokenAddress);
+    if (feeTier === null) {
+      throw new Error('No valid PancakeSwap V3 pool found with sufficient liquidity. Exact output trades require a V3 pool.');
     }
     
-    // Get the next nonce
-    const nonce = await getNextNonce(walletAddress);
+    await rejectTaxedExactOutput(tokenAddress, walletAddress, false);
     
-    // Setup swap parameters
-    const recipient = walletAddress;
-    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
+    // exactOutput paths run backwards (WBNB <- Token)
+    const path = encodePath([WBNB_ADDRESS, tokenAddress], [feeTier]);
+    const quotedAmountIn = await quoteV3ExactOutput(path, bnbAmountWei);
+    const amountInMaximum = getAmountInMaximum(quotedAmountIn, slippagePercent);
     
-    // Estimate gas
-    const gasPrice = await web3.eth.getGasPrice();
+    debugLog(`Quoted input: ${fromTokenUnits(quotedAmountIn, tokenInfo.decimals)} ${tokenInfo.symbol}`, true);
+    debugLog(`Maximum input (with ${slippagePercent}% slippage): ${fromTokenUnits(amountInMaximum, tokenInfo.decimals)} ${tokenInfo.symbol}`, true);
     
-    // Prepare transaction
-    const swapParams = {
-      path: path,
-      recipient: recipient,
-      deadline: deadline,
-      amountIn: bnbAmountWei,
-      amountOutMinimum: amountOutMin
-    };
+    // Abort before signing if selling the quoted input would move the price more than allowed
+    const route = { protocol: 'V3', tokens: [tokenAddress, WBNB_ADDRESS], fees: [feeTier], amountOut: bnbAmountWei, usedFallback: false };
+    await checkPriceImpact(route, quotedAmountIn, bnbAmountWei, options.maxPriceImpact);
     
-    const swapData = router.methods.exactInput(swapParams).encodeABI();
-    const estimatedGas = await router.methods.exactInput(swapParams).estimateGas({
-      from: walletAddress,
-      value: bnbAmountWei
-    }).catch(error => {
-      debugError('Gas estimation failed:', error);
-      // Default gas limit if estimation fails
-      return 500000;
-    });
+    // Check token balance against the maximum we may sell
+    const tokenBalance = await tokenContract.methods.balanceOf(walletAddress).call();
+    if (web3.utils.toBN(tokenBalance).lt(web3.utils.toBN(amountInMaximum))) {
+      throw new Error(`Insufficient token balance. You have ${fromTokenUnits(tokenBalance, tokenInfo.decimals)} ${tokenInfo.symbol} but up to ${fromTokenUnits(amountInMaximum, tokenInfo.decimals)} ${tokenInfo.symbol} may be sold`);
+    }
+    
+    // Price gas up front, so a price above the cap refuses the trade before anything is sent
+    const gasPrice = await resolveGasPrice(options.gasStrategy);
+    
+    // Swap into the router and unwrap, unless WBNB was requested
+    const deadline = getDeadline(options.deadlineSeconds);
+    const swapMethod = buildExactOutputMethod(path, bnbAmountWei, amountInMaximum, walletAddress, deadline, false, options.receiveWBNB);
+    
+    // Simulate against the pending block first, so a swap that would revert is never sent, and only then
+    // approve the router, which may pull up to the maximum input
+    const estimatedGas = await simulateAndApproveSwap(privateKey, tokenContract, PANCAKESWAP_ROUTER_ADDRESS, amountInMaximum, gasPrice, swapMethod, {
+      from: walletAddress
+    }, options);
     
     debugLog(`Gas estimate: ${estimatedGas}`);
     debugLog(`Gas price: ${web3.utils.fromWei(gasPrice, 'gwei')} gwei`);
-    debugLog(`Swapping ${bnbAmount} BNB for ${tokenInfo.symbol} with ${slippagePercent}% slippage and ${feeTier/10000}% fee tier`, true);
+    debugLog(`Selling at most ${fromTokenUnits(amountInMaximum, tokenInfo.decimals)} ${tokenInfo.symbol} for exactly ${bnbAmount} ${options.receiveWBNB ? 'WBNB' : 'BNB'}`, true);
     
     // Execute the swap
-    const tx = await web3.eth.sendTransaction({
+    const tx = await sendTrackedTransaction(privateKey, {
       from: walletAddress,
       to: PANCAKESWAP_ROUTER_ADDRESS,
-      data: swapData,
-      value: bnbAmountWei,
+      data: swapMethod.encodeABI(),
       gas: Math.floor(estimatedGas * 1.1), // Add 10% buffer
-      gasPrice: gasPrice,
-      nonce: nonce // Add the nonce
-    });
+      gasPrice: gasPrice
+    }, 'swap');
     
     // Clean up wallet
     web3.eth.accounts.wallet.remove(walletAddress);
     
     debugLog(`Transaction successful! Hash: ${tx.transactionHash}`, true);
-    return tx.transactionHash;
+    return {
+      txHash: tx.transactionHash,
+      route,
+      amountInMaximum,
+      receipt: buildTradeReceipt(tx, walletAddress, tokenAddress, tokenInfo, false, route, gasPrice)
+    };
   } catch (error) {
-    debugError('Error buying token with specific fee tier:', error);
+    debugError('Error selling token for exact BNB amount:', error);
     
     // Clean up wallet if exists
     try {
@@ -1324,17 +3654,23 @@ async function buyTokenWithFeeTier(privateKey, tokenAddress, bnbAmount, slippage
 }
 
 /**
- * Sell tokens for BNB with a specific fee tier
+ * Swap any token for any other token
+ * Either side may be 'BNB', which is paid or delivered as native BNB and routed as WBNB
  * @param {string} privateKey - Private key of the account
- * @param {string} tokenAddress - Token address to sell
- * @param {string|number} tokenAmount - Amount of tokens to sell
- * @param {number} slippagePercent - Slippage tolerance in percentage
- * @param {number} [specificFeeTier] - Use a specific fee tier if provided
- * @returns {Promise<string>} Transaction hash
+ * @param {string} tokenIn - Token address to sell, or 'BNB'
+ * @param {string} tokenOut - Token address to buy, or 'BNB'
+ * @param {string|number} amount - Amount of tokenIn to swap; token inputs also accept a percentage of the balance such as "25%", or "max"
+ * @param {Object} [options] - Additional trade options
+ * @param {number} [options.slippagePercent=1.0] - Slippage tolerance in percentage
+ * @param {string[]} [options.baseTokens] - Intermediate tokens for multi-hop routes (defaults to WBNB plus ROUTING_BASE_TOKENS)
+ * @param {number} [options.maxPriceImpact] - Abort if the price impact exceeds this percentage
+ * @param {Object} [options.gasStrategy] - Gas strategy (mode, gwei, multiplier, maxGwei) for resolveGasPrice; a price above maxGwei refuses the trade
+ * @param {number} [options.deadlineSeconds] - Seconds the swap stays valid once signed; defaults to DEFAULT_DEADLINE_SECONDS
+ * @param {string} [options.approvalMode='exact'] - Approve the router for exactly the amount sold, that plus a 10% buffer ('buffer'), or 'unlimited'
+ * @param {boolean} [options.force=false] - Skip the pre-flight simulation and send the swap even if it looks like it will revert
+ * @returns {Promise<{txHash: string, route: Object, expectedOutput: string, amountOutMinimum: string, receipt: Object}>} Transaction hash, the route used, the quoted output and the receipt decoded from the mined transaction
  */
-async function sellTokenWithFeeTier(privateKey, tokenAddress, tokenAmount, slippagePercent = 1.0, specificFeeTier = FEE_TIERS.MEDIUM) {
-  debugLog(`Using specific fee tier: ${specificFeeTier / 10000}%`, true);
-  
+async function swapTokens(privateKey, tokenIn, tokenOut, amount, options = {}) {
   try {
     // Add account to wallet
     const account = web3.eth.accounts.privateKeyToAccount(privateKey);
@@ -1343,227 +3679,156 @@ async function sellTokenWithFeeTier(privateKey, tokenAddress, tokenAmount, slipp
     
     debugLog(`Using wallet address: ${walletAddress}`, true);
     
-    // Get token info
-    const tokenInfo = await getTokenInfo(tokenAddress);
-    debugLog(`Token: ${tokenInfo.name} (${tokenInfo.symbol})`);
+    const slippagePercent = options.slippagePercent === undefined ? 1.0 : options.slippagePercent;
+    const nativeIn = tokenIn.toLowerCase() === 'bnb';
+    const nativeOut = tokenOut.toLowerCase() === 'bnb';
+    const routeTokenIn = nativeIn ? WBNB_ADDRESS : tokenIn;
+    const routeTokenOut = nativeOut ? WBNB_ADDRESS : tokenOut;
     
-    // Convert token amount to token units
-    const tokenContract = new web3.eth.Contract(erc20Abi, tokenAddress);
-    const tokenAmountInUnits = toTokenUnits(tokenAmount, tokenInfo.decimals);
+    if (routeTokenIn.toLowerCase() === routeTokenOut.toLowerCase()) {
+      throw new Error('Input and output tokens must be different');
+    }
     
-    // Check token balance
-    const tokenBalance = await tokenContract.methods.balanceOf(walletAddress).call();
-    debugLog(`Token balance: ${fromTokenUnits(tokenBalance, tokenInfo.decimals)} ${tokenInfo.symbol}`);
-    debugLog(`Attempting to sell: ${tokenAmount} ${tokenInfo.symbol}`);
+    // Get token info for both sides
+    const [tokenInInfo, tokenOutInfo] = await Promise.all([getTokenInfo(tokenIn), getTokenInfo(tokenOut)]);
+    debugLog(`Swapping ${tokenInInfo.symbol} for ${tokenOutInfo.symbol}`);
     
-    if (web3.utils.toBN(tokenBalance).lt(web3.utils.toBN(tokenAmountInUnits))) {
-      throw new Error(`Insufficient token balance. You have ${fromTokenUnits(tokenBalance, tokenInfo.decimals)} ${tokenInfo.symbol} but trying to sell ${tokenAmount} ${tokenInfo.symbol}`);
+    // Check the input balance
+    const tokenInContract = nativeIn ? null : new web3.eth.Contract(erc20Abi, tokenIn);
+    const balance = nativeIn
+      ? await web3.eth.getBalance(walletAddress)
+      : await tokenInContract.methods.balanceOf(walletAddress).call();
+    
+    // Percentages and "max" resolve against the token balance; native BNB also has to pay for gas
+    let amountIn;
+    try {
+      if (nativeIn && parseBalanceShare(amount) !== null) {
+        throw new Error('Relative amounts are not supported when swapping from BNB');
+      }
+      amountIn = resolveTokenAmount(amount, balance, tokenInInfo.decimals);
+    } catch (error) {
+      throw new Error(`Invalid ${tokenInInfo.symbol} amount: ${amount}. ${nativeIn ? 'Please provide a valid number.' : 'Please provide a valid number, a percentage of your balance or "max".'}`);
     }
     
-    // Use the specified fee tier instead of finding the best one
-    const feeTier = specificFeeTier;
+    if (web3.utils.toBN(amountIn).isZero()) {
+      throw new Error(`Insufficient ${tokenInInfo.symbol} balance. You have ${fromTokenUnits(balance, tokenInInfo.decimals)} ${tokenInInfo.symbol}, so there is nothing to swap`);
+    }
     
-    // Validate if the pool has enough liquidity
-    const isPoolValid = await validatePancakeV3Pool(tokenAddress, feeTier);
-    if (!isPoolValid) {
-      throw new Error(`No valid PancakeSwap V3 pool with ${feeTier/10000}% fee tier found. Try using the auto-select option instead.`);
+    if (web3.utils.toBN(balance).lt(web3.utils.toBN(amountIn))) {
+      throw new Error(`Insufficient ${tokenInInfo.symbol} balance. You have ${fromTokenUnits(balance, tokenInInfo.decimals)} ${tokenInInfo.symbol} but trying to swap ${amount} ${tokenInInfo.symbol}`);
     }
     
-    // Encode path for swap (Token -> WBNB)
-    const path = encodePath([tokenAddress, WBNB_ADDRESS], [feeTier]);
+    // Check if the token being bought might be a honeypot
+    if (!nativeOut) {
+      const isHoneypot = await checkForHoneypot(tokenOut);
+      if (isHoneypot) {
+        throw new Error('This token appears to be a potential honeypot. Transaction aborted for your safety.');
+      }
+    }
     
-    // Get expected output amount
-    let expectedOutputAmount = '0';
-    let usedFallback = false;
+    // Taxed tokens deliver less than the pools pay out, and V3 pools can't take a taxed input
+    const isWbnb = token => token.toLowerCase() === WBNB_ADDRESS.toLowerCase();
+    const sellTax = isWbnb(routeTokenIn) ? 0 : (await detectTransferTax(routeTokenIn, walletAddress)).sellTax || 0;
+    const buyTax = isWbnb(routeTokenOut) ? 0 : (await detectTransferTax(routeTokenOut, walletAddress)).buyTax || 0;
     
-    try {
-      // Try using the quoter first
-      const quoteResult = await quoter.methods.quoteExactInput(
-        path,
-        tokenAmountInUnits
-      ).call();
-      
-      // Enhanced logging for debugging
-      debugLog(`Raw quoter response: ${inspect(quoteResult)}`, true);
+    // Select the route
+    let route;
+    let quotedAmountIn = amountIn;
+    
+    if (sellTax > 0) {
+      // V3 pools revert when they receive less than the swap amount, so a taxed input goes through the V2 pair
+      // and is quoted on what is left after the tax
+      quotedAmountIn = applyTax(amountIn, sellTax);
+      const v2AmountOut = await getV2Quote(routeTokenIn, routeTokenOut, quotedAmountIn);
       
-      // Extract the amountOut from the response
-      if (typeof quoteResult === 'object' && quoteResult.amountOut) {
-        expectedOutputAmount = quoteResult.amountOut.toString();
-      } else if (typeof quoteResult === 'string' || typeof quoteResult === 'number') {
-        expectedOutputAmount = quoteResult.toString();
-      } else {
-        throw new Error('Unexpected quoter response format');
+      if (v2AmountOut === null) {
+        throw new Error(`${tokenInInfo.symbol} takes a ${sellTax}% transfer tax on sells and has no PancakeSwap V2 pair with ${tokenOutInfo.symbol}. PancakeSwap V3 pools cannot settle taxed transfers.`);
       }
       
-      debugLog(`Quoted output amount from PancakeSwap V3 Quoter: ${expectedOutputAmount}`);
-    } catch (quoteError) {
-      debugError('Failed to quote output amount using V3 Quoter:', quoteError);
-      usedFallback = true;
+      route = {
+        protocol: 'V2',
+        tokens: [routeTokenIn, routeTokenOut],
+        fees: [],
+        amountOut: v2AmountOut,
+        usedFallback: false,
+        feeOnTransfer: true
+      };
+    } else {
+      route = await findBestTokenRoute(routeTokenIn, routeTokenOut, amountIn, options.baseTokens);
+    }
+    
+    // expectedOutputAmount is what the router's minimum-output check sees; expectedReceivedAmount is what arrives
+    let expectedOutputAmount = route.amountOut;
+    let expectedReceivedAmount = route.amountOut;
+    
+    if (buyTax > 0) {
+      expectedReceivedAmount = applyTax(route.amountOut, buyTax);
       
-      try {
-        debugLog('Attempting to estimate price using pool data...', true);
-        
-        // Get pool data for manual price calculation
-        const sortedTokens = web3.utils.toChecksumAddress(tokenAddress) < web3.utils.toChecksumAddress(WBNB_ADDRESS)
-          ? [tokenAddress, WBNB_ADDRESS]
-          : [WBNB_ADDRESS, tokenAddress];
-        
-        const poolAddress = await factory.methods.getPool(sortedTokens[0], sortedTokens[1], feeTier).call();
-        
-        if (poolAddress !== '0x0000000000000000000000000000000000000000') {
-          const poolContract = new web3.eth.Contract(poolAbiV3, poolAddress);
-          const slot0 = await poolContract.methods.slot0().call();
-          
-          debugLog(`Pool data - sqrtPriceX96: ${slot0.sqrtPriceX96}`, true);
-          
-          // Safely convert values to BN
-          try {
-            // Calculate price from sqrtPriceX96
-            const sqrtPriceX96 = safeBN(slot0.sqrtPriceX96);
-            const Q96 = web3.utils.toBN(2).pow(web3.utils.toBN(96));
-            
-            // Convert to price depending on token order
-            let price;
-            if (sortedTokens[0] === tokenAddress) {
-              // If token is token0, then token price in BNB = 1 / (sqrtPriceX96^2 / 2^192)
-              const sqrtPriceSquared = sqrtPriceX96.mul(sqrtPriceX96);
-              if (sqrtPriceSquared.isZero()) {
-                throw new Error('Price calculation failed: sqrtPriceSquared is zero');
-              }
-              price = Q96.mul(Q96).div(sqrtPriceSquared);
-            } else {
-              // If token is token1, then token price in BNB = sqrtPriceX96^2 / 2^192
-              price = sqrtPriceX96.mul(sqrtPriceX96).div(Q96.mul(Q96));
-            }
-            
-            // Adjust for decimals
-            const decimalAdjustment = web3.utils.toBN(10).pow(web3.utils.toBN(tokenInfo.decimals - 18));
-            price = price.mul(decimalAdjustment);
-            
-            // Calculate rough output amount
-            const inputAmount = safeBN(tokenAmountInUnits);
-            const divisionFactor = safeBN(10).pow(safeBN(tokenInfo.decimals));
-            let roughOutputAmount;
-            
-            // Avoid division by zero
-            if (divisionFactor.isZero()) {
-              throw new Error('Division by zero error in price calculation');
-            }
-            
-            roughOutputAmount = inputAmount.mul(price).div(divisionFactor);
-            
-            // Apply a safety factor (reduce by 10%) to account for fees and price impact
-            roughOutputAmount = roughOutputAmount.mul(safeBN(90)).div(safeBN(100));
-            
-            expectedOutputAmount = roughOutputAmount.toString();
-            debugLog(`Estimated output amount using pool data: ${expectedOutputAmount}`, true);
-          } catch (calcError) {
-            debugError('Error in price calculation:', calcError);
-            // Use a fallback minimum value
-            expectedOutputAmount = '1000';
-            debugLog('Using minimum fallback value due to calculation error', true);
-          }
-        } else {
-          throw new Error(`No pool exists for this token with the ${feeTier/10000}% fee tier. Try using the auto-select option instead.`);
-        }
-      } catch (fallbackError) {
-        throw new Error(`Could not estimate price for ${feeTier/10000}% fee tier: ${fallbackError.message}`);
+      // V3 checks the amount the pool sends; the fee-on-transfer V2 functions check what the wallet gains
+      if (route.protocol === 'V2') {
+        route.feeOnTransfer = true;
+        expectedOutputAmount = expectedReceivedAmount;
       }
     }
     
-    // Calculate minimum output amount based on slippage
-    const amountOutMin = web3.utils.toBN(expectedOutputAmount)
-      .mul(web3.utils.toBN(10000 - slippagePercent * 100))
-      .div(web3.utils.toBN(10000))
-      .toString();
-    
-    debugLog(`Expected output: ${web3.utils.fromWei(expectedOutputAmount, 'ether')} BNB`, true);
-    debugLog(`Minimum output (with ${slippagePercent}% slippage): ${web3.utils.fromWei(amountOutMin, 'ether')} BNB`, true);
+    const amountOutMin = getAmountOutMinimum(expectedOutputAmount, slippagePercent);
     
-    if (usedFallback) {
-      debugLog('⚠️ Using estimated price due to quoter failure. Consider using higher slippage.', true);
+    debugLog(`Routing through ${describeRoute(route)}`, true);
+    if (sellTax > 0) {
+      debugLog(`${tokenInInfo.symbol} takes a ${sellTax}% transfer tax on sells`, true);
     }
+    if (buyTax > 0) {
+      debugLog(`${tokenOutInfo.symbol} takes a ${buyTax}% transfer tax on buys`, true);
+    }
+    debugLog(`Expected output: ${fromTokenUnits(expectedReceivedAmount, tokenOutInfo.decimals)} ${tokenOutInfo.symbol}`, true);
+    debugLog(`Minimum output (with ${slippagePercent}% slippage): ${fromTokenUnits(amountOutMin, tokenOutInfo.decimals)} ${tokenOutInfo.symbol}`, true);
     
-    // Get the next nonce for approval transaction
-    let nonce = await getNextNonce(walletAddress);
+    // Abort before signing if the trade would move the price more than allowed
+    await checkPriceImpact(route, quotedAmountIn, route.amountOut, options.maxPriceImpact);
     
-    // Check if the token has any transfer restrictions
-    try {
-      // Check allowance
-      const allowance = await tokenContract.methods.allowance(walletAddress, PANCAKESWAP_ROUTER_ADDRESS).call();
-      
-      // If allowance is less than the amount to sell, approve tokens
-      if (web3.utils.toBN(allowance).lt(web3.utils.toBN(tokenAmountInUnits))) {
-        debugLog('Approving tokens for PancakeSwap V3 router...', true);
-        
-        // Unlimited approval
-        const approveAmount = web3.utils.toBN(2).pow(web3.utils.toBN(256)).sub(web3.utils.toBN(1)).toString();
-        
-        const approveTx = await tokenContract.methods.approve(PANCAKESWAP_ROUTER_ADDRESS, approveAmount).send({
-          from: walletAddress,
-          gas: 200000,
-          gasPrice: await web3.eth.getGasPrice(),
-          nonce: nonce // Add the nonce for approval
-        });
-        
-        debugLog(`Token approval successful! Hash: ${approveTx.transactionHash}`);
-        
-        // Increment nonce for the next transaction
-        nonce++;
-      } else {
-        debugLog('Token already approved for PancakeSwap V3 router');
-      }
-    } catch (error) {
-      debugError('Token approval failed:', error);
-      throw new Error(`Token approval failed: ${error.message}. This token may have transfer restrictions or be a honeypot.`);
-    }
+    // Price gas up front, so a price above the cap refuses the trade before anything is sent
+    const gasPrice = await resolveGasPrice(options.gasStrategy);
     
     // Setup swap parameters
-    const recipient = walletAddress;
-    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes
-    
-    // Estimate gas
-    const gasPrice = await web3.eth.getGasPrice();
+    const deadline = getDeadline(options.deadlineSeconds);
+    const { swapMethod, swapTarget } = buildRouteSwapMethod(route, amountIn, amountOutMin, walletAddress, deadline, nativeIn, nativeOut);
     
-    // Prepare transaction
-    const swapParams = {
-      path: path,
-      recipient: recipient,
-      deadline: deadline,
-      amountIn: tokenAmountInUnits,
-      amountOutMinimum: amountOutMin
-    };
+    // Native BNB is sent as the transaction value; tokens need an allowance for the router
+    const value = nativeIn ? amountIn : '0';
+    const callOptions = { from: walletAddress, value: value };
     
-    const swapData = router.methods.exactInput(swapParams).encodeABI();
-    const estimatedGas = await router.methods.exactInput(swapParams).estimateGas({
-      from: walletAddress
-    }).catch(error => {
-      debugError('Gas estimation failed:', error);
-      // Default gas limit if estimation fails
-      return 500000;
-    });
+    // Simulate against the pending block first, so a swap that would revert is never sent, and only then approve
+    const estimatedGas = nativeIn
+      ? await simulateSwap(swapMethod, callOptions, options.force)
+      : await simulateAndApproveSwap(privateKey, tokenInContract, swapTarget, amountIn, gasPrice, swapMethod, callOptions, options);
     
     debugLog(`Gas estimate: ${estimatedGas}`);
     debugLog(`Gas price: ${web3.utils.fromWei(gasPrice, 'gwei')} gwei`);
-    debugLog(`Swapping ${tokenAmount} ${tokenInfo.symbol} for BNB with ${slippagePercent}% slippage and ${feeTier/10000}% fee tier`, true);
+    debugLog(`Swapping ${amount} ${tokenInInfo.symbol} for ${tokenOutInfo.symbol} with ${slippagePercent}% slippage via ${describeRoute(route)}`, true);
     
-    // Execute the swap with the current nonce (either incremented after approval or the original one)
-    const tx = await web3.eth.sendTransaction({
+    // Execute the swap
+    const tx = await sendTrackedTransaction(privateKey, {
       from: walletAddress,
-      to: PANCAKESWAP_ROUTER_ADDRESS,
-      data: swapData,
+      to: swapTarget,
+      data: swapMethod.encodeABI(),
+      value: value,
       gas: Math.floor(estimatedGas * 1.1), // Add 10% buffer
-      gasPrice: gasPrice,
-      nonce: nonce // Add the nonce
-    });
+      gasPrice: gasPrice
+    }, 'swap');
     
     // Clean up wallet
     web3.eth.accounts.wallet.remove(walletAddress);
     
     debugLog(`Transaction successful! Hash: ${tx.transactionHash}`, true);
-    return tx.transactionHash;
+    return {
+      txHash: tx.transactionHash,
+      route,
+      expectedOutput: fromTokenUnits(expectedReceivedAmount, tokenOutInfo.decimals),
+      amountOutMinimum: fromTokenUnits(amountOutMin, tokenOutInfo.decimals),
+      receipt: buildSwapReceipt(tx, walletAddress, tokenIn, tokenOut, tokenInInfo, tokenOutInfo, route, gasPrice)
+    };
   } catch (error) {
-    debugError('Error selling token with specific fee tier:', error);
+    debugError('Error swapping tokens:', error);
     
     // Clean up wallet if exists
     try {
@@ -1577,13 +3842,115 @@ async function sellTokenWithFeeTier(privateKey, tokenAddress, tokenAmount, slipp
   }
 }
 
+/**
+ * List a wallet's router allowances across the known tokens
+ * Tokens checked are WBNB, ROUTING_BASE_TOKENS and any extra tokens given; only non-zero allowances are listed.
+ * A token that can't be read, such as an address that isn't an ERC20 token, is listed with the error instead.
+ * @param {string} walletAddress - Wallet address
+ * @param {string[]} [tokenAddresses] - Extra tokens to check
+ * @returns {Promise<Object[]>} Token, router and allowance of every approval, or token and error of every token that failed
+ */
+async function getAllowances(walletAddress, tokenAddresses = []) {
+  const tokens = [WBNB_ADDRESS, ...ROUTING_BASE_TOKENS, ...tokenAddresses]
+    .filter((address, index, all) => all.findIndex(other => other.toLowerCase() === address.toLowerCase()) === index);
+  // Tokens that spend from an unlimited allowance count it down, so anything past half of MAX_UINT256 is still unlimited
+  const unlimitedThreshold = web3.utils.toBN(MAX_UINT256).divn(2);
+  
+  const allowances = await Promise.all(tokens.map(async tokenAddress => {
+    try {
+      const tokenInfo = await getTokenInfo(tokenAddress);
+      const tokenContract = new web3.eth.Contract(erc20Abi, tokenAddress);
+      
+      return await Promise.all(ROUTERS.map(async router => {
+        const allowance = await tokenContract.methods.allowance(walletAddress, router.address).call();
+        const unlimited = web3.utils.toBN(allowance).gte(unlimitedThreshold);
+        
+        return {
+          tokenAddress,
+          symbol: tokenInfo.symbol,
+          spender: router.address,
+          spenderName: router.name,
+          allowance: unlimited ? 'unlimited' : fromTokenUnits(allowance, tokenInfo.decimals),
+          allowanceUnits: allowance.toString(),
+          unlimited
+        };
+      }));
+    } catch (error) {
+      debugError(`Failed to read the allowances of ${tokenAddress}:`, error);
+      return [{ tokenAddress, error: error.message }];
+    }
+  }));
+  
+  return allowances.flat().filter(entry => entry.allowanceUnits !== '0');
+}
+
+/**
+ * Set a wallet's allowance for a router back to zero
+ * @param {string} privateKey - Private key of the wallet
+ * @param {string} tokenAddress - Token address
+ * @param {string} [spender] - Router to revoke; every router with an allowance if omitted
+ * @param {Object} [options] - Additional options
+ * @param {Object} [options.gasStrategy] - Gas strategy for resolveGasPrice
+ * @returns {Promise<Object[]>} Router and transaction hash of every revoked allowance
+ */
+async function revokeApproval(privateKey, tokenAddress, spender, options = {}) {
+  const walletAddress = web3.eth.accounts.privateKeyToAccount(privateKey).address;
+  const tokenInfo = await getTokenInfo(tokenAddress);
+  const tokenContract = new web3.eth.Contract(erc20Abi, tokenAddress);
+  const spenders = spender ? [spender] : ROUTERS.map(router => router.address);
+  
+  const approved = [];
+  for (const address of spenders) {
+    const allowance = await tokenContract.methods.allowance(walletAddress, address).call();
+    if (!web3.utils.toBN(allowance).isZero()) {
+      approved.push(address);
+    }
+  }
+  
+  if (approved.length === 0) {
+    throw new Error(`${walletAddress} has no ${tokenInfo.symbol} allowance to revoke`);
+  }
+  
+  const gasPrice = await resolveGasPrice(options.gasStrategy);
+  const revoked = [];
+  
+  // One at a time, each waiting to mine, like the approvals before a sell
+  for (const address of approved) {
+    const approveMethod = tokenContract.methods.approve(address, '0');
+    const tx = await sendTrackedTransaction(privateKey, {
+      from: walletAddress,
+      to: tokenAddress,
+      data: approveMethod.encodeABI(),
+      gas: await estimateApprovalGas(approveMethod, walletAddress),
+      gasPrice
+    }, 'approval');
+    
+    debugLog(`Revoked ${tokenInfo.symbol} allowance of ${address}: ${tx.transactionHash}`, true);
+    revoked.push({ spender: address, txHash: tx.transactionHash });
+  }
+  
+  return revoked;
+}
+
 module.exports = {
   buyToken,
   sellToken,
   getTokenInfo,
   toTokenUnits,
   fromTokenUnits,
+  parseBalanceShare,
   findBestFeeTier,
   buyTokenWithFeeTier,
-  sellTokenWithFeeTier
+  sellTokenWithFeeTier,
+  buyTokenExactOutput,
+  sellTokenExactOutput,
+  quoteTrade,
+  quoteExactOutputTrade,
+  getPoolPrice,
+  swapTokens,
+  checkForHoneypot,
+  validatePancakeV3Pool,
+  detectTransferTax,
+  getAllowances,
+  revokeApproval
 }; 
\ No newline at end of file
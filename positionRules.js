@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const Web3 = require('web3');
+const { BSC_RPC_URL, PRICE_POLL_INTERVAL_MS } = require('./utils/constants');
+const { loadState, saveState } = require('./utils/storage');
+const { encryptPrivateKey, decryptPrivateKey } = require('./utils/keystore');
+const { sellToken, getTokenInfo, getPoolPrice } = require('./pancakeSwapWeb3');
+
+const web3 = new Web3(BSC_RPC_URL);
+
+const STATE_FILE = 'position-rules.json';
+
+// Rules by id, including each rule's encrypted key; restored from disk on startup
+const rules = new Map(loadState(STATE_FILE, []).map(rule => [rule.id, rule]));
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Write every rule to disk
+ */
+function persistRules() {
+  saveState(STATE_FILE, Array.from(rules.values()));
+}
+
+/**
+ * Copy of a rule that is safe to return from the API
+ * @param {Object} rule - Stored rule
+ * @returns {Object} Rule without its encrypted key
+ */
+function toPublicRule(rule) {
+  const { keystore, ...publicRule } = rule;
+  return publicRule;
+}
+
+/**
+ * Whether the pool price has crossed a rule's trigger
+ * Take-profit fires at or above its trigger price; stop-loss and trailing stop at or below
+ * @param {Object} rule - Stored rule
+ * @param {number} price - Current price in BNB per token
+ * @returns {boolean} True if the rule should sell
+ */
+function isTriggered(rule, price) {
+  return rule.type === 'takeProfit' ? price >= rule.triggerPrice : price <= rule.triggerPrice;
+}
+
+/**
+ * Build one rule of a position
+ * @param {Object} position - Fields shared by every rule of the position
+ * @param {string} type - 'stopLoss', 'takeProfit' or 'trailingStop'
+ * @param {number} thresholdPercent - Distance of the trigger from the entry (or, for a trailing stop, the highest) price
+ * @param {number} currentPrice - Current pool price
+ * @returns {Object} New rule
+ */
+function buildRule(position, type, thresholdPercent, currentPrice) {
+  const rule = {
+    id: crypto.randomBytes(8).toString('hex'),
+    ...position,
+    type,
+    thresholdPercent,
+    triggerPrice: null,
+    highestPrice: null,
+    status: 'open',
+    createdAt: Date.now(),
+    lastPrice: currentPrice,
+    lastCheckedAt: Date.now(),
+    executedAt: null,
+    triggeredAtPrice: null,
+    executionPrice: null,
+    txHash: null,
+    error: null,
+    cancelReason: null
+  };
+  
+  if (type === 'stopLoss') {
+    rule.triggerPrice = position.entryPrice * (1 - thresholdPercent / 100);
+  } else if (type === 'takeProfit') {
+    rule.triggerPrice = position.entryPrice * (1 + thresholdPercent / 100);
+  } else {
+    // A trailing stop follows the highest price seen since the entry
+    rule.highestPrice = Math.max(position.entryPrice, currentPrice);
+    rule.triggerPrice = rule.highestPrice * (1 - thresholdPercent / 100);
+  }
+  
+  return rule;
+}
+
+/**
+ * Protect a held position with stop-loss, take-profit and trailing stop rules
+ * Each rule sells sellPercent of the wallet's token balance once its trigger is crossed
+ * @param {Object} params - Position parameters
+ * @param {string} params.privateKey - Private key of the account holding the tokens
+ * @param {string} params.tokenAddress - Token address
+ * @param {number} [params.entryPrice] - Price paid in BNB per token (defaults to the current pool price)
+ * @param {number} [params.stopLossPercent] - Sell when the price falls this far below the entry price
+ * @param {number} [params.takeProfitPercent] - Sell when the price rises this far above the entry price
+ * @param {number} [params.trailingStopPercent] - Sell when the price falls this far below its highest since the entry
+ * @param {number} [params.sellPercent=100] - Share of the token balance each rule sells
+ * @param {number} [params.slippage=1.0] - Slippage tolerance in percentage
+ * @param {number} [params.feeTier] - Fee tier of the pool to watch (defaults to the most liquid valid pool, or the V2 pair without one)
+ * @returns {Promise<Object[]>} The new rules
+ */
+async function createPositionRules({ privateKey, tokenAddress, entryPrice, stopLossPercent, takeProfitPercent, trailingStopPercent, sellPercent = 100, slippage = 1.0, feeTier }) {
+  if (!stopLossPercent && !takeProfitPercent && !trailingStopPercent) {
+    throw new Error('At least one of stop-loss, take-profit or trailing stop is required');
+  }
+  
+  // Rules outlive the request, so the key is only kept encrypted
+  const keystore = encryptPrivateKey(privateKey);
+  const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+  const tokenInfo = await getTokenInfo(tokenAddress);
+  
+  // Reading the price up front rejects tokens without a pool to watch
+  const { price, feeTier: watchedFeeTier, protocol } = await getPoolPrice(tokenAddress, feeTier);
+  
+  const position = {
+    positionId: crypto.randomBytes(8).toString('hex'),
+    walletAddress: account.address,
+    tokenAddress,
+    symbol: tokenInfo.symbol,
+    feeTier: watchedFeeTier,
+    protocol,
+    entryPrice: entryPrice || price,
+    sellPercent,
+    slippage,
+    keystore
+  };
+  
+  const newRules = [];
+  if (stopLossPercent) newRules.push(buildRule(position, 'stopLoss', stopLossPercent, price));
+  if (takeProfitPercent) newRules.push(buildRule(position, 'takeProfit', takeProfitPercent, price));
+  if (trailingStopPercent) newRules.push(buildRule(position, 'trailingStop', trailingStopPercent, price));
+  
+  newRules.forEach(rule => rules.set(rule.id, rule));
+  persistRules();
+  startPolling();
+  
+  console.log(`Position rules placed for ${tokenInfo.symbol} at entry ${position.entryPrice} BNB: ${newRules.map(rule => `${rule.type} at ${rule.triggerPrice}`).join(', ')}`);
+  return newRules.map(toPublicRule);
+}
+
+/**
+ * List every rule, newest first
+ * @returns {Object[]} Rules
+ */
+function listPositionRules() {
+  return Array.from(rules.values())
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(toPublicRule);
+}
+
+/**
+ * Cancel an open rule
+ * @param {string} id - Rule id
+ * @returns {Object} The cancelled rule
+ */
+function cancelPositionRule(id) {
+  const rule = rules.get(id);
+  
+  if (!rule) {
+    throw new Error(`Position rule not found: ${id}`);
+  }
+  
+  if (rule.status !== 'open') {
+    throw new Error(`Position rule ${id} cannot be cancelled because it is ${rule.status}`);
+  }
+  
+  closeRule(rule, 'cancelled');
+  rule.cancelReason = 'Cancelled by user';
+  persistRules();
+  stopPollingIfIdle();
+  
+  return toPublicRule(rule);
+}
+
+/**
+ * Move a rule out of the open state and drop its key
+ * @param {Object} rule - Stored rule
+ * @param {string} status - Final status
+ */
+function closeRule(rule, status) {
+  rule.status = status;
+  delete rule.keystore;
+}
+
+/**
+ * Sell the configured share of the balance for a triggered rule
+ * A rule that sells the whole balance closes the rest of its position
+ * @param {Object} rule - Stored rule
+ * @param {number} price - Price that triggered the rule
+ */
+async function executePositionRule(rule, price) {
+  rule.status = 'executing';
+  rule.triggeredAtPrice = price;
+  persistRules();
+  
+  try {
+    const privateKey = decryptPrivateKey(rule.keystore);
+    const { txHash, receipt } = await sellToken(privateKey, rule.tokenAddress, `${rule.sellPercent}%`, rule.slippage);
+    
+    closeRule(rule, 'filled');
+    rule.txHash = txHash;
+    // The price the sell filled at, which differs from the triggering price by the slippage and any transfer tax
+    rule.executionPrice = receipt.effectivePrice;
+    console.log(`Position rule ${rule.id} (${rule.type}) triggered at ${price} and sold ${rule.sellPercent}% of ${rule.symbol} at ${receipt.effectivePrice} BNB: ${txHash}`);
+    
+    if (rule.sellPercent === 100) {
+      for (const sibling of rules.values()) {
+        if (sibling.positionId === rule.positionId && sibling.status === 'open') {
+          closeRule(sibling, 'cancelled');
+          sibling.cancelReason = `Position closed by ${rule.type} rule ${rule.id}`;
+        }
+      }
+    }
+  } catch (error) {
+    closeRule(rule, 'failed');
+    rule.error = error.message;
+    console.error(`Position rule ${rule.id} failed:`, error.message);
+  }
+  
+  rule.executedAt = Date.now();
+}
+
+/**
+ * Read the watched pools once, move trailing stops up and execute every rule whose trigger was crossed
+ * Rules sharing a pool share one price read; sells run one at a time so nonces stay in order
+ */
+async function checkPositionRules() {
+  if (polling) return;
+  polling = true;
+  
+  try {
+    const now = Date.now();
+    const prices = new Map();
+    
+    for (const rule of rules.values()) {
+      if (rule.status !== 'open') continue;
+      
+      const poolKey = `${rule.tokenAddress.toLowerCase()}:${rule.feeTier}`;
+      
+      try {
+        if (!prices.has(poolKey)) {
+          const { price } = await getPoolPrice(rule.tokenAddress, rule.feeTier, rule.protocol);
+          prices.set(poolKey, price);
+        }
+      } catch (error) {
+        console.error(`Failed to read price for position rule ${rule.id}:`, error.message);
+        continue;
+      }
+      
+      rule.lastPrice = prices.get(poolKey);
+      rule.lastCheckedAt = now;
+      
+      if (rule.type === 'trailingStop' && rule.lastPrice > rule.highestPrice) {
+        rule.highestPrice = rule.lastPrice;
+        rule.triggerPrice = rule.highestPrice * (1 - rule.thresholdPercent / 100);
+      }
+      
+      if (isTriggered(rule, rule.lastPrice)) {
+        await executePositionRule(rule, rule.lastPrice);
+      }
+    }
+  } finally {
+    persistRules();
+    polling = false;
+    stopPollingIfIdle();
+  }
+}
+
+/**
+ * Start polling pool prices if it isn't running
+ */
+function startPolling() {
+  if (!pollTimer) {
+    pollTimer = setInterval(checkPositionRules, PRICE_POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Stop polling once no rule is open
+ */
+function stopPollingIfIdle() {
+  const hasOpenRules = Array.from(rules.values()).some(rule => rule.status === 'open');
+  
+  if (pollTimer && !hasOpenRules) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+// A sell interrupted by a restart may or may not have been sent, so it is not retried
+const interruptedRules = Array.from(rules.values()).filter(rule => rule.status === 'executing');
+interruptedRules.forEach(rule => {
+  closeRule(rule, 'failed');
+  rule.error = 'The server restarted while this rule was selling. Check the wallet before placing a new rule.';
+});
+if (interruptedRules.length > 0) {
+  persistRules();
+}
+
+// Resume watching the rules restored from disk
+if (Array.from(rules.values()).some(rule => rule.status === 'open')) {
+  startPolling();
+}
+
+module.exports = {
+  createPositionRules,
+  listPositionRules,
+  cancelPositionRule
+};
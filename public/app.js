@@ -3,12 +3,45 @@ document.addEventListener('DOMContentLoaded', function() {
   const privateKeyInput = document.getElementById('private-key');
   const amountInput = document.getElementById('amount');
   const slippageInput = document.getElementById('slippage');
+  const maxPriceImpactInput = document.getElementById('max-price-impact');
+  const feeTierSelectionInput = document.getElementById('fee-tier-selection');
+  const receiveWbnbInput = document.getElementById('receive-wbnb');
+  const forceSendInput = document.getElementById('force-send');
+  const gasStrategyInput = document.getElementById('gas-strategy');
+  const gasPriceGweiInput = document.getElementById('gas-price-gwei');
+  const maxGasPriceInput = document.getElementById('max-gas-price');
+  const deadlineSecondsInput = document.getElementById('deadline-seconds');
+  const approvalModeInput = document.getElementById('approval-mode');
+  const tradeModeInputs = document.querySelectorAll('input[name="trade-mode"]');
+  const amountHelpEl = document.getElementById('amount-help');
+  const amountShareButtons = document.querySelectorAll('.amount-share-btn');
+  const swapTokenInInput = document.getElementById('swap-token-in');
+  const swapTokenOutInput = document.getElementById('swap-token-out');
   
   const getInfoBtn = document.getElementById('get-info-btn');
   const buyBtn = document.getElementById('buy-btn');
   const sellBtn = document.getElementById('sell-btn');
   const buyMediumFeeBtn = document.getElementById('buy-medium-fee-btn');
   const sellMediumFeeBtn = document.getElementById('sell-medium-fee-btn');
+  const swapBtn = document.getElementById('swap-btn');
+  const limitBuyBtn = document.getElementById('limit-buy-btn');
+  const limitSellBtn = document.getElementById('limit-sell-btn');
+  const dcaCreateBtn = document.getElementById('dca-create-btn');
+  const quoteBuyBtn = document.getElementById('quote-buy-btn');
+  const quoteSellBtn = document.getElementById('quote-sell-btn');
+  
+  const quotePreviewSection = document.getElementById('quote-preview');
+  const quoteTitleEl = document.getElementById('quote-title');
+  const quoteExpectedLabelEl = document.getElementById('quote-expected-label');
+  const quoteExpectedEl = document.getElementById('quote-expected');
+  const quoteMinimumLabelEl = document.getElementById('quote-minimum-label');
+  const quoteMinimumEl = document.getElementById('quote-minimum');
+  const quoteRouteEl = document.getElementById('quote-route');
+  const quoteFeeTiersEl = document.getElementById('quote-fee-tiers');
+  const quoteMidPriceEl = document.getElementById('quote-mid-price');
+  const quotePriceImpactEl = document.getElementById('quote-price-impact');
+  const quoteGasEl = document.getElementById('quote-gas');
+  const quoteWarningEl = document.getElementById('quote-warning');
   
   const tokenInfoSection = document.getElementById('token-info');
   const tokenNameEl = document.getElementById('token-name');
@@ -16,6 +49,17 @@ document.addEventListener('DOMContentLoaded', function() {
   const tokenDecimalsEl = document.getElementById('token-decimals');
   const tokenBalanceEl = document.getElementById('token-balance');
   const bnbBalanceEl = document.getElementById('bnb-balance');
+  const tokenTaxEl = document.getElementById('token-tax');
+  
+  const limitTriggerPriceInput = document.getElementById('limit-trigger-price');
+  const limitExpiryInput = document.getElementById('limit-expiry');
+  const limitOrdersListEl = document.getElementById('limit-orders-list');
+  
+  const dcaIntervalInput = document.getElementById('dca-interval');
+  const dcaBudgetInput = document.getElementById('dca-budget');
+  const dcaMaxGasInput = document.getElementById('dca-max-gas');
+  const dcaListEl = document.getElementById('dca-list');
+  const dcaHistoryEl = document.getElementById('dca-history');
   
   const resultArea = document.getElementById('result-area');
   
@@ -24,6 +68,15 @@ document.addEventListener('DOMContentLoaded', function() {
   const sellLoader = document.getElementById('sell-loader');
   const buyMediumLoader = document.getElementById('buy-medium-loader');
   const sellMediumLoader = document.getElementById('sell-medium-loader');
+  const swapLoader = document.getElementById('swap-loader');
+  const limitBuyLoader = document.getElementById('limit-buy-loader');
+  const limitSellLoader = document.getElementById('limit-sell-loader');
+  const dcaCreateLoader = document.getElementById('dca-create-loader');
+  const quoteBuyLoader = document.getElementById('quote-buy-loader');
+  const quoteSellLoader = document.getElementById('quote-sell-loader');
+  
+  // Side ('buy' or 'sell') of the last successful preview for the current inputs
+  let previewedSide = null;
   
   // Show loader
   function showLoader(loader) {
@@ -55,8 +108,252 @@ document.addEventListener('DOMContentLoaded', function() {
     }, isError ? 10000 : 5000);
   }
   
+  // Shorten an address for display
+  function shortAddress(address) {
+    return `${address.slice(0, 6)}…${address.slice(-4)}`;
+  }
+  
+  // Describe the route a trade was executed through
+  function formatRoute(route) {
+    if (!route) return '';
+    
+    if (route.protocol === 'SPLIT') {
+      return `Split across pools (${route.legs.map(leg => `${leg.share}% ${leg.protocol} ${leg.fee / 10000}%`).join(', ')})`;
+    }
+    
+    if (route.protocol === 'V2') {
+      return `PancakeSwap V2 (${route.tokens.map(shortAddress).join(' → ')})`;
+    }
+    
+    const hops = route.fees.map((fee, i) => `${shortAddress(route.tokens[i])} → (${fee / 10000}%) → `).join('');
+    return `PancakeSwap V3 (${hops}${shortAddress(route.tokens[route.tokens.length - 1])})`;
+  }
+  
+  // Token symbols come from the token contract, so keep them out of the markup
+  function escapeHtml(text) {
+    const element = document.createElement('span');
+    element.textContent = text;
+    return element.innerHTML;
+  }
+  
+  // Describe what a mined trade actually did, from the amounts decoded from its logs
+  // Trade receipts price the token in BNB; swap receipts price the output in input tokens
+  function formatReceipt(receipt, isSwap = false) {
+    if (!receipt) return '';
+    
+    const tokenSymbol = escapeHtml(receipt.tokenIn === 'BNB' ? receipt.tokenOut : receipt.tokenIn);
+    const priceUnit = isSwap ? `${escapeHtml(receipt.tokenIn)} per ${escapeHtml(receipt.tokenOut)}` : `BNB per ${tokenSymbol}`;
+    const feeTiers = receipt.feeTiers.map(fee => `${fee / 10000}%`).join(' + ');
+    
+    return [
+      `Status: ${receipt.status} in block ${receipt.blockNumber}`,
+      `Sent: ${receipt.amountIn} ${escapeHtml(receipt.tokenIn)}`,
+      `Received: ${receipt.amountOut} ${escapeHtml(receipt.tokenOut)}`,
+      `Effective price: ${receipt.effectivePrice === null ? 'Unavailable' : `${receipt.effectivePrice} ${priceUnit}`}`,
+      `Fee tier: ${feeTiers || 'Unknown'}`,
+      `Gas: ${receipt.gasUsed} used, ${receipt.gasCost} BNB at ${receipt.gasPrice} gwei`
+    ].join('<br>');
+  }
+  
+  // Describe the detected buy/sell transfer tax
+  function formatTransferTax(data) {
+    const buyTax = data.buyTax === null ? 'unknown' : `${data.buyTax}%`;
+    const sellTax = data.sellTax === null ? 'unknown' : `${data.sellTax}%${data.sellTaxEstimated ? ' (estimated)' : ''}`;
+    return `Buy ${buyTax} / Sell ${sellTax}`;
+  }
+  
+  // Describe how much of a split trade goes through each pool
+  function formatSplits(splits, inputSymbol, outputSymbol) {
+    return splits
+      .map(leg => `${leg.protocol} ${leg.fee / 10000}%: ${leg.amountIn} ${inputSymbol} → ${leg.expectedOutput} ${outputSymbol} (${leg.share}%)`)
+      .join('; ');
+  }
+  
+  // Get the selected trade mode (exactInput, exactOutput or split)
+  function getTradeMode() {
+    const selected = document.querySelector('input[name="trade-mode"]:checked');
+    return selected ? selected.value : 'exactInput';
+  }
+  
+  // Gas pricing fields sent with every quote and trade
+  function getGasFields() {
+    return {
+      gasStrategy: gasStrategyInput.value,
+      gasPriceGwei: gasPriceGweiInput.value.trim(),
+      maxGasPriceGwei: maxGasPriceInput.value.trim()
+    };
+  }
+  
+  // Buy/Sell are only enabled after a preview of the same side, in every trade mode
+  function updateTradeButtons() {
+    buyBtn.disabled = previewedSide !== 'buy';
+    sellBtn.disabled = previewedSide !== 'sell';
+  }
+  
+  // Any change to the trade inputs makes the last preview stale
+  function invalidatePreview() {
+    previewedSide = null;
+    quotePreviewSection.style.display = 'none';
+    updateTradeButtons();
+  }
+  
+  // The gas inputs change the cost and the gas cap warning of a preview, and the deadline the trade it describes
+  [tokenAddressInput, privateKeyInput, amountInput, slippageInput, maxPriceImpactInput, feeTierSelectionInput, receiveWbnbInput, gasStrategyInput, gasPriceGweiInput, maxGasPriceInput, deadlineSecondsInput].forEach(input => {
+    input.addEventListener('input', invalidatePreview);
+    input.addEventListener('change', invalidatePreview);
+  });
+  
+  // True when the amount is a share of the balance ("25%" or "max") rather than an absolute amount
+  function isBalanceShare(amount) {
+    return /^\s*(max|\d+(\.\d+)?\s*%)\s*$/i.test(amount);
+  }
+  
+  // Quick-select a share of the token balance; the server resolves it against the exact on-chain balance
+  amountShareButtons.forEach(button => {
+    button.addEventListener('click', function() {
+      amountInput.value = button.dataset.share;
+      invalidatePreview();
+    });
+  });
+  
+  // Explain what the amount means in the selected trade mode
+  tradeModeInputs.forEach(input => {
+    input.addEventListener('change', function() {
+      amountHelpEl.textContent = getTradeMode() === 'exactOutput'
+        ? 'Buy: exact tokens to receive. Sell: exact BNB to receive. Only the auto-select buttons support this mode.'
+        : getTradeMode() === 'split'
+          ? 'Buy: BNB to spend. Sell: tokens to sell, or a share of your balance. The trade is divided across every fee tier pool and the V2 pair. Only the auto-select buttons support this mode.'
+          : 'Buy: BNB to spend. Sell: tokens to sell, or a share of your balance such as 25% or max.';
+      invalidatePreview();
+    });
+  });
+  
+  // Describe the quote on every direct V3 fee tier, best first
+  function formatFeeTierQuotes(feeTierQuotes, feeTierSelection, symbol) {
+    if (!feeTierQuotes || feeTierQuotes.length === 0) {
+      return feeTierSelection === 'liquidity' ? 'Selected by pool liquidity' : 'No direct V3 pool';
+    }
+    
+    return feeTierQuotes
+      .map(quote => `${quote.feeTier / 10000}%: ${quote.expectedOutput === null ? `quote failed (${quote.error})` : `${quote.expectedOutput} ${symbol}`}`)
+      .join(', ') + (feeTierSelection === 'liquidity' ? ', selected by pool liquidity' : '');
+  }
+  
+  // Show a failed trade, suggesting a smaller size when price impact was the cause
+  function showTradeError(data) {
+    if (data.priceImpact !== undefined) {
+      // Price impact grows roughly linearly with size for small trades
+      const amount = isBalanceShare(amountInput.value) ? NaN : parseFloat(amountInput.value);
+      const maxPriceImpact = parseFloat(maxPriceImpactInput.value);
+      const suggestion = isNaN(amount) || isNaN(maxPriceImpact) || !(data.priceImpact > 0)
+        ? ''
+        : ` Suggested amount: about ${(amount * maxPriceImpact / data.priceImpact).toPrecision(4)} or less.`;
+      showResult(`${data.error}${suggestion}`, true);
+      return;
+    }
+    showResult(data.error, true, data.details);
+  }
+  
+  // Fetch a dry-run quote and show it in the preview panel
+  async function previewTrade(side, loader) {
+    if (!validateInputs(true, side)) return;
+    
+    const tokenAddress = tokenAddressInput.value.trim();
+    const privateKey = privateKeyInput.value.trim();
+    const amount = amountInput.value.trim();
+    const slippage = slippageInput.value.trim();
+    
+    showLoader(loader);
+    
+    try {
+      const response = await fetch('/api/quote', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          tokenAddress,
+          privateKey,
+          side,
+          amount,
+          slippage,
+          maxPriceImpact: maxPriceImpactInput.value.trim(),
+          feeTierSelection: feeTierSelectionInput.value,
+          mode: getTradeMode(),
+          receiveWBNB: receiveWbnbInput.checked,
+          ...getGasFields()
+        })
+      });
+      
+      const data = await response.json();
+      
+      if (data.error) {
+        invalidatePreview();
+        showResult(data.error, true, data.details);
+        return;
+      }
+      
+      const inputSymbol = side === 'buy' ? 'BNB' : data.token.symbol;
+      const outputSymbol = side === 'buy' ? data.token.symbol : 'BNB';
+      
+      // An exact output quote fixes the output and bounds the input instead
+      if (data.mode === 'exactOutput') {
+        quoteTitleEl.textContent = `${side === 'buy' ? 'Buy' : 'Sell'} for exactly ${data.expectedOutput} ${outputSymbol}`;
+        quoteExpectedLabelEl.textContent = 'Expected input:';
+        quoteExpectedEl.textContent = `${data.amountIn} ${inputSymbol}`;
+        quoteMinimumLabelEl.textContent = 'Maximum input:';
+        quoteMinimumEl.textContent = `${data.amountInMaximum} ${inputSymbol}`;
+      } else {
+        quoteTitleEl.textContent = `${side === 'buy' ? 'Buy' : 'Sell'} ${data.amountIn} ${inputSymbol}`;
+        quoteExpectedLabelEl.textContent = 'Expected output:';
+        quoteExpectedEl.textContent = `${data.expectedOutput} ${outputSymbol}`;
+        quoteMinimumLabelEl.textContent = 'Minimum output:';
+        quoteMinimumEl.textContent = `${data.amountOutMinimum} ${outputSymbol}`;
+      }
+      quoteRouteEl.textContent = data.splits ? formatSplits(data.splits, inputSymbol, outputSymbol) : formatRoute(data.route);
+      quoteFeeTiersEl.textContent = data.splits
+        ? 'See route'
+        : data.mode === 'exactOutput' ? 'Not compared; exact output trades use the most liquid valid pool' : formatFeeTierQuotes(data.feeTierQuotes, data.feeTierSelection, outputSymbol);
+      quoteMidPriceEl.textContent = data.midPrice === null ? 'Unavailable' : `${data.midPrice} BNB per ${data.token.symbol}`;
+      quotePriceImpactEl.textContent = data.priceImpact === null ? 'Unavailable' : `${data.priceImpact}%`;
+      quoteGasEl.textContent = data.estimatedGasCost === null
+        ? 'Enter a private key to estimate gas'
+        : `${data.estimatedGas} gas ≈ ${data.estimatedGasCost} BNB at ${data.gasPrice} gwei`;
+      
+      const warnings = [];
+      if (data.usedFallback) {
+        warnings.push('The V3 quoter failed; the output was estimated from pool data. Consider higher slippage.');
+      }
+      if (data.buyTax > 0 || data.sellTax > 0) {
+        warnings.push(`This token takes a transfer tax (${formatTransferTax(data)}); the expected output is after tax.`);
+      }
+      if (data.priceImpactExceeded) {
+        warnings.push(`Price impact exceeds your maximum of ${maxPriceImpactInput.value.trim()}%; this trade would be aborted. Try a smaller amount.`);
+      }
+      if (data.gasPriceExceeded) {
+        warnings.push(`Gas price ${data.gasPrice} gwei is above your maximum of ${maxGasPriceInput.value.trim()} gwei; this trade would be refused.`);
+      }
+      if (data.gasEstimateFailed) {
+        warnings.push(`Gas estimation failed${data.revertReason ? ` ("${data.revertReason}")` : ''}; the default gas limit is shown. The trade may revert.`);
+      }
+      quoteWarningEl.textContent = warnings.join(' ');
+      
+      quotePreviewSection.style.display = 'block';
+      previewedSide = side;
+      updateTradeButtons();
+    } catch (error) {
+      invalidatePreview();
+      showResult('Error fetching quote: ' + error.message, true);
+    } finally {
+      hideLoader(loader);
+    }
+  }
+  
+  quoteBuyBtn.addEventListener('click', () => previewTrade('buy', quoteBuyLoader));
+  quoteSellBtn.addEventListener('click', () => previewTrade('sell', quoteSellLoader));
+  
   // Validate inputs
-  function validateInputs(checkAmount = true) {
+  function validateInputs(checkAmount = true, side = null) {
     const tokenAddress = tokenAddressInput.value.trim();
     const privateKey = privateKeyInput.value.trim();
     const amount = amountInput.value.trim();
@@ -76,6 +373,17 @@ document.addEventListener('DOMContentLoaded', function() {
       return false;
     }
     
+    // Percentages and max are resolved against the token balance, so they only make sense when selling
+    if (checkAmount && side === 'buy' && isBalanceShare(amount)) {
+      showResult('Percentage and max amounts are only supported when selling', true);
+      return false;
+    }
+    
+    if (checkAmount && side === 'sell' && isBalanceShare(amount) && getTradeMode() === 'exactOutput') {
+      showResult('Percentage and max amounts are not supported for exact output trades', true);
+      return false;
+    }
+    
     return true;
   }
   
@@ -111,6 +419,7 @@ document.addEventListener('DOMContentLoaded', function() {
         tokenDecimalsEl.textContent = data.decimals;
         tokenBalanceEl.textContent = `${data.tokenBalance} ${data.symbol}`;
         bnbBalanceEl.textContent = `${data.bnbBalance} BNB`;
+        tokenTaxEl.textContent = formatTransferTax(data);
         
         tokenInfoSection.style.display = 'block';
         showResult('Token information retrieved successfully');
@@ -124,7 +433,7 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Buy tokens
   buyBtn.addEventListener('click', async function() {
-    if (!validateInputs(true)) return;
+    if (!validateInputs(true, 'buy')) return;
     
     const tokenAddress = tokenAddressInput.value.trim();
     const privateKey = privateKeyInput.value.trim();
@@ -143,16 +452,23 @@ document.addEventListener('DOMContentLoaded', function() {
           tokenAddress,
           privateKey,
           amount,
-          slippage
+          slippage,
+          maxPriceImpact: maxPriceImpactInput.value.trim(),
+          feeTierSelection: feeTierSelectionInput.value,
+          mode: getTradeMode(),
+          ...getGasFields(),
+          deadlineSeconds: deadlineSecondsInput.value.trim(),
+          force: forceSendInput.checked
         })
       });
       
       const data = await response.json();
       
       if (data.error) {
-        showResult(data.error, true, data.details);
+        showTradeError(data);
       } else {
-        showResult(`Transaction successful! Tx hash: ${data.txHash}`);
+        showResult(`Transaction successful! Tx hash: ${data.txHash}<br>Route: ${formatRoute(data.route)}<br>${formatReceipt(data.receipt)}`);
+        invalidatePreview();
         
         // Update token info after successful transaction
         setTimeout(() => {
@@ -168,7 +484,7 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Sell tokens
   sellBtn.addEventListener('click', async function() {
-    if (!validateInputs(true)) return;
+    if (!validateInputs(true, 'sell')) return;
     
     const tokenAddress = tokenAddressInput.value.trim();
     const privateKey = privateKeyInput.value.trim();
@@ -187,16 +503,25 @@ document.addEventListener('DOMContentLoaded', function() {
           tokenAddress,
           privateKey,
           amount,
-          slippage
+          slippage,
+          maxPriceImpact: maxPriceImpactInput.value.trim(),
+          feeTierSelection: feeTierSelectionInput.value,
+          mode: getTradeMode(),
+          receiveWBNB: receiveWbnbInput.checked,
+          ...getGasFields(),
+          deadlineSeconds: deadlineSecondsInput.value.trim(),
+          approvalMode: approvalModeInput.value,
+          force: forceSendInput.checked
         })
       });
       
       const data = await response.json();
       
       if (data.error) {
-        showResult(data.error, true, data.details);
+        showTradeError(data);
       } else {
-        showResult(`Transaction successful! Tx hash: ${data.txHash}`);
+        showResult(`Transaction successful! Tx hash: ${data.txHash}<br>Route: ${formatRoute(data.route)}<br>${formatReceipt(data.receipt)}`);
+        invalidatePreview();
         
         // Update token info after successful transaction
         setTimeout(() => {
@@ -212,7 +537,7 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Buy tokens with 0.25% fee tier
   buyMediumFeeBtn.addEventListener('click', async function() {
-    if (!validateInputs(true)) return;
+    if (!validateInputs(true, 'buy')) return;
     
     const tokenAddress = tokenAddressInput.value.trim();
     const privateKey = privateKeyInput.value.trim();
@@ -231,16 +556,20 @@ document.addEventListener('DOMContentLoaded', function() {
           tokenAddress,
           privateKey,
           amount,
-          slippage
+          slippage,
+          maxPriceImpact: maxPriceImpactInput.value.trim(),
+          ...getGasFields(),
+          deadlineSeconds: deadlineSecondsInput.value.trim(),
+          force: forceSendInput.checked
         })
       });
       
       const data = await response.json();
       
       if (data.error) {
-        showResult(data.error, true, data.details);
+        showTradeError(data);
       } else {
-        showResult(`Transaction successful with 0.25% fee tier! Tx hash: ${data.txHash}`);
+        showResult(`Transaction successful with 0.25% fee tier! Tx hash: ${data.txHash}<br>${formatReceipt(data.receipt)}`);
         
         // Update token info after successful transaction
         setTimeout(() => {
@@ -256,7 +585,7 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Sell tokens with 0.25% fee tier
   sellMediumFeeBtn.addEventListener('click', async function() {
-    if (!validateInputs(true)) return;
+    if (!validateInputs(true, 'sell')) return;
     
     const tokenAddress = tokenAddressInput.value.trim();
     const privateKey = privateKeyInput.value.trim();
@@ -275,16 +604,22 @@ document.addEventListener('DOMContentLoaded', function() {
           tokenAddress,
           privateKey,
           amount,
-          slippage
+          slippage,
+          maxPriceImpact: maxPriceImpactInput.value.trim(),
+          receiveWBNB: receiveWbnbInput.checked,
+          ...getGasFields(),
+          deadlineSeconds: deadlineSecondsInput.value.trim(),
+          approvalMode: approvalModeInput.value,
+          force: forceSendInput.checked
         })
       });
       
       const data = await response.json();
       
       if (data.error) {
-        showResult(data.error, true, data.details);
+        showTradeError(data);
       } else {
-        showResult(`Transaction successful with 0.25% fee tier! Tx hash: ${data.txHash}`);
+        showResult(`Transaction successful with 0.25% fee tier! Tx hash: ${data.txHash}<br>${formatReceipt(data.receipt)}`);
         
         // Update token info after successful transaction
         setTimeout(() => {
@@ -297,4 +632,320 @@ document.addEventListener('DOMContentLoaded', function() {
       hideLoader(sellMediumLoader);
     }
   });
+  
+  // Swap any token pair
+  swapBtn.addEventListener('click', async function() {
+    const tokenIn = swapTokenInInput.value.trim();
+    const tokenOut = swapTokenOutInput.value.trim();
+    const privateKey = privateKeyInput.value.trim();
+    const amount = amountInput.value.trim();
+    const slippage = slippageInput.value.trim();
+    
+    if (!tokenIn || !tokenOut) {
+      showResult('Please enter the tokens to swap from and to', true);
+      return;
+    }
+    
+    if (!privateKey) {
+      showResult('Please enter your private key', true);
+      return;
+    }
+    
+    if (!amount) {
+      showResult('Please enter an amount', true);
+      return;
+    }
+    
+    showLoader(swapLoader);
+    
+    try {
+      const response = await fetch('/api/swap', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          tokenIn,
+          tokenOut,
+          privateKey,
+          amount,
+          slippage,
+          maxPriceImpact: maxPriceImpactInput.value.trim(),
+          ...getGasFields(),
+          deadlineSeconds: deadlineSecondsInput.value.trim(),
+          approvalMode: approvalModeInput.value,
+          force: forceSendInput.checked
+        })
+      });
+      
+      const data = await response.json();
+      
+      if (data.error) {
+        showTradeError(data);
+      } else {
+        showResult(`Swap successful! Tx hash: ${data.txHash}<br>Expected output: ${data.expectedOutput}<br>Route: ${formatRoute(data.route)}<br>${formatReceipt(data.receipt, true)}`);
+      }
+    } catch (error) {
+      showResult('Error swapping tokens: ' + error.message, true);
+    } finally {
+      hideLoader(swapLoader);
+    }
+  });
+  
+  // Badge colour for each limit order status
+  const LIMIT_ORDER_STATUS_CLASSES = {
+    open: 'bg-primary',
+    executing: 'bg-warning text-dark',
+    filled: 'bg-success',
+    failed: 'bg-danger',
+    cancelled: 'bg-secondary',
+    expired: 'bg-secondary'
+  };
+  
+  // Render the open and finished limit orders
+  function renderLimitOrders(orders) {
+    if (orders.length === 0) {
+      limitOrdersListEl.innerHTML = '<tr><td colspan="5" class="text-muted">No limit orders</td></tr>';
+      return;
+    }
+    
+    limitOrdersListEl.innerHTML = orders.map(order => {
+      const size = `${order.amount} ${order.side === 'buy' ? 'BNB' : order.symbol}`;
+      const detail = order.txHash
+        ? `<div class="text-muted">Tx: ${order.txHash}</div>`
+        : order.error ? `<div class="text-danger">${order.error}</div>` : '';
+      const expiry = order.status === 'open' && order.expiresAt
+        ? `<div class="text-muted">Expires ${new Date(order.expiresAt).toLocaleTimeString()}</div>`
+        : '';
+      const cancel = order.status === 'open'
+        ? `<button type="button" class="btn btn-link btn-sm p-0 limit-cancel-btn" data-id="${order.id}">Cancel</button>`
+        : '';
+      
+      return `<tr>
+        <td>${order.side === 'buy' ? 'Buy' : 'Sell'} ${size}${detail}${expiry}</td>
+        <td>${order.triggerPrice}</td>
+        <td>${order.lastPrice === null ? '-' : order.lastPrice.toPrecision(6)}</td>
+        <td><span class="badge ${LIMIT_ORDER_STATUS_CLASSES[order.status]}">${order.status}</span></td>
+        <td>${cancel}</td>
+      </tr>`;
+    }).join('');
+  }
+  
+  // Fetch and show every limit order
+  async function loadLimitOrders() {
+    try {
+      const response = await fetch('/api/limit-orders');
+      const data = await response.json();
+      
+      if (!data.error) {
+        renderLimitOrders(data.orders);
+      }
+    } catch (error) {
+      console.error('Error loading limit orders:', error);
+    }
+  }
+  
+  // Place a limit order for the token, amount and slippage in the form
+  async function placeLimitOrder(side, loader) {
+    if (!validateInputs(true, side)) return;
+    
+    const triggerPrice = limitTriggerPriceInput.value.trim();
+    if (!triggerPrice) {
+      showResult('Please enter a trigger price', true);
+      return;
+    }
+    
+    showLoader(loader);
+    
+    try {
+      const response = await fetch('/api/limit-orders', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          tokenAddress: tokenAddressInput.value.trim(),
+          privateKey: privateKeyInput.value.trim(),
+          side,
+          triggerPrice,
+          amount: amountInput.value.trim(),
+          slippage: slippageInput.value.trim(),
+          expiresInMinutes: limitExpiryInput.value.trim()
+        })
+      });
+      
+      const data = await response.json();
+      
+      if (data.error) {
+        showResult(data.error, true, data.details);
+      } else {
+        showResult(`Limit order placed: ${side} at ${data.order.triggerPrice} BNB per ${data.order.symbol} (current price ${data.order.lastPrice.toPrecision(6)})`);
+        loadLimitOrders();
+      }
+    } catch (error) {
+      showResult('Error placing limit order: ' + error.message, true);
+    } finally {
+      hideLoader(loader);
+    }
+  }
+  
+  limitBuyBtn.addEventListener('click', () => placeLimitOrder('buy', limitBuyLoader));
+  limitSellBtn.addEventListener('click', () => placeLimitOrder('sell', limitSellLoader));
+  
+  // Cancel an open limit order
+  limitOrdersListEl.addEventListener('click', async function(event) {
+    const button = event.target.closest('.limit-cancel-btn');
+    if (!button) return;
+    
+    try {
+      const response = await fetch(`/api/limit-orders/${button.dataset.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      
+      if (data.error) {
+        showResult(data.error, true);
+      }
+      loadLimitOrders();
+    } catch (error) {
+      showResult('Error cancelling limit order: ' + error.message, true);
+    }
+  });
+  
+  // Keep the order list current while the server watches prices
+  loadLimitOrders();
+  setInterval(loadLimitOrders, 10000);
+  
+  // Badge colour for each DCA schedule status and run outcome
+  const DCA_STATUS_CLASSES = {
+    active: 'bg-primary',
+    paused: 'bg-warning text-dark',
+    completed: 'bg-success',
+    executed: 'bg-success',
+    skipped: 'bg-secondary',
+    failed: 'bg-danger',
+    interrupted: 'bg-danger'
+  };
+  
+  // Describe one DCA run
+  function formatDcaRun(run) {
+    const detail = run.txHash ? `Tx: ${run.txHash}` : run.reason || '';
+    return `<span class="badge ${DCA_STATUS_CLASSES[run.status]}">${run.status}</span> ${new Date(run.at).toLocaleString()} ${run.amount ? `${run.amount} BNB` : ''} <span class="text-muted">${detail}</span>`;
+  }
+  
+  // Render every DCA schedule with its controls
+  function renderDcaSchedules(schedules) {
+    if (schedules.length === 0) {
+      dcaListEl.innerHTML = '<tr><td colspan="5" class="text-muted">No DCA schedules</td></tr>';
+      return;
+    }
+    
+    dcaListEl.innerHTML = schedules.map(schedule => {
+      const controls = [
+        schedule.status === 'active' ? `<button type="button" class="btn btn-link btn-sm p-0 me-2" data-dca-action="pause" data-id="${schedule.id}">Pause</button>` : '',
+        schedule.status === 'paused' ? `<button type="button" class="btn btn-link btn-sm p-0 me-2" data-dca-action="resume" data-id="${schedule.id}">Resume</button>` : '',
+        `<button type="button" class="btn btn-link btn-sm p-0 me-2" data-dca-action="history" data-id="${schedule.id}">History</button>`,
+        `<button type="button" class="btn btn-link btn-sm p-0 text-danger" data-dca-action="delete" data-id="${schedule.id}">Delete</button>`
+      ].join('');
+      
+      return `<tr>
+        <td>${schedule.amount} BNB of ${schedule.symbol} every ${schedule.intervalMinutes} min</td>
+        <td>${schedule.spent}${schedule.budget ? ` / ${schedule.budget}` : ''} BNB</td>
+        <td>${schedule.lastRun ? `<span class="badge ${DCA_STATUS_CLASSES[schedule.lastRun.status]}">${schedule.lastRun.status}</span>` : '-'}</td>
+        <td><span class="badge ${DCA_STATUS_CLASSES[schedule.status]}">${schedule.status}</span></td>
+        <td>${controls}</td>
+      </tr>`;
+    }).join('');
+  }
+  
+  // Fetch and show every DCA schedule
+  async function loadDcaSchedules() {
+    try {
+      const response = await fetch('/api/dca');
+      const data = await response.json();
+      
+      if (!data.error) {
+        renderDcaSchedules(data.schedules);
+      }
+    } catch (error) {
+      console.error('Error loading DCA schedules:', error);
+    }
+  }
+  
+  // Start a DCA schedule for the token, BNB amount, slippage and price impact limit in the form
+  dcaCreateBtn.addEventListener('click', async function() {
+    if (!validateInputs(true, 'buy')) return;
+    
+    const intervalMinutes = dcaIntervalInput.value.trim();
+    if (!intervalMinutes) {
+      showResult('Please enter how many minutes apart the buys should be', true);
+      return;
+    }
+    
+    showLoader(dcaCreateLoader);
+    
+    try {
+      const response = await fetch('/api/dca', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          tokenAddress: tokenAddressInput.value.trim(),
+          privateKey: privateKeyInput.value.trim(),
+          amount: amountInput.value.trim(),
+          intervalMinutes,
+          budget: dcaBudgetInput.value.trim(),
+          slippage: slippageInput.value.trim(),
+          maxPriceImpact: maxPriceImpactInput.value.trim(),
+          maxGasPriceGwei: dcaMaxGasInput.value.trim()
+        })
+      });
+      
+      const data = await response.json();
+      
+      if (data.error) {
+        showResult(data.error, true, data.details);
+      } else {
+        showResult(`DCA schedule started: ${data.schedule.amount} BNB of ${data.schedule.symbol} every ${data.schedule.intervalMinutes} minutes`);
+        loadDcaSchedules();
+      }
+    } catch (error) {
+      showResult('Error starting DCA schedule: ' + error.message, true);
+    } finally {
+      hideLoader(dcaCreateLoader);
+    }
+  });
+  
+  // Pause, resume, delete or show the history of a schedule
+  dcaListEl.addEventListener('click', async function(event) {
+    const button = event.target.closest('[data-dca-action]');
+    if (!button) return;
+    
+    const { dcaAction, id } = button.dataset;
+    const requests = {
+      pause: { url: `/api/dca/${id}/pause`, method: 'POST' },
+      resume: { url: `/api/dca/${id}/resume`, method: 'POST' },
+      history: { url: `/api/dca/${id}/history`, method: 'GET' },
+      delete: { url: `/api/dca/${id}`, method: 'DELETE' }
+    };
+    
+    try {
+      const response = await fetch(requests[dcaAction].url, { method: requests[dcaAction].method });
+      const data = await response.json();
+      
+      if (data.error) {
+        showResult(data.error, true);
+      } else if (dcaAction === 'history') {
+        const runs = data.schedule.history.slice().reverse();
+        dcaHistoryEl.innerHTML = `<h6 class="mb-2">${data.schedule.symbol} DCA history</h6>` +
+          (runs.length === 0 ? '<div class="text-muted">No runs yet</div>' : runs.map(run => `<div>${formatDcaRun(run)}</div>`).join(''));
+        dcaHistoryEl.style.display = 'block';
+      }
+      loadDcaSchedules();
+    } catch (error) {
+      showResult('Error updating DCA schedule: ' + error.message, true);
+    }
+  });
+  
+  loadDcaSchedules();
+  setInterval(loadDcaSchedules, 30000);
 }); 
\ No newline at end of file
@@ -3,15 +3,32 @@ const path = require('path');
 const Web3 = require('web3');
 const bodyParser = require('body-parser');
 const { erc20Abi } = require('./utils/abi');
-const { BSC_RPC_URL, WBNB_ADDRESS, FEE_TIERS } = require('./utils/constants');
+const { BSC_RPC_URL, WBNB_ADDRESS, FEE_TIERS, FEE_TIER_SELECTION, BATCH_MAX_WALLETS, GAS_STRATEGIES, APPROVAL_MODES, DEFAULT_DEADLINE_SECONDS, MIN_DEADLINE_SECONDS, MAX_DEADLINE_SECONDS } = require('./utils/constants');
 const { 
   buyToken, 
   sellToken, 
   getTokenInfo, 
   fromTokenUnits,
   buyTokenWithFeeTier,
-  sellTokenWithFeeTier
+  sellTokenWithFeeTier,
+  buyTokenExactOutput,
+  sellTokenExactOutput,
+  quoteTrade,
+  quoteExactOutputTrade,
+  swapTokens,
+  detectTransferTax,
+  parseBalanceShare,
+  getAllowances,
+  revokeApproval
 } = require('./pancakeSwapWeb3');
+const { createLimitOrder, listLimitOrders, cancelLimitOrder } = require('./limitOrders');
+const { createPositionRules, listPositionRules, cancelPositionRule } = require('./positionRules');
+const { createDcaSchedule, listDcaSchedules, getDcaHistory, pauseDcaSchedule, resumeDcaSchedule, deleteDcaSchedule } = require('./dcaScheduler');
+const { startTwapJob, getTwapJob, listTwapJobs, cancelTwapJob } = require('./twapExecutor');
+const { armSnipe, listSnipes, disarmSnipe } = require('./sniper');
+const { executeBatchTrade } = require('./batchTrades');
+const { hasKeystorePassword } = require('./utils/keystore');
+const { speedUpTransaction, cancelTransaction, getTrackedTransaction, listTrackedTransactions } = require('./utils/transactionTracker');
 
 // Initialize Express
 const app = express();
@@ -24,6 +41,149 @@ app.use(express.static('public'));
 // Create Web3 instance
 const web3 = new Web3(BSC_RPC_URL);
 
+/**
+ * Parse the optional stop-loss, take-profit and trailing stop fields of a request
+ * @param {Object} body - Request body
+ * @returns {{error: string}|{exitRules: Object|null}} Validation error, or the parsed rules (null if none were requested)
+ */
+function parseExitRules(body) {
+  const parsePercent = value => value === undefined || value === null || value === '' ? undefined : parseFloat(value);
+  const stopLossPercent = parsePercent(body.stopLossPercent);
+  const takeProfitPercent = parsePercent(body.takeProfitPercent);
+  const trailingStopPercent = parsePercent(body.trailingStopPercent);
+  const sellPercent = parsePercent(body.sellPercent);
+  
+  if (stopLossPercent !== undefined && (isNaN(stopLossPercent) || stopLossPercent <= 0 || stopLossPercent >= 100)) {
+    return { error: 'Stop-loss must be between 0% and 100% below the entry price' };
+  }
+  
+  if (takeProfitPercent !== undefined && (isNaN(takeProfitPercent) || takeProfitPercent <= 0)) {
+    return { error: 'Take-profit must be a positive percentage above the entry price' };
+  }
+  
+  if (trailingStopPercent !== undefined && (isNaN(trailingStopPercent) || trailingStopPercent <= 0 || trailingStopPercent >= 100)) {
+    return { error: 'Trailing stop must be between 0% and 100% below the highest price' };
+  }
+  
+  if (sellPercent !== undefined && (isNaN(sellPercent) || sellPercent <= 0 || sellPercent > 100)) {
+    return { error: 'Sell percent must be between 0% and 100%' };
+  }
+  
+  if (stopLossPercent === undefined && takeProfitPercent === undefined && trailingStopPercent === undefined) {
+    return { exitRules: null };
+  }
+  
+  // Rules sell from the server after the request ends, so the key has to be stored encrypted
+  if (!hasKeystorePassword()) {
+    return { error: 'Position rules need the server to store your key encrypted. Start the server with KEYSTORE_PASSWORD set.' };
+  }
+  
+  return { exitRules: { stopLossPercent, takeProfitPercent, trailingStopPercent, sellPercent: sellPercent === undefined ? 100 : sellPercent } };
+}
+
+/**
+ * Parse the optional gas pricing fields of a request
+ * @param {Object} body - Request body
+ * @returns {{error: string}|{gasStrategy: Object}} Validation error, or the gas strategy for resolveGasPrice
+ */
+function parseGasStrategy(body) {
+  const parseGwei = value => value === undefined || value === null || value === '' ? undefined : parseFloat(value);
+  const mode = body.gasStrategy === undefined || body.gasStrategy === '' ? undefined : body.gasStrategy;
+  const gwei = parseGwei(body.gasPriceGwei);
+  const multiplier = parseGwei(body.gasMultiplier);
+  const maxGwei = parseGwei(body.maxGasPriceGwei);
+  
+  if (mode !== undefined && !Object.values(GAS_STRATEGIES).includes(mode)) {
+    return { error: `Gas strategy must be one of ${Object.values(GAS_STRATEGIES).join(', ')}` };
+  }
+  
+  if (mode === GAS_STRATEGIES.FIXED && (gwei === undefined || isNaN(gwei) || gwei <= 0)) {
+    return { error: 'The fixed gas strategy needs a positive gas price in gwei' };
+  }
+  
+  if (multiplier !== undefined && (isNaN(multiplier) || multiplier < 1 || multiplier > 10)) {
+    return { error: 'Gas multiplier must be between 1 and 10' };
+  }
+  
+  if (maxGwei !== undefined && (isNaN(maxGwei) || maxGwei <= 0)) {
+    return { error: 'Max gas price must be a positive number of gwei' };
+  }
+  
+  return { gasStrategy: { mode, gwei, multiplier, maxGwei } };
+}
+
+/**
+ * Parse the optional deadline field of a trade request
+ * @param {Object} body - Request body
+ * @returns {{error: string}|{deadlineSeconds: number|undefined}} Validation error, or the seconds the swap stays valid (undefined for the server default)
+ */
+function parseDeadlineSeconds(body) {
+  if (body.deadlineSeconds === undefined || body.deadlineSeconds === null || body.deadlineSeconds === '') {
+    return { deadlineSeconds: undefined };
+  }
+  
+  const deadlineSeconds = Number(body.deadlineSeconds);
+  if (!Number.isInteger(deadlineSeconds) || deadlineSeconds < MIN_DEADLINE_SECONDS || deadlineSeconds > MAX_DEADLINE_SECONDS) {
+    return { error: `Deadline must be a whole number of seconds between ${MIN_DEADLINE_SECONDS} and ${MAX_DEADLINE_SECONDS}` };
+  }
+  
+  return { deadlineSeconds };
+}
+
+/**
+ * Handle a speed-up or cancel request for a pending transaction
+ * @param {Function} replaceTransaction - speedUpTransaction or cancelTransaction
+ * @param {string} action - What the request does, for error messages
+ * @returns {Function} Express route handler
+ */
+function replaceTransactionRoute(replaceTransaction, action) {
+  return async (req, res) => {
+    try {
+      const { privateKey } = req.body;
+      
+      if (!privateKey || !privateKey.startsWith('0x') || privateKey.length !== 66) {
+        return res.status(400).json({ error: 'Invalid private key format. Make sure it starts with 0x and has 64 characters after that.' });
+      }
+      
+      // Validate optional gas pricing; the new price is raised further if needed to replace the pending one
+      const { error: gasStrategyError, gasStrategy } = parseGasStrategy(req.body);
+      if (gasStrategyError) {
+        return res.status(400).json({ error: gasStrategyError });
+      }
+      
+      const transaction = await replaceTransaction(privateKey, req.params.hash, gasStrategy);
+      return res.json({ success: true, transaction });
+    } catch (error) {
+      console.error(`Error trying to ${action} transaction:`, error);
+      
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      
+      if (error.message.includes('does not belong') || error.message.includes('cannot be replaced') || error.message.includes('above the maximum gas price')) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      // The node refuses a replacement once the original has mined or if it doesn't pay enough more
+      if (error.message.includes('nonce too low') || error.message.includes('underpriced')) {
+        return res.status(400).json({ error: `Could not ${action} the transaction: ${error.message}. It may already have been mined.` });
+      }
+      
+      return res.status(500).json({ 
+        error: `Error trying to ${action} transaction`,
+        details: error.message
+      });
+    }
+  };
+}
+
+// The server-wide default has to fit the same range as a request's deadline
+const { error: defaultDeadlineError } = parseDeadlineSeconds({ deadlineSeconds: DEFAULT_DEADLINE_SECONDS });
+if (defaultDeadlineError) {
+  console.error(`Invalid TRADE_DEADLINE_SECONDS: ${defaultDeadlineError}`);
+  process.exit(1);
+}
+
 // API Routes
 app.post('/api/token-info', async (req, res) => {
   try {
@@ -60,13 +220,19 @@ app.post('/api/token-info', async (req, res) => {
     const tokenBalance = await tokenContract.methods.balanceOf(account.address).call();
     const tokenBalanceFormatted = fromTokenUnits(tokenBalance, tokenInfo.decimals);
     
+    // Simulated buy/sell transfer tax; the sell can only be simulated once the wallet has approved the V2 router
+    const { buyTax, sellTax, sellTaxEstimated } = await detectTransferTax(tokenAddress, account.address);
+    
     return res.json({
       address: tokenInfo.address,
       name: tokenInfo.name,
       symbol: tokenInfo.symbol,
       decimals: tokenInfo.decimals,
       tokenBalance: tokenBalanceFormatted,
-      bnbBalance: bnbBalanceFormatted
+      bnbBalance: bnbBalanceFormatted,
+      buyTax,
+      sellTax,
+      sellTaxEstimated
     });
   } catch (error) {
     console.error('Error getting token info:', error);
@@ -74,9 +240,137 @@ app.post('/api/token-info', async (req, res) => {
   }
 });
 
+// Dry-run quote: same routing, pricing and gas estimation as a trade, but nothing is signed
+app.post('/api/quote', async (req, res) => {
+  try {
+    const { tokenAddress, privateKey, side, amount, slippage, maxPriceImpact, feeTierSelection, mode = 'exactInput', baseTokens, receiveWBNB } = req.body;
+    
+    if (!tokenAddress || !amount || !side) {
+      return res.status(400).json({ error: 'Token address, side, and amount are required' });
+    }
+    
+    if (side !== 'buy' && side !== 'sell') {
+      return res.status(400).json({ error: 'Side must be either buy or sell' });
+    }
+    
+    // exactInput quotes spending `amount`; exactOutput quotes receiving exactly `amount`; split divides `amount` across every direct pool
+    if (mode !== 'exactInput' && mode !== 'exactOutput' && mode !== 'split') {
+      return res.status(400).json({ error: 'Mode must be exactInput, exactOutput or split' });
+    }
+    
+    // Sell amounts may also be a percentage of the balance ("25%") or "max"
+    let balanceShare;
+    try {
+      balanceShare = parseBalanceShare(amount);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (balanceShare !== null && side === 'buy') {
+      return res.status(400).json({ error: 'Percentage and max amounts are only supported when selling' });
+    }
+    
+    if (balanceShare !== null && mode === 'exactOutput') {
+      return res.status(400).json({ error: 'Percentage and max amounts are not supported for exactOutput trades' });
+    }
+    
+    // Validate amount is a positive number
+    const amountFloat = parseFloat(amount);
+    if (balanceShare === null && (isNaN(amountFloat) || amountFloat <= 0)) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+    
+    // Validate slippage is within reasonable range
+    const slippageValue = parseFloat(slippage) || 1.0;
+    if (slippageValue < 0.1 || slippageValue > 100) {
+      return res.status(400).json({ error: 'Slippage must be between 0.1% and 100%' });
+    }
+    
+    // Validate optional price impact limit
+    const maxPriceImpactValue = maxPriceImpact === undefined || maxPriceImpact === '' ? undefined : parseFloat(maxPriceImpact);
+    if (maxPriceImpactValue !== undefined && (isNaN(maxPriceImpactValue) || maxPriceImpactValue <= 0 || maxPriceImpactValue > 100)) {
+      return res.status(400).json({ error: 'Max price impact must be between 0% and 100%' });
+    }
+    
+    // Validate optional fee tier selection mode
+    if (feeTierSelection !== undefined && !Object.values(FEE_TIER_SELECTION).includes(feeTierSelection)) {
+      return res.status(400).json({ error: 'Fee tier selection must be either output or liquidity' });
+    }
+    
+    // Validate optional multi-hop base tokens
+    if (baseTokens !== undefined && (!Array.isArray(baseTokens) || !baseTokens.every(address => web3.utils.isAddress(address)))) {
+      return res.status(400).json({ error: 'Base tokens must be an array of token addresses' });
+    }
+    
+    // The private key is optional and only used to derive the sender for gas estimation
+    let walletAddress;
+    if (privateKey) {
+      if (!privateKey.startsWith('0x') || privateKey.length !== 66) {
+        return res.status(400).json({ error: 'Invalid private key format. Make sure it starts with 0x and has 64 characters after that.' });
+      }
+      walletAddress = web3.eth.accounts.privateKeyToAccount(privateKey).address;
+    }
+    
+    // Percentages and max resolve against the wallet's balance
+    if (balanceShare !== null && !walletAddress) {
+      return res.status(400).json({ error: 'A private key is required to quote a percentage or max sell amount' });
+    }
+    
+    // Validate optional gas pricing
+    const { error: gasStrategyError, gasStrategy } = parseGasStrategy(req.body);
+    if (gasStrategyError) {
+      return res.status(400).json({ error: gasStrategyError });
+    }
+    
+    const quote = mode === 'exactOutput'
+      ? await quoteExactOutputTrade(tokenAddress, amount, slippageValue, side === 'buy', {
+        walletAddress,
+        maxPriceImpact: maxPriceImpactValue,
+        receiveWBNB: receiveWBNB === true,
+        gasStrategy
+      })
+      : await quoteTrade(tokenAddress, amount, slippageValue, side === 'buy', {
+        walletAddress,
+        maxPriceImpact: maxPriceImpactValue,
+        feeTierSelection,
+        split: mode === 'split',
+        baseTokens,
+        receiveWBNB: receiveWBNB === true,
+        gasStrategy
+      });
+    
+    return res.json({ success: true, ...quote });
+  } catch (error) {
+    console.error('Error quoting trade:', error);
+    
+    let errorMessage = 'Error quoting trade';
+    
+    if (error.message.includes('No valid PancakeSwap V3 pool')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Invalid token address') || error.message.includes('Failed to get token info')) {
+      errorMessage = 'Invalid token address. Please enter a valid BEP-20 token contract address.';
+    } else if (error.message.includes('Invalid BNB amount') || error.message.includes('Invalid token amount')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('balance is too small to sell')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('gas strategy') || error.message.includes('recent gas prices')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Failed to quote input amount')) {
+      errorMessage = 'Failed to quote input amount: The V3 quoter could not price this exact output trade. The pool may not hold enough liquidity for the requested amount.';
+    } else if (error.message.includes('transfer tax on')) {
+      errorMessage = error.message;
+    }
+    
+    return res.status(500).json({ 
+      error: errorMessage,
+      details: error.message
+    });
+  }
+});
+
 app.post('/api/buy-token', async (req, res) => {
   try {
-    const { tokenAddress, privateKey, amount, slippage } = req.body;
+    const { tokenAddress, privateKey, amount, slippage, maxPriceImpact, feeTierSelection, mode = 'exactInput', baseTokens, force } = req.body;
     
     if (!tokenAddress || !privateKey || !amount) {
       return res.status(400).json({ error: 'Token address, private key, and amount are required' });
@@ -94,12 +388,73 @@ app.post('/api/buy-token', async (req, res) => {
       return res.status(400).json({ error: 'Slippage must be between 0.1% and 100%' });
     }
     
+    // Validate optional price impact limit
+    const maxPriceImpactValue = maxPriceImpact === undefined || maxPriceImpact === '' ? undefined : parseFloat(maxPriceImpact);
+    if (maxPriceImpactValue !== undefined && (isNaN(maxPriceImpactValue) || maxPriceImpactValue <= 0 || maxPriceImpactValue > 100)) {
+      return res.status(400).json({ error: 'Max price impact must be between 0% and 100%' });
+    }
+    
+    // exactInput spends `amount`; exactOutput receives exactly `amount`; split spends `amount` across every direct pool
+    if (mode !== 'exactInput' && mode !== 'exactOutput' && mode !== 'split') {
+      return res.status(400).json({ error: 'Mode must be exactInput, exactOutput or split' });
+    }
+    
+    // Validate optional fee tier selection mode
+    if (feeTierSelection !== undefined && !Object.values(FEE_TIER_SELECTION).includes(feeTierSelection)) {
+      return res.status(400).json({ error: 'Fee tier selection must be either output or liquidity' });
+    }
+    
+    // Validate optional multi-hop base tokens
+    if (baseTokens !== undefined && (!Array.isArray(baseTokens) || !baseTokens.every(address => web3.utils.isAddress(address)))) {
+      return res.status(400).json({ error: 'Base tokens must be an array of token addresses' });
+    }
+    
+    // Validate optional stop-loss, take-profit and trailing stop rules for the new position
+    const { error: exitRulesError, exitRules } = parseExitRules(req.body);
+    if (exitRulesError) {
+      return res.status(400).json({ error: exitRulesError });
+    }
+    
+    // Validate optional gas pricing
+    const { error: gasStrategyError, gasStrategy } = parseGasStrategy(req.body);
+    if (gasStrategyError) {
+      return res.status(400).json({ error: gasStrategyError });
+    }
+    
+    // Validate optional deadline
+    const { error: deadlineError, deadlineSeconds } = parseDeadlineSeconds(req.body);
+    if (deadlineError) {
+      return res.status(400).json({ error: deadlineError });
+    }
+    
     // Execute buy transaction
-    const txHash = await buyToken(privateKey, tokenAddress, amount, slippageValue);
+    const { txHash, route, feeTierQuotes, splits, entryPrice, receipt } = mode === 'exactOutput'
+      ? await buyTokenExactOutput(privateKey, tokenAddress, amount, slippageValue, { maxPriceImpact: maxPriceImpactValue, gasStrategy, deadlineSeconds, force: force === true })
+      : await buyToken(privateKey, tokenAddress, amount, slippageValue, { baseTokens, maxPriceImpact: maxPriceImpactValue, feeTierSelection, split: mode === 'split', gasStrategy, deadlineSeconds, force: force === true });
+    
+    // The buy has gone through, so a failure to place the rules is reported rather than thrown
+    // Rules are measured from the price the buy actually filled at, not the quote
+    let positionRules;
+    let positionRulesError;
+    if (exitRules) {
+      try {
+        positionRules = await createPositionRules({ privateKey, tokenAddress, entryPrice: receipt.effectivePrice, slippage: slippageValue, ...exitRules });
+      } catch (error) {
+        console.error('Error placing position rules after buy:', error);
+        positionRulesError = error.message;
+      }
+    }
     
     return res.json({ 
       success: true,
       txHash,
+      route,
+      feeTierQuotes,
+      splits,
+      entryPrice,
+      receipt,
+      positionRules,
+      positionRulesError,
       message: `Successfully bought tokens. Transaction hash: ${txHash}` 
     });
   } catch (error) {
@@ -108,7 +463,13 @@ app.post('/api/buy-token', async (req, res) => {
     // Extract the most user-friendly error message
     let errorMessage = 'Error buying tokens';
     
-    if (error.message.includes('Transaction reverted:')) {
+    if (error.message.includes('Simulation failed')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('above the maximum gas price')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Transaction reverted:')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Transaction cancelled') || error.message.includes('was not mined within')) {
       errorMessage = error.message;
     } else if (error.message.includes('Insufficient BNB balance')) {
       errorMessage = error.message;
@@ -118,10 +479,16 @@ app.post('/api/buy-token', async (req, res) => {
       errorMessage = 'Transaction failed: Price impact too high. Try increasing slippage tolerance.';
     } else if (error.message.includes('Price impact too high')) {
       errorMessage = error.message;
+    } else if (error.message.includes('transfer tax on buys')) {
+      errorMessage = error.message;
     } else if (error.message.includes('honeypot')) {
       errorMessage = error.message;
     } else if (error.message.includes('execution reverted')) {
       errorMessage = 'Transaction failed: The token contract reverted the transaction. This may be due to trading restrictions, insufficient liquidity, or other contract limitations.';
+    } else if (error.message.includes('Failed to quote input amount')) {
+      errorMessage = 'Failed to quote input amount: The V3 quoter could not price this exact output trade. The pool may not hold enough liquidity for the requested amount.';
+    } else if (error.message.includes('Exact output trades require a V3 pool')) {
+      errorMessage = error.message;
     } else if (error.message.includes('Failed to quote output amount')) {
       errorMessage = 'Failed to quote output amount: The V3 quoter could not calculate an exact price. This may be due to low liquidity or price impact. Try a smaller amount or higher slippage.';
     } else if (error.message.includes('no route found')) {
@@ -134,22 +501,37 @@ app.post('/api/buy-token', async (req, res) => {
     
     return res.status(500).json({ 
       error: errorMessage,
-      details: error.message
+      details: error.message,
+      priceImpact: error.priceImpact,
+      revertReason: error.revertReason
     });
   }
 });
 
 app.post('/api/sell-token', async (req, res) => {
   try {
-    const { tokenAddress, privateKey, amount, slippage } = req.body;
+    const { tokenAddress, privateKey, amount, slippage, maxPriceImpact, feeTierSelection, mode = 'exactInput', baseTokens, receiveWBNB, approvalMode, permit, force } = req.body;
     
     if (!tokenAddress || !privateKey || !amount) {
       return res.status(400).json({ error: 'Token address, private key, and amount are required' });
     }
     
+    // Sell amounts may also be a percentage of the balance ("25%") or "max"
+    let balanceShare;
+    try {
+      balanceShare = parseBalanceShare(amount);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    // A percentage or max describes what to spend, so it cannot be an exact output amount
+    if (balanceShare !== null && mode === 'exactOutput') {
+      return res.status(400).json({ error: 'Percentage and max amounts are not supported for exactOutput trades' });
+    }
+    
     // Validate amount is a positive number
     const amountFloat = parseFloat(amount);
-    if (isNaN(amountFloat) || amountFloat <= 0) {
+    if (balanceShare === null && (isNaN(amountFloat) || amountFloat <= 0)) {
       return res.status(400).json({ error: 'Amount must be a positive number' });
     }
     
@@ -159,12 +541,57 @@ app.post('/api/sell-token', async (req, res) => {
       return res.status(400).json({ error: 'Slippage must be between 0.1% and 100%' });
     }
     
+    // Validate optional price impact limit
+    const maxPriceImpactValue = maxPriceImpact === undefined || maxPriceImpact === '' ? undefined : parseFloat(maxPriceImpact);
+    if (maxPriceImpactValue !== undefined && (isNaN(maxPriceImpactValue) || maxPriceImpactValue <= 0 || maxPriceImpactValue > 100)) {
+      return res.status(400).json({ error: 'Max price impact must be between 0% and 100%' });
+    }
+    
+    // exactInput spends `amount`; exactOutput receives exactly `amount`; split spends `amount` across every direct pool
+    if (mode !== 'exactInput' && mode !== 'exactOutput' && mode !== 'split') {
+      return res.status(400).json({ error: 'Mode must be exactInput, exactOutput or split' });
+    }
+    
+    // Validate optional fee tier selection mode
+    if (feeTierSelection !== undefined && !Object.values(FEE_TIER_SELECTION).includes(feeTierSelection)) {
+      return res.status(400).json({ error: 'Fee tier selection must be either output or liquidity' });
+    }
+    
+    // Validate optional multi-hop base tokens
+    if (baseTokens !== undefined && (!Array.isArray(baseTokens) || !baseTokens.every(address => web3.utils.isAddress(address)))) {
+      return res.status(400).json({ error: 'Base tokens must be an array of token addresses' });
+    }
+    
+    // Validate optional approval mode
+    if (approvalMode !== undefined && !Object.values(APPROVAL_MODES).includes(approvalMode)) {
+      return res.status(400).json({ error: `Approval mode must be one of ${Object.values(APPROVAL_MODES).join(', ')}` });
+    }
+    
+    // Validate optional gas pricing
+    const { error: gasStrategyError, gasStrategy } = parseGasStrategy(req.body);
+    if (gasStrategyError) {
+      return res.status(400).json({ error: gasStrategyError });
+    }
+    
+    // Validate optional deadline
+    const { error: deadlineError, deadlineSeconds } = parseDeadlineSeconds(req.body);
+    if (deadlineError) {
+      return res.status(400).json({ error: deadlineError });
+    }
+    
     // Execute sell transaction
-    const txHash = await sellToken(privateKey, tokenAddress, amount, slippageValue);
+    const { txHash, route, feeTierQuotes, splits, usedPermit = false, receipt } = mode === 'exactOutput'
+      ? await sellTokenExactOutput(privateKey, tokenAddress, amount, slippageValue, { receiveWBNB: receiveWBNB === true, maxPriceImpact: maxPriceImpactValue, gasStrategy, deadlineSeconds, approvalMode, force: force === true })
+      : await sellToken(privateKey, tokenAddress, amount, slippageValue, { baseTokens, maxPriceImpact: maxPriceImpactValue, feeTierSelection, split: mode === 'split', receiveWBNB: receiveWBNB === true, gasStrategy, deadlineSeconds, approvalMode, permit: permit !== false, force: force === true });
     
     return res.json({ 
       success: true,
       txHash,
+      route,
+      feeTierQuotes,
+      splits,
+      usedPermit,
+      receipt,
       message: `Successfully sold tokens. Transaction hash: ${txHash}` 
     });
   } catch (error) {
@@ -173,22 +600,36 @@ app.post('/api/sell-token', async (req, res) => {
     // Extract the most user-friendly error message
     let errorMessage = 'Error selling tokens';
     
-    if (error.message.includes('Transaction reverted:')) {
+    if (error.message.includes('Simulation failed')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('above the maximum gas price')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Transaction reverted:')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Transaction cancelled') || error.message.includes('was not mined within')) {
       errorMessage = error.message;
     } else if (error.message.includes('Insufficient token balance')) {
       errorMessage = error.message;
+    } else if (error.message.includes('Invalid token amount')) {
+      errorMessage = error.message;
     } else if (error.message.includes('No liquidity pool exists')) {
       errorMessage = error.message;
     } else if (error.message.includes('INSUFFICIENT_OUTPUT_AMOUNT')) {
       errorMessage = 'Transaction failed: Price impact too high. Try increasing slippage tolerance.';
     } else if (error.message.includes('Price impact too high')) {
       errorMessage = error.message;
+    } else if (error.message.includes('transfer tax on sells')) {
+      errorMessage = error.message;
     } else if (error.message.includes('honeypot')) {
       errorMessage = 'Token may be a honeypot (has trading restrictions). Unable to sell.';
     } else if (error.message.includes('Token approval failed')) {
       errorMessage = 'Token approval failed. This token may have transfer restrictions or be a honeypot.';
     } else if (error.message.includes('execution reverted')) {
       errorMessage = 'Transaction failed: The token contract reverted the transaction. This may be due to selling restrictions, insufficient liquidity, or other contract limitations.';
+    } else if (error.message.includes('Failed to quote input amount')) {
+      errorMessage = 'Failed to quote input amount: The V3 quoter could not price this exact output trade. The pool may not hold enough liquidity for the requested amount.';
+    } else if (error.message.includes('Exact output trades require a V3 pool')) {
+      errorMessage = error.message;
     } else if (error.message.includes('Failed to quote output amount')) {
       errorMessage = 'Failed to quote output amount: The V3 quoter could not calculate an exact price. This may be due to low liquidity or price impact. Try a smaller amount or higher slippage.';
     } else if (error.message.includes('no route found')) {
@@ -201,7 +642,141 @@ app.post('/api/sell-token', async (req, res) => {
     
     return res.status(500).json({ 
       error: errorMessage,
-      details: error.message
+      details: error.message,
+      priceImpact: error.priceImpact,
+      revertReason: error.revertReason
+    });
+  }
+});
+
+// Token-to-token swaps; either side may be 'BNB'
+app.post('/api/swap', async (req, res) => {
+  try {
+    const { tokenIn, tokenOut, privateKey, amount, slippage, maxPriceImpact, baseTokens, approvalMode, force } = req.body;
+    
+    if (!tokenIn || !tokenOut || !privateKey || !amount) {
+      return res.status(400).json({ error: 'Input token, output token, private key, and amount are required' });
+    }
+    
+    // Each side is a token address or BNB
+    const isValidToken = token => typeof token === 'string' && (token.toLowerCase() === 'bnb' || web3.utils.isAddress(token));
+    if (!isValidToken(tokenIn) || !isValidToken(tokenOut)) {
+      return res.status(400).json({ error: 'Input and output tokens must be token addresses or BNB' });
+    }
+    
+    // Token input amounts may also be a percentage of the balance ("25%") or "max"
+    let balanceShare;
+    try {
+      balanceShare = parseBalanceShare(amount);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (balanceShare !== null && tokenIn.toLowerCase() === 'bnb') {
+      return res.status(400).json({ error: 'Percentage and max amounts are not supported when swapping from BNB' });
+    }
+    
+    // Validate amount is a positive number
+    const amountFloat = parseFloat(amount);
+    if (balanceShare === null && (isNaN(amountFloat) || amountFloat <= 0)) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+    
+    // Validate slippage is within reasonable range
+    const slippageValue = parseFloat(slippage) || 1.0;
+    if (slippageValue < 0.1 || slippageValue > 100) {
+      return res.status(400).json({ error: 'Slippage must be between 0.1% and 100%' });
+    }
+    
+    // Validate optional price impact limit
+    const maxPriceImpactValue = maxPriceImpact === undefined || maxPriceImpact === '' ? undefined : parseFloat(maxPriceImpact);
+    if (maxPriceImpactValue !== undefined && (isNaN(maxPriceImpactValue) || maxPriceImpactValue <= 0 || maxPriceImpactValue > 100)) {
+      return res.status(400).json({ error: 'Max price impact must be between 0% and 100%' });
+    }
+    
+    // Validate optional multi-hop base tokens
+    if (baseTokens !== undefined && (!Array.isArray(baseTokens) || !baseTokens.every(address => web3.utils.isAddress(address)))) {
+      return res.status(400).json({ error: 'Base tokens must be an array of token addresses' });
+    }
+    
+    // Validate optional approval mode
+    if (approvalMode !== undefined && !Object.values(APPROVAL_MODES).includes(approvalMode)) {
+      return res.status(400).json({ error: `Approval mode must be one of ${Object.values(APPROVAL_MODES).join(', ')}` });
+    }
+    
+    // Validate optional gas pricing
+    const { error: gasStrategyError, gasStrategy } = parseGasStrategy(req.body);
+    if (gasStrategyError) {
+      return res.status(400).json({ error: gasStrategyError });
+    }
+    
+    // Validate optional deadline
+    const { error: deadlineError, deadlineSeconds } = parseDeadlineSeconds(req.body);
+    if (deadlineError) {
+      return res.status(400).json({ error: deadlineError });
+    }
+    
+    // Execute swap transaction
+    const { txHash, route, expectedOutput, amountOutMinimum, receipt } = await swapTokens(privateKey, tokenIn, tokenOut, amount, {
+      slippagePercent: slippageValue,
+      maxPriceImpact: maxPriceImpactValue,
+      baseTokens,
+      gasStrategy,
+      deadlineSeconds,
+      approvalMode,
+      force: force === true
+    });
+    
+    return res.json({ 
+      success: true,
+      txHash,
+      route,
+      expectedOutput,
+      amountOutMinimum,
+      receipt,
+      message: `Successfully swapped tokens. Transaction hash: ${txHash}` 
+    });
+  } catch (error) {
+    console.error('Error swapping tokens:', error);
+    
+    // Extract the most user-friendly error message
+    let errorMessage = 'Error swapping tokens';
+    
+    if (error.message.includes('Simulation failed')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('above the maximum gas price')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Transaction reverted:')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Transaction cancelled') || error.message.includes('was not mined within')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Insufficient')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Input and output tokens must be different')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('No PancakeSwap V3 or V2 route found')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('INSUFFICIENT_OUTPUT_AMOUNT')) {
+      errorMessage = 'Transaction failed: Price impact too high. Try increasing slippage tolerance.';
+    } else if (error.message.includes('Price impact too high')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('transfer tax on sells')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('honeypot')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Token approval failed')) {
+      errorMessage = 'Token approval failed. This token may have transfer restrictions or be a honeypot.';
+    } else if (error.message.includes('execution reverted')) {
+      errorMessage = 'Transaction failed: The token contract reverted the transaction. This may be due to trading restrictions, insufficient liquidity, or other contract limitations.';
+    } else if (error.message.includes('Too little received')) {
+      errorMessage = 'Slippage error: Price moved unfavorably during transaction. Try increasing slippage tolerance.';
+    }
+    
+    return res.status(500).json({ 
+      error: errorMessage,
+      details: error.message,
+      priceImpact: error.priceImpact,
+      revertReason: error.revertReason
     });
   }
 });
@@ -209,7 +784,7 @@ app.post('/api/sell-token', async (req, res) => {
 // New routes for trading with specific 0.25% fee tier
 app.post('/api/buy-token-medium-fee', async (req, res) => {
   try {
-    const { tokenAddress, privateKey, amount, slippage } = req.body;
+    const { tokenAddress, privateKey, amount, slippage, maxPriceImpact, force } = req.body;
     
     if (!tokenAddress || !privateKey || !amount) {
       return res.status(400).json({ error: 'Token address, private key, and amount are required' });
@@ -227,12 +802,31 @@ app.post('/api/buy-token-medium-fee', async (req, res) => {
       return res.status(400).json({ error: 'Slippage must be between 0.1% and 100%' });
     }
     
+    // Validate optional price impact limit
+    const maxPriceImpactValue = maxPriceImpact === undefined || maxPriceImpact === '' ? undefined : parseFloat(maxPriceImpact);
+    if (maxPriceImpactValue !== undefined && (isNaN(maxPriceImpactValue) || maxPriceImpactValue <= 0 || maxPriceImpactValue > 100)) {
+      return res.status(400).json({ error: 'Max price impact must be between 0% and 100%' });
+    }
+    
+    // Validate optional gas pricing
+    const { error: gasStrategyError, gasStrategy } = parseGasStrategy(req.body);
+    if (gasStrategyError) {
+      return res.status(400).json({ error: gasStrategyError });
+    }
+    
+    // Validate optional deadline
+    const { error: deadlineError, deadlineSeconds } = parseDeadlineSeconds(req.body);
+    if (deadlineError) {
+      return res.status(400).json({ error: deadlineError });
+    }
+    
     // Execute buy transaction with medium (0.25%) fee tier
-    const txHash = await buyTokenWithFeeTier(privateKey, tokenAddress, amount, slippageValue, FEE_TIERS.MEDIUM);
+    const { txHash, receipt } = await buyTokenWithFeeTier(privateKey, tokenAddress, amount, slippageValue, FEE_TIERS.MEDIUM, { maxPriceImpact: maxPriceImpactValue, gasStrategy, deadlineSeconds, force: force === true });
     
     return res.json({ 
       success: true,
       txHash,
+      receipt,
       message: `Successfully bought tokens with 0.25% fee tier. Transaction hash: ${txHash}` 
     });
   } catch (error) {
@@ -241,7 +835,13 @@ app.post('/api/buy-token-medium-fee', async (req, res) => {
     // Extract the most user-friendly error message
     let errorMessage = 'Error buying tokens';
     
-    if (error.message.includes('Transaction reverted:')) {
+    if (error.message.includes('Simulation failed')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('above the maximum gas price')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Transaction reverted:')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Transaction cancelled') || error.message.includes('was not mined within')) {
       errorMessage = error.message;
     } else if (error.message.includes('Insufficient BNB balance')) {
       errorMessage = error.message;
@@ -251,6 +851,8 @@ app.post('/api/buy-token-medium-fee', async (req, res) => {
       errorMessage = error.message;
     } else if (error.message.includes('INSUFFICIENT_OUTPUT_AMOUNT')) {
       errorMessage = 'Transaction failed: Price impact too high. Try increasing slippage tolerance.';
+    } else if (error.message.includes('Price impact too high')) {
+      errorMessage = error.message;
     } else if (error.message.includes('honeypot')) {
       errorMessage = error.message;
     } else if (error.message.includes('Could not estimate price for 0.25% fee tier')) {
@@ -259,22 +861,32 @@ app.post('/api/buy-token-medium-fee', async (req, res) => {
     
     return res.status(500).json({ 
       error: errorMessage,
-      details: error.message
+      details: error.message,
+      priceImpact: error.priceImpact,
+      revertReason: error.revertReason
     });
   }
 });
 
 app.post('/api/sell-token-medium-fee', async (req, res) => {
   try {
-    const { tokenAddress, privateKey, amount, slippage } = req.body;
+    const { tokenAddress, privateKey, amount, slippage, maxPriceImpact, receiveWBNB, approvalMode, force } = req.body;
     
     if (!tokenAddress || !privateKey || !amount) {
       return res.status(400).json({ error: 'Token address, private key, and amount are required' });
     }
     
+    // Sell amounts may also be a percentage of the balance ("25%") or "max"
+    let balanceShare;
+    try {
+      balanceShare = parseBalanceShare(amount);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
     // Validate amount is a positive number
     const amountFloat = parseFloat(amount);
-    if (isNaN(amountFloat) || amountFloat <= 0) {
+    if (balanceShare === null && (isNaN(amountFloat) || amountFloat <= 0)) {
       return res.status(400).json({ error: 'Amount must be a positive number' });
     }
     
@@ -284,12 +896,36 @@ app.post('/api/sell-token-medium-fee', async (req, res) => {
       return res.status(400).json({ error: 'Slippage must be between 0.1% and 100%' });
     }
     
+    // Validate optional price impact limit
+    const maxPriceImpactValue = maxPriceImpact === undefined || maxPriceImpact === '' ? undefined : parseFloat(maxPriceImpact);
+    if (maxPriceImpactValue !== undefined && (isNaN(maxPriceImpactValue) || maxPriceImpactValue <= 0 || maxPriceImpactValue > 100)) {
+      return res.status(400).json({ error: 'Max price impact must be between 0% and 100%' });
+    }
+    
+    // Validate optional approval mode
+    if (approvalMode !== undefined && !Object.values(APPROVAL_MODES).includes(approvalMode)) {
+      return res.status(400).json({ error: `Approval mode must be one of ${Object.values(APPROVAL_MODES).join(', ')}` });
+    }
+    
+    // Validate optional gas pricing
+    const { error: gasStrategyError, gasStrategy } = parseGasStrategy(req.body);
+    if (gasStrategyError) {
+      return res.status(400).json({ error: gasStrategyError });
+    }
+    
+    // Validate optional deadline
+    const { error: deadlineError, deadlineSeconds } = parseDeadlineSeconds(req.body);
+    if (deadlineError) {
+      return res.status(400).json({ error: deadlineError });
+    }
+    
     // Execute sell transaction with medium (0.25%) fee tier
-    const txHash = await sellTokenWithFeeTier(privateKey, tokenAddress, amount, slippageValue, FEE_TIERS.MEDIUM);
+    const { txHash, receipt } = await sellTokenWithFeeTier(privateKey, tokenAddress, amount, slippageValue, FEE_TIERS.MEDIUM, { maxPriceImpact: maxPriceImpactValue, receiveWBNB: receiveWBNB === true, gasStrategy, deadlineSeconds, approvalMode, force: force === true });
     
     return res.json({ 
       success: true,
       txHash,
+      receipt,
       message: `Successfully sold tokens with 0.25% fee tier. Transaction hash: ${txHash}` 
     });
   } catch (error) {
@@ -298,7 +934,13 @@ app.post('/api/sell-token-medium-fee', async (req, res) => {
     // Extract the most user-friendly error message
     let errorMessage = 'Error selling tokens';
     
-    if (error.message.includes('Transaction reverted:')) {
+    if (error.message.includes('Simulation failed')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('above the maximum gas price')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Transaction reverted:')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Transaction cancelled') || error.message.includes('was not mined within')) {
       errorMessage = error.message;
     } else if (error.message.includes('Insufficient token balance')) {
       errorMessage = error.message;
@@ -308,6 +950,10 @@ app.post('/api/sell-token-medium-fee', async (req, res) => {
       errorMessage = error.message;
     } else if (error.message.includes('INSUFFICIENT_OUTPUT_AMOUNT')) {
       errorMessage = 'Transaction failed: Price impact too high. Try increasing slippage tolerance.';
+    } else if (error.message.includes('Price impact too high')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('transfer tax on sells')) {
+      errorMessage = error.message;
     } else if (error.message.includes('Token approval failed')) {
       errorMessage = 'Token approval failed. This token may have transfer restrictions or be a honeypot.';
     } else if (error.message.includes('Could not estimate price for 0.25% fee tier')) {
@@ -316,11 +962,740 @@ app.post('/api/sell-token-medium-fee', async (req, res) => {
     
     return res.status(500).json({ 
       error: errorMessage,
-      details: error.message
+      details: error.message,
+      priceImpact: error.priceImpact,
+      revertReason: error.revertReason
     });
   }
 });
 
+// Batch trades: the same buy or sell from several wallets at once
+app.post('/api/batch-trade', async (req, res) => {
+  try {
+    const { tokenAddress, side, wallets, slippage, maxPriceImpact, approvalMode } = req.body;
+    
+    if (!tokenAddress || !side || !wallets) {
+      return res.status(400).json({ error: 'Token address, side, and wallets are required' });
+    }
+    
+    if (!web3.utils.isAddress(tokenAddress)) {
+      return res.status(400).json({ error: 'Invalid token address' });
+    }
+    
+    if (side !== 'buy' && side !== 'sell') {
+      return res.status(400).json({ error: 'Side must be either buy or sell' });
+    }
+    
+    if (!Array.isArray(wallets) || wallets.length === 0 || wallets.length > BATCH_MAX_WALLETS) {
+      return res.status(400).json({ error: `Wallets must be a list of 1 to ${BATCH_MAX_WALLETS} entries with a private key and an amount` });
+    }
+    
+    // Validate every wallet up front so a bad entry doesn't leave the batch half sent
+    for (const [index, wallet] of wallets.entries()) {
+      const { privateKey, amount } = wallet || {};
+      
+      if (typeof privateKey !== 'string' || !privateKey.startsWith('0x') || privateKey.length !== 66) {
+        return res.status(400).json({ error: `Wallet ${index + 1}: invalid private key format. Make sure it starts with 0x and has 64 characters after that.` });
+      }
+      
+      if (amount === undefined || amount === null || amount === '') {
+        return res.status(400).json({ error: `Wallet ${index + 1}: amount is required` });
+      }
+      
+      // Sell amounts may also be a percentage of each wallet's balance ("25%") or "max"
+      let balanceShare;
+      try {
+        balanceShare = parseBalanceShare(amount);
+      } catch (error) {
+        return res.status(400).json({ error: `Wallet ${index + 1}: ${error.message}` });
+      }
+      
+      if (balanceShare !== null && side === 'buy') {
+        return res.status(400).json({ error: `Wallet ${index + 1}: percentage and max amounts are only supported when selling` });
+      }
+      
+      const amountFloat = parseFloat(amount);
+      if (balanceShare === null && (isNaN(amountFloat) || amountFloat <= 0)) {
+        return res.status(400).json({ error: `Wallet ${index + 1}: amount must be a positive number` });
+      }
+    }
+    
+    // Validate slippage is within reasonable range
+    const slippageValue = parseFloat(slippage) || 1.0;
+    if (slippageValue < 0.1 || slippageValue > 100) {
+      return res.status(400).json({ error: 'Slippage must be between 0.1% and 100%' });
+    }
+    
+    // Validate optional price impact limit
+    const maxPriceImpactValue = maxPriceImpact === undefined || maxPriceImpact === '' ? undefined : parseFloat(maxPriceImpact);
+    if (maxPriceImpactValue !== undefined && (isNaN(maxPriceImpactValue) || maxPriceImpactValue <= 0 || maxPriceImpactValue > 100)) {
+      return res.status(400).json({ error: 'Max price impact must be between 0% and 100%' });
+    }
+    
+    // Validate optional approval mode
+    if (approvalMode !== undefined && !Object.values(APPROVAL_MODES).includes(approvalMode)) {
+      return res.status(400).json({ error: `Approval mode must be one of ${Object.values(APPROVAL_MODES).join(', ')}` });
+    }
+    
+    // Validate optional gas pricing
+    const { error: gasStrategyError, gasStrategy } = parseGasStrategy(req.body);
+    if (gasStrategyError) {
+      return res.status(400).json({ error: gasStrategyError });
+    }
+    
+    // Validate optional deadline
+    const { error: deadlineError, deadlineSeconds } = parseDeadlineSeconds(req.body);
+    if (deadlineError) {
+      return res.status(400).json({ error: deadlineError });
+    }
+    
+    const { results, totals } = await executeBatchTrade({
+      side,
+      tokenAddress,
+      wallets: wallets.map(({ privateKey, amount }) => ({ privateKey, amount })),
+      slippage: slippageValue,
+      maxPriceImpact: maxPriceImpactValue,
+      gasStrategy,
+      deadlineSeconds,
+      approvalMode
+    });
+    
+    // Partial failures are reported per wallet; the request only fails when no wallet traded
+    return res.json({ success: totals.filled > 0, results, totals });
+  } catch (error) {
+    console.error('Error executing batch trade:', error);
+    
+    if (error.message.includes('appears more than once')) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    return res.status(500).json({ 
+      error: 'Error executing batch trade',
+      details: error.message
+    });
+  }
+});
+
+// Limit orders: buy or sell once the pool price crosses a trigger price
+app.post('/api/limit-orders', async (req, res) => {
+  try {
+    const { tokenAddress, privateKey, side, triggerPrice, amount, slippage, feeTier, expiresInMinutes } = req.body;
+    
+    if (!tokenAddress || !privateKey || !side || !triggerPrice || !amount) {
+      return res.status(400).json({ error: 'Token address, private key, side, trigger price, and amount are required' });
+    }
+    
+    if (!web3.utils.isAddress(tokenAddress)) {
+      return res.status(400).json({ error: 'Invalid token address' });
+    }
+    
+    if (!privateKey.startsWith('0x') || privateKey.length !== 66) {
+      return res.status(400).json({ error: 'Invalid private key format. Make sure it starts with 0x and has 64 characters after that.' });
+    }
+    
+    if (side !== 'buy' && side !== 'sell') {
+      return res.status(400).json({ error: 'Side must be either buy or sell' });
+    }
+    
+    // Validate trigger price is a positive number of BNB per token
+    const triggerPriceValue = parseFloat(triggerPrice);
+    if (isNaN(triggerPriceValue) || triggerPriceValue <= 0) {
+      return res.status(400).json({ error: 'Trigger price must be a positive number of BNB per token' });
+    }
+    
+    // Sell amounts may also be a percentage of the balance at execution time ("25%") or "max"
+    let balanceShare;
+    try {
+      balanceShare = parseBalanceShare(amount);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (balanceShare !== null && side === 'buy') {
+      return res.status(400).json({ error: 'Percentage and max amounts are only supported when selling' });
+    }
+    
+    // Validate amount is a positive number
+    const amountFloat = parseFloat(amount);
+    if (balanceShare === null && (isNaN(amountFloat) || amountFloat <= 0)) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+    
+    // Validate slippage is within reasonable range
+    const slippageValue = parseFloat(slippage) || 1.0;
+    if (slippageValue < 0.1 || slippageValue > 100) {
+      return res.status(400).json({ error: 'Slippage must be between 0.1% and 100%' });
+    }
+    
+    // Validate optional fee tier of the pool to watch
+    if (feeTier !== undefined && !Object.values(FEE_TIERS).includes(feeTier)) {
+      return res.status(400).json({ error: `Fee tier must be one of ${Object.values(FEE_TIERS).join(', ')}` });
+    }
+    
+    // Validate optional expiry
+    const expiresInMinutesValue = expiresInMinutes === undefined || expiresInMinutes === '' ? undefined : parseFloat(expiresInMinutes);
+    if (expiresInMinutesValue !== undefined && (isNaN(expiresInMinutesValue) || expiresInMinutesValue <= 0)) {
+      return res.status(400).json({ error: 'Expiry must be a positive number of minutes' });
+    }
+    
+    const order = await createLimitOrder({
+      privateKey,
+      tokenAddress,
+      side,
+      triggerPrice: triggerPriceValue,
+      amount,
+      slippage: slippageValue,
+      feeTier,
+      expiresAt: expiresInMinutesValue === undefined ? null : Date.now() + expiresInMinutesValue * 60 * 1000
+    });
+    
+    return res.json({ success: true, order });
+  } catch (error) {
+    console.error('Error creating limit order:', error);
+    
+    let errorMessage = 'Error creating limit order';
+    
+    if (error.message.includes('No valid PancakeSwap V3 pool') || error.message.includes('No PancakeSwap V3 pool exists')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Invalid token address') || error.message.includes('Failed to get token info')) {
+      errorMessage = 'Invalid token address. Please enter a valid BEP-20 token contract address.';
+    }
+    
+    return res.status(500).json({ 
+      error: errorMessage,
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/limit-orders', (req, res) => {
+  return res.json({ success: true, orders: listLimitOrders() });
+});
+
+app.delete('/api/limit-orders/:id', (req, res) => {
+  try {
+    const order = cancelLimitOrder(req.params.id);
+    return res.json({ success: true, order });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+// Position rules: stop-loss, take-profit and trailing stop sells for a held token
+app.post('/api/position-rules', async (req, res) => {
+  try {
+    const { tokenAddress, privateKey, entryPrice, slippage, feeTier } = req.body;
+    
+    if (!tokenAddress || !privateKey) {
+      return res.status(400).json({ error: 'Token address and private key are required' });
+    }
+    
+    if (!web3.utils.isAddress(tokenAddress)) {
+      return res.status(400).json({ error: 'Invalid token address' });
+    }
+    
+    if (!privateKey.startsWith('0x') || privateKey.length !== 66) {
+      return res.status(400).json({ error: 'Invalid private key format. Make sure it starts with 0x and has 64 characters after that.' });
+    }
+    
+    const { error: exitRulesError, exitRules } = parseExitRules(req.body);
+    if (exitRulesError) {
+      return res.status(400).json({ error: exitRulesError });
+    }
+    
+    if (!exitRules) {
+      return res.status(400).json({ error: 'At least one of stopLossPercent, takeProfitPercent or trailingStopPercent is required' });
+    }
+    
+    // Validate optional entry price; the current pool price is used without one
+    const entryPriceValue = entryPrice === undefined || entryPrice === '' ? undefined : parseFloat(entryPrice);
+    if (entryPriceValue !== undefined && (isNaN(entryPriceValue) || entryPriceValue <= 0)) {
+      return res.status(400).json({ error: 'Entry price must be a positive number of BNB per token' });
+    }
+    
+    // Validate slippage is within reasonable range
+    const slippageValue = parseFloat(slippage) || 1.0;
+    if (slippageValue < 0.1 || slippageValue > 100) {
+      return res.status(400).json({ error: 'Slippage must be between 0.1% and 100%' });
+    }
+    
+    // Validate optional fee tier of the pool to watch
+    if (feeTier !== undefined && !Object.values(FEE_TIERS).includes(feeTier)) {
+      return res.status(400).json({ error: `Fee tier must be one of ${Object.values(FEE_TIERS).join(', ')}` });
+    }
+    
+    const rules = await createPositionRules({
+      privateKey,
+      tokenAddress,
+      entryPrice: entryPriceValue,
+      slippage: slippageValue,
+      feeTier,
+      ...exitRules
+    });
+    
+    return res.json({ success: true, rules });
+  } catch (error) {
+    console.error('Error creating position rules:', error);
+    
+    let errorMessage = 'Error creating position rules';
+    
+    if (error.message.includes('No valid PancakeSwap V3 pool') || error.message.includes('No PancakeSwap V3 pool exists')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Invalid token address') || error.message.includes('Failed to get token info')) {
+      errorMessage = 'Invalid token address. Please enter a valid BEP-20 token contract address.';
+    }
+    
+    return res.status(500).json({ 
+      error: errorMessage,
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/position-rules', (req, res) => {
+  return res.json({ success: true, rules: listPositionRules() });
+});
+
+app.delete('/api/position-rules/:id', (req, res) => {
+  try {
+    const rule = cancelPositionRule(req.params.id);
+    return res.json({ success: true, rule });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+// DCA schedules: recurring buys of a fixed BNB amount
+app.post('/api/dca', async (req, res) => {
+  try {
+    const { tokenAddress, privateKey, amount, intervalMinutes, budget, slippage, maxPriceImpact, maxGasPriceGwei } = req.body;
+    
+    if (!tokenAddress || !privateKey || !amount || !intervalMinutes) {
+      return res.status(400).json({ error: 'Token address, private key, amount, and interval are required' });
+    }
+    
+    if (!web3.utils.isAddress(tokenAddress)) {
+      return res.status(400).json({ error: 'Invalid token address' });
+    }
+    
+    if (!privateKey.startsWith('0x') || privateKey.length !== 66) {
+      return res.status(400).json({ error: 'Invalid private key format. Make sure it starts with 0x and has 64 characters after that.' });
+    }
+    
+    // Schedules buy from the server after the request ends, so the key has to be stored encrypted
+    if (!hasKeystorePassword()) {
+      return res.status(400).json({ error: 'DCA schedules need the server to store your key encrypted. Start the server with KEYSTORE_PASSWORD set.' });
+    }
+    
+    // Validate amount is a positive number
+    const amountFloat = parseFloat(amount);
+    if (isNaN(amountFloat) || amountFloat <= 0) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+    
+    // Validate interval
+    const intervalMinutesValue = parseFloat(intervalMinutes);
+    if (isNaN(intervalMinutesValue) || intervalMinutesValue < 1) {
+      return res.status(400).json({ error: 'Interval must be at least 1 minute' });
+    }
+    
+    // Validate optional total budget
+    const budgetValue = budget === undefined || budget === '' ? undefined : parseFloat(budget);
+    if (budgetValue !== undefined && (isNaN(budgetValue) || budgetValue < amountFloat)) {
+      return res.status(400).json({ error: 'Budget must be at least the amount of one run' });
+    }
+    
+    // Validate slippage is within reasonable range
+    const slippageValue = parseFloat(slippage) || 1.0;
+    if (slippageValue < 0.1 || slippageValue > 100) {
+      return res.status(400).json({ error: 'Slippage must be between 0.1% and 100%' });
+    }
+    
+    // Validate optional price impact limit
+    const maxPriceImpactValue = maxPriceImpact === undefined || maxPriceImpact === '' ? undefined : parseFloat(maxPriceImpact);
+    if (maxPriceImpactValue !== undefined && (isNaN(maxPriceImpactValue) || maxPriceImpactValue <= 0 || maxPriceImpactValue > 100)) {
+      return res.status(400).json({ error: 'Max price impact must be between 0% and 100%' });
+    }
+    
+    // Validate optional gas price limit
+    const maxGasPriceGweiValue = maxGasPriceGwei === undefined || maxGasPriceGwei === '' ? undefined : parseFloat(maxGasPriceGwei);
+    if (maxGasPriceGweiValue !== undefined && (isNaN(maxGasPriceGweiValue) || maxGasPriceGweiValue <= 0)) {
+      return res.status(400).json({ error: 'Max gas price must be a positive number of gwei' });
+    }
+    
+    const schedule = await createDcaSchedule({
+      privateKey,
+      tokenAddress,
+      amount,
+      intervalMinutes: intervalMinutesValue,
+      budget,
+      slippage: slippageValue,
+      maxPriceImpact: maxPriceImpactValue,
+      maxGasPriceGwei: maxGasPriceGweiValue
+    });
+    
+    return res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Error creating DCA schedule:', error);
+    
+    let errorMessage = 'Error creating DCA schedule';
+    
+    if (error.message.includes('Invalid token address') || error.message.includes('Failed to get token info')) {
+      errorMessage = 'Invalid token address. Please enter a valid BEP-20 token contract address.';
+    }
+    
+    return res.status(500).json({ 
+      error: errorMessage,
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/dca', (req, res) => {
+  return res.json({ success: true, schedules: listDcaSchedules() });
+});
+
+app.get('/api/dca/:id/history', (req, res) => {
+  try {
+    const schedule = getDcaHistory(req.params.id);
+    return res.json({ success: true, schedule });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+app.post('/api/dca/:id/pause', (req, res) => {
+  try {
+    const schedule = pauseDcaSchedule(req.params.id);
+    return res.json({ success: true, schedule });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+app.post('/api/dca/:id/resume', (req, res) => {
+  try {
+    const schedule = resumeDcaSchedule(req.params.id);
+    return res.json({ success: true, schedule });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+app.delete('/api/dca/:id', (req, res) => {
+  try {
+    const schedule = deleteDcaSchedule(req.params.id);
+    return res.json({ success: true, schedule });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+// TWAP jobs: one large buy or sell split into child orders over a time window
+app.post('/api/twap', async (req, res) => {
+  try {
+    const { tokenAddress, privateKey, side, amount, slices, durationMinutes, limitPrice, slippage, maxPriceImpact } = req.body;
+    
+    if (!tokenAddress || !privateKey || !side || !amount || !slices || !durationMinutes) {
+      return res.status(400).json({ error: 'Token address, private key, side, amount, slices, and duration are required' });
+    }
+    
+    if (!web3.utils.isAddress(tokenAddress)) {
+      return res.status(400).json({ error: 'Invalid token address' });
+    }
+    
+    if (!privateKey.startsWith('0x') || privateKey.length !== 66) {
+      return res.status(400).json({ error: 'Invalid private key format. Make sure it starts with 0x and has 64 characters after that.' });
+    }
+    
+    if (side !== 'buy' && side !== 'sell') {
+      return res.status(400).json({ error: 'Side must be either buy or sell' });
+    }
+    
+    // Validate amount is a positive number
+    const amountFloat = parseFloat(amount);
+    if (isNaN(amountFloat) || amountFloat <= 0 || !/^\d*\.?\d+$/.test(amount.toString().trim())) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+    
+    // Validate the number of child orders
+    const slicesValue = parseInt(slices, 10);
+    if (isNaN(slicesValue) || slicesValue < 2 || slicesValue > 100) {
+      return res.status(400).json({ error: 'Slices must be a whole number between 2 and 100' });
+    }
+    
+    // Validate the time window
+    const durationMinutesValue = parseFloat(durationMinutes);
+    if (isNaN(durationMinutesValue) || durationMinutesValue <= 0) {
+      return res.status(400).json({ error: 'Duration must be a positive number of minutes' });
+    }
+    
+    // Validate optional limit price
+    const limitPriceValue = limitPrice === undefined || limitPrice === '' ? undefined : parseFloat(limitPrice);
+    if (limitPriceValue !== undefined && (isNaN(limitPriceValue) || limitPriceValue <= 0)) {
+      return res.status(400).json({ error: 'Limit price must be a positive number of BNB per token' });
+    }
+    
+    // Validate slippage is within reasonable range
+    const slippageValue = parseFloat(slippage) || 1.0;
+    if (slippageValue < 0.1 || slippageValue > 100) {
+      return res.status(400).json({ error: 'Slippage must be between 0.1% and 100%' });
+    }
+    
+    // Validate optional price impact limit
+    const maxPriceImpactValue = maxPriceImpact === undefined || maxPriceImpact === '' ? undefined : parseFloat(maxPriceImpact);
+    if (maxPriceImpactValue !== undefined && (isNaN(maxPriceImpactValue) || maxPriceImpactValue <= 0 || maxPriceImpactValue > 100)) {
+      return res.status(400).json({ error: 'Max price impact must be between 0% and 100%' });
+    }
+    
+    const job = await startTwapJob({
+      privateKey,
+      tokenAddress,
+      side,
+      amount: amount.toString().trim(),
+      slices: slicesValue,
+      durationMinutes: durationMinutesValue,
+      limitPrice: limitPriceValue,
+      slippage: slippageValue,
+      maxPriceImpact: maxPriceImpactValue
+    });
+    
+    return res.json({ success: true, job });
+  } catch (error) {
+    console.error('Error starting TWAP job:', error);
+    
+    let errorMessage = 'Error starting TWAP job';
+    
+    if (error.message.includes('too small to split')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('No valid PancakeSwap V3 pool') || error.message.includes('No PancakeSwap V3 pool exists')) {
+      errorMessage = error.message;
+    } else if (error.message.includes('Invalid token address') || error.message.includes('Failed to get token info')) {
+      errorMessage = 'Invalid token address. Please enter a valid BEP-20 token contract address.';
+    }
+    
+    return res.status(500).json({ 
+      error: errorMessage,
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/twap', (req, res) => {
+  return res.json({ success: true, jobs: listTwapJobs() });
+});
+
+app.get('/api/twap/:id', (req, res) => {
+  try {
+    const job = getTwapJob(req.params.id);
+    return res.json({ success: true, job });
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+});
+
+app.delete('/api/twap/:id', (req, res) => {
+  try {
+    const job = cancelTwapJob(req.params.id);
+    return res.json({ success: true, job });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+// Launch snipes: buy a token as soon as a WBNB pool is created for it
+app.post('/api/snipes', async (req, res) => {
+  try {
+    const { tokenAddress, privateKey, amount, maxWaitMinutes, slippage, gasPriceGwei, maxTaxPercent } = req.body;
+    
+    if (!tokenAddress || !privateKey || !amount || !maxWaitMinutes) {
+      return res.status(400).json({ error: 'Token address, private key, amount, and maximum wait are required' });
+    }
+    
+    if (!web3.utils.isAddress(tokenAddress)) {
+      return res.status(400).json({ error: 'Invalid token address' });
+    }
+    
+    if (!privateKey.startsWith('0x') || privateKey.length !== 66) {
+      return res.status(400).json({ error: 'Invalid private key format. Make sure it starts with 0x and has 64 characters after that.' });
+    }
+    
+    // Validate amount is a positive number
+    const amountFloat = parseFloat(amount);
+    if (isNaN(amountFloat) || amountFloat <= 0 || !/^\d*\.?\d+$/.test(amount.toString().trim())) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+    
+    // Validate the maximum wait
+    const maxWaitMinutesValue = parseFloat(maxWaitMinutes);
+    if (isNaN(maxWaitMinutesValue) || maxWaitMinutesValue <= 0) {
+      return res.status(400).json({ error: 'Maximum wait must be a positive number of minutes' });
+    }
+    
+    // Validate slippage is within reasonable range
+    const slippageValue = parseFloat(slippage) || 1.0;
+    if (slippageValue < 0.1 || slippageValue > 100) {
+      return res.status(400).json({ error: 'Slippage must be between 0.1% and 100%' });
+    }
+    
+    // Validate optional fixed gas price
+    const gasPriceGweiValue = gasPriceGwei === undefined || gasPriceGwei === '' ? undefined : parseFloat(gasPriceGwei);
+    if (gasPriceGweiValue !== undefined && (isNaN(gasPriceGweiValue) || gasPriceGweiValue <= 0)) {
+      return res.status(400).json({ error: 'Gas price must be a positive number of gwei' });
+    }
+    
+    // Validate optional tax limit
+    const maxTaxPercentValue = maxTaxPercent === undefined || maxTaxPercent === '' ? undefined : parseFloat(maxTaxPercent);
+    if (maxTaxPercentValue !== undefined && (isNaN(maxTaxPercentValue) || maxTaxPercentValue < 0 || maxTaxPercentValue > 100)) {
+      return res.status(400).json({ error: 'Max tax must be between 0% and 100%' });
+    }
+    
+    const snipe = await armSnipe({
+      privateKey,
+      tokenAddress,
+      amount: amount.toString().trim(),
+      maxWaitMinutes: maxWaitMinutesValue,
+      slippage: slippageValue,
+      gasPriceGwei: gasPriceGweiValue,
+      maxTaxPercent: maxTaxPercentValue
+    });
+    
+    return res.json({ success: true, snipe });
+  } catch (error) {
+    console.error('Error arming snipe:', error);
+    
+    let errorMessage = 'Error arming snipe';
+    
+    if (error.message.includes('Invalid token address') || error.message.includes('Failed to get token info')) {
+      errorMessage = 'Invalid token address. Please enter a valid BEP-20 token contract address.';
+    }
+    
+    return res.status(500).json({ 
+      error: errorMessage,
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/snipes', (req, res) => {
+  return res.json({ success: true, snipes: listSnipes() });
+});
+
+app.delete('/api/snipes/:id', (req, res) => {
+  try {
+    const snipe = disarmSnipe(req.params.id);
+    return res.json({ success: true, snipe });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+});
+
+// Router allowances: list them for a wallet, or set one back to zero
+app.get('/api/allowances', async (req, res) => {
+  try {
+    const { walletAddress, tokens } = req.query;
+    
+    if (!walletAddress || !web3.utils.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'A valid wallet address is required' });
+    }
+    
+    // Extra tokens to check on top of WBNB and the routing base tokens, as a comma-separated list
+    const tokenAddresses = tokens ? tokens.split(',').map(address => address.trim()).filter(Boolean) : [];
+    if (!tokenAddresses.every(address => web3.utils.isAddress(address))) {
+      return res.status(400).json({ error: 'Tokens must be a comma-separated list of token addresses' });
+    }
+    
+    const allowances = await getAllowances(walletAddress, tokenAddresses);
+    return res.json({ success: true, walletAddress, allowances });
+  } catch (error) {
+    console.error('Error listing allowances:', error);
+    
+    return res.status(500).json({ 
+      error: 'Error listing allowances',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/revoke', async (req, res) => {
+  try {
+    const { tokenAddress, privateKey, spender } = req.body;
+    
+    if (!tokenAddress || !privateKey) {
+      return res.status(400).json({ error: 'Token address and private key are required' });
+    }
+    
+    if (!web3.utils.isAddress(tokenAddress)) {
+      return res.status(400).json({ error: 'Invalid token address' });
+    }
+    
+    if (!privateKey.startsWith('0x') || privateKey.length !== 66) {
+      return res.status(400).json({ error: 'Invalid private key format. Make sure it starts with 0x and has 64 characters after that.' });
+    }
+    
+    // Without a spender every router with an allowance is revoked
+    if (spender !== undefined && spender !== '' && !web3.utils.isAddress(spender)) {
+      return res.status(400).json({ error: 'Invalid spender address' });
+    }
+    
+    // Validate optional gas pricing
+    const { error: gasStrategyError, gasStrategy } = parseGasStrategy(req.body);
+    if (gasStrategyError) {
+      return res.status(400).json({ error: gasStrategyError });
+    }
+    
+    const revoked = await revokeApproval(privateKey, tokenAddress, spender || undefined, { gasStrategy });
+    
+    return res.json({ 
+      success: true,
+      revoked,
+      message: `Revoked ${revoked.length} allowance${revoked.length === 1 ? '' : 's'}`
+    });
+  } catch (error) {
+    console.error('Error revoking allowance:', error);
+    
+    if (error.message.includes('allowance to revoke') || error.message.includes('above the maximum gas price')) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    return res.status(500).json({ 
+      error: 'Error revoking allowance',
+      details: error.message
+    });
+  }
+});
+
+// Sent transactions: check which hash mined, and speed up or cancel one that is stuck
+app.get('/api/transactions', (req, res) => {
+  const { walletAddress } = req.query;
+  
+  if (walletAddress !== undefined && !web3.utils.isAddress(walletAddress)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+  
+  return res.json({ success: true, transactions: listTrackedTransactions(walletAddress) });
+});
+
+app.get('/api/transactions/:hash', (req, res) => {
+  try {
+    const transaction = getTrackedTransaction(req.params.hash);
+    return res.json({ success: true, transaction });
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+});
+
+app.post('/api/transactions/:hash/speed-up', replaceTransactionRoute(speedUpTransaction, 'speed up'));
+app.post('/api/transactions/:hash/cancel', replaceTransactionRoute(cancelTransaction, 'cancel'));
+
 // Serve the HTML file for any other routes
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const Web3 = require('web3');
+const {
+  BSC_RPC_URL,
+  PANCAKESWAP_FACTORY_ADDRESS,
+  PANCAKESWAP_V2_FACTORY_ADDRESS,
+  WBNB_ADDRESS,
+  FEE_TIERS,
+  SNIPE_POLL_INTERVAL_MS,
+  SNIPE_GAS_PRICE_MULTIPLIER,
+  SNIPE_MAX_TAX_PERCENT,
+  SNIPE_MAX_FAILED_BUY_CHECKS,
+  GAS_STRATEGIES
+} = require('./utils/constants');
+const { factoryAbiV3, factoryAbi, pairAbi } = require('./utils/abi');
+const { buyToken, getTokenInfo, checkForHoneypot, validatePancakeV3Pool, detectTransferTax } = require('./pancakeSwapWeb3');
+
+const web3 = new Web3(BSC_RPC_URL);
+const factory = new web3.eth.Contract(factoryAbiV3, PANCAKESWAP_FACTORY_ADDRESS);
+const v2Factory = new web3.eth.Contract(factoryAbi, PANCAKESWAP_V2_FACTORY_ADDRESS);
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Snipes by id; private keys are kept apart so they never leave the process
+const snipes = new Map();
+const privateKeys = new Map();
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Copy of a snipe for callers, so the stored snipe can't be changed from outside
+ * @param {Object} snipe - Stored snipe
+ * @returns {Object} Snipe copy
+ */
+function toPublicSnipe(snipe) {
+  return { ...snipe, feeTiers: [...snipe.feeTiers] };
+}
+
+/**
+ * Sort a token against WBNB the way the V3 factory orders token0 and token1
+ * @param {string} tokenAddress - Token address
+ * @returns {string[]} [token0, token1]
+ */
+function sortWithWbnb(tokenAddress) {
+  return tokenAddress.toLowerCase() < WBNB_ADDRESS.toLowerCase()
+    ? [tokenAddress, WBNB_ADDRESS]
+    : [WBNB_ADDRESS, tokenAddress];
+}
+
+/**
+ * Fee tiers that already have a token/WBNB V3 pool
+ * @param {string} tokenAddress - Token address
+ * @returns {Promise<number[]>} Fee tiers
+ */
+async function getCreatedFeeTiers(tokenAddress) {
+  const [token0, token1] = sortWithWbnb(tokenAddress);
+  const feeTiers = [];
+  
+  for (const fee of Object.values(FEE_TIERS)) {
+    const poolAddress = await factory.methods.getPool(token0, token1, fee).call();
+    if (poolAddress !== ZERO_ADDRESS) {
+      feeTiers.push(fee);
+    }
+  }
+  
+  return feeTiers;
+}
+
+/**
+ * Whether the token/WBNB V2 pair exists and holds reserves on both sides
+ * @param {string} tokenAddress - Token address
+ * @returns {Promise<boolean>} True if the pair can be traded
+ */
+async function hasV2Liquidity(tokenAddress) {
+  const pairAddress = await v2Factory.methods.getPair(tokenAddress, WBNB_ADDRESS).call();
+  
+  if (pairAddress === ZERO_ADDRESS) {
+    return false;
+  }
+  
+  const pairContract = new web3.eth.Contract(pairAbi, pairAddress);
+  const reserves = await pairContract.methods.getReserves().call();
+  
+  return !web3.utils.toBN(reserves._reserve0).isZero() && !web3.utils.toBN(reserves._reserve1).isZero();
+}
+
+/**
+ * Arm a snipe that buys a token as soon as a tradable WBNB pool exists for it
+ * V3 pools are found through the factory's PoolCreated events, V2 pairs through getPair
+ * @param {Object} params - Snipe parameters
+ * @param {string} params.privateKey - Private key of the buying account
+ * @param {string} params.tokenAddress - Token address
+ * @param {string|number} params.amount - BNB to spend
+ * @param {number} params.maxWaitMinutes - Give up if no pool is tradable within this many minutes
+ * @param {number} [params.slippage=1.0] - Slippage tolerance in percentage
+ * @param {number} [params.gasPriceGwei] - Gas price for the buy (defaults to SNIPE_GAS_PRICE_MULTIPLIER times the network gas price)
+ * @param {number} [params.maxTaxPercent=SNIPE_MAX_TAX_PERCENT] - Refuse to buy if the buy or sell tax is above this
+ * @returns {Promise<Object>} The new snipe
+ */
+async function armSnipe({ privateKey, tokenAddress, amount, maxWaitMinutes, slippage = 1.0, gasPriceGwei, maxTaxPercent = SNIPE_MAX_TAX_PERCENT }) {
+  const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+  const tokenInfo = await getTokenInfo(tokenAddress);
+  
+  // Pools created before arming won't show up in the events, so look them up directly
+  const [feeTiers, blockNumber] = await Promise.all([
+    getCreatedFeeTiers(tokenAddress),
+    web3.eth.getBlockNumber()
+  ]);
+  
+  const snipe = {
+    id: crypto.randomBytes(8).toString('hex'),
+    walletAddress: account.address,
+    tokenAddress,
+    symbol: tokenInfo.symbol,
+    amount: amount.toString(),
+    slippage,
+    gasPriceGwei: gasPriceGwei || null,
+    maxTaxPercent,
+    status: 'armed',
+    armedAt: Date.now(),
+    expiresAt: Date.now() + maxWaitMinutes * 60 * 1000,
+    feeTiers,
+    lastBlock: blockNumber,
+    lastCheckedAt: null,
+    detectedAt: null,
+    pool: null,
+    buyTax: null,
+    sellTax: null,
+    failedBuyChecks: 0,
+    executedAt: null,
+    entryPrice: null,
+    txHash: null,
+    error: null
+  };
+  
+  snipes.set(snipe.id, snipe);
+  privateKeys.set(snipe.id, privateKey);
+  startPolling();
+  
+  console.log(`Snipe ${snipe.id} armed: ${snipe.amount} BNB of ${tokenInfo.symbol} within ${maxWaitMinutes} minutes`);
+  return toPublicSnipe(snipe);
+}
+
+/**
+ * List every snipe, newest first
+ * @returns {Object[]} Snipes
+ */
+function listSnipes() {
+  return Array.from(snipes.values())
+    .sort((a, b) => b.armedAt - a.armedAt)
+    .map(toPublicSnipe);
+}
+
+/**
+ * Disarm a snipe that hasn't bought yet
+ * @param {string} id - Snipe id
+ * @returns {Object} The disarmed snipe
+ */
+function disarmSnipe(id) {
+  const snipe = snipes.get(id);
+  
+  if (!snipe) {
+    throw new Error(`Snipe not found: ${id}`);
+  }
+  
+  if (snipe.status !== 'armed') {
+    throw new Error(`Snipe ${id} cannot be disarmed because it is ${snipe.status}`);
+  }
+  
+  closeSnipe(snipe, 'disarmed');
+  stopPollingIfIdle();
+  
+  return toPublicSnipe(snipe);
+}
+
+/**
+ * Move a snipe out of the armed state and drop its key
+ * @param {Object} snipe - Stored snipe
+ * @param {string} status - Final status
+ * @param {string} [reason] - Why the snipe didn't fill
+ */
+function closeSnipe(snipe, status, reason = null) {
+  snipe.status = status;
+  snipe.error = reason;
+  privateKeys.delete(snipe.id);
+}
+
+/**
+ * Pick up V3 pools created since the last check
+ * @param {Object} snipe - Stored snipe
+ * @param {number} toBlock - Latest block number
+ */
+async function findNewPools(snipe, toBlock) {
+  if (toBlock <= snipe.lastBlock) return;
+  
+  const [token0, token1] = sortWithWbnb(snipe.tokenAddress);
+  const events = await factory.getPastEvents('PoolCreated', {
+    filter: { token0, token1 },
+    fromBlock: snipe.lastBlock + 1,
+    toBlock
+  });
+  
+  events.forEach(event => {
+    const fee = Number(event.returnValues.fee);
+    if (!snipe.feeTiers.includes(fee)) {
+      snipe.feeTiers.push(fee);
+      console.log(`Snipe ${snipe.id}: V3 pool ${event.returnValues.pool} created for ${snipe.symbol} with fee tier ${fee / 10000}%`);
+    }
+  });
+  
+  snipe.lastBlock = toBlock;
+}
+
+/**
+ * Find a pool the token can be bought through
+ * A created pool only counts once it holds liquidity, which usually lands a few blocks later
+ * @param {Object} snipe - Stored snipe
+ * @returns {Promise<string|null>} Description of the tradable pool, or null if there is none yet
+ */
+async function findTradablePool(snipe) {
+  for (const fee of snipe.feeTiers) {
+    if (await validatePancakeV3Pool(snipe.tokenAddress, fee)) {
+      return `V3 ${fee / 10000}%`;
+    }
+  }
+  
+  if (await hasV2Liquidity(snipe.tokenAddress)) {
+    return 'V2';
+  }
+  
+  return null;
+}
+
+/**
+ * Check a freshly tradable token and buy it with a high gas price
+ * A token whose simulated buy still reverts stays armed for a few polls, since trading is often enabled after the
+ * liquidity is added, and is rejected once it has failed SNIPE_MAX_FAILED_BUY_CHECKS of them
+ * @param {Object} snipe - Stored snipe
+ */
+async function executeSnipe(snipe) {
+  if (await checkForHoneypot(snipe.tokenAddress)) {
+    closeSnipe(snipe, 'rejected', 'The token appears to be a potential honeypot');
+    console.log(`Snipe ${snipe.id} rejected: ${snipe.error}`);
+    return;
+  }
+  
+  const { buyTax, sellTax } = await detectTransferTax(snipe.tokenAddress);
+  snipe.buyTax = buyTax;
+  snipe.sellTax = sellTax;
+  
+  if (buyTax === null) {
+    snipe.failedBuyChecks++;
+    
+    if (snipe.failedBuyChecks >= SNIPE_MAX_FAILED_BUY_CHECKS) {
+      closeSnipe(snipe, 'rejected', `A simulated buy still reverted after ${snipe.failedBuyChecks} checks`);
+      console.log(`Snipe ${snipe.id} rejected: ${snipe.error}`);
+      return;
+    }
+    
+    snipe.error = `A simulated buy reverted (${snipe.failedBuyChecks} of ${SNIPE_MAX_FAILED_BUY_CHECKS} checks); trading may not be enabled yet`;
+    console.log(`Snipe ${snipe.id}: ${snipe.error}`);
+    return;
+  }
+  
+  snipe.failedBuyChecks = 0;
+  
+  if (buyTax > snipe.maxTaxPercent || (sellTax !== null && sellTax > snipe.maxTaxPercent)) {
+    closeSnipe(snipe, 'rejected', `Transfer tax (buy ${buyTax}%, sell ${sellTax}%) is above the ${snipe.maxTaxPercent}% limit`);
+    console.log(`Snipe ${snipe.id} rejected: ${snipe.error}`);
+    return;
+  }
+  
+  snipe.status = 'executing';
+  const privateKey = privateKeys.get(snipe.id);
+  
+  try {
+    const gasStrategy = snipe.gasPriceGwei
+      ? { mode: GAS_STRATEGIES.FIXED, gwei: snipe.gasPriceGwei }
+      : { mode: GAS_STRATEGIES.MULTIPLIER, multiplier: SNIPE_GAS_PRICE_MULTIPLIER };
+    
+    const { txHash, receipt } = await buyToken(privateKey, snipe.tokenAddress, snipe.amount, snipe.slippage, { gasStrategy });
+    
+    closeSnipe(snipe, 'filled');
+    snipe.txHash = txHash;
+    // The price the buy filled at, which differs from the quote by the slippage and any transfer tax
+    snipe.entryPrice = receipt.effectivePrice;
+    console.log(`Snipe ${snipe.id} bought ${snipe.amount} BNB of ${snipe.symbol} through ${snipe.pool} at ${receipt.gasPrice} gwei: ${txHash}`);
+  } catch (error) {
+    closeSnipe(snipe, 'failed', error.message);
+    console.error(`Snipe ${snipe.id} failed:`, error.message);
+  }
+  
+  snipe.executedAt = Date.now();
+}
+
+/**
+ * Look for new pools for every armed snipe and buy the tokens that became tradable
+ * Buys run one at a time so nonces stay in order
+ */
+async function checkSnipes() {
+  if (polling) return;
+  polling = true;
+  
+  try {
+    const now = Date.now();
+    const blockNumber = await web3.eth.getBlockNumber();
+    
+    for (const snipe of snipes.values()) {
+      if (snipe.status !== 'armed') continue;
+      
+      if (now >= snipe.expiresAt) {
+        closeSnipe(snipe, 'expired', 'No tradable pool appeared before the maximum wait');
+        continue;
+      }
+      
+      try {
+        await findNewPools(snipe, blockNumber);
+        snipe.lastCheckedAt = now;
+        
+        const pool = await findTradablePool(snipe);
+        if (pool) {
+          snipe.pool = pool;
+          snipe.detectedAt = snipe.detectedAt || now;
+          await executeSnipe(snipe);
+        }
+      } catch (error) {
+        console.error(`Failed to check snipe ${snipe.id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to read the latest block for snipes:', error.message);
+  } finally {
+    polling = false;
+    stopPollingIfIdle();
+  }
+}
+
+/**
+ * Start watching for pools if it isn't running
+ */
+function startPolling() {
+  if (!pollTimer) {
+    pollTimer = setInterval(checkSnipes, SNIPE_POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Stop watching once no snipe is armed
+ */
+function stopPollingIfIdle() {
+  const hasArmedSnipes = Array.from(snipes.values()).some(snipe => snipe.status === 'armed');
+  
+  if (pollTimer && !hasArmedSnipes) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  armSnipe,
+  listSnipes,
+  disarmSnipe
+};
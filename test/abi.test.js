@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Web3 = require('web3');
+const { quoterAbiV3, routerAbiV3, routerAbi, permitAbi } = require('../utils/abi');
+const { PANCAKESWAP_QUOTER_ADDRESS, PANCAKESWAP_ROUTER_ADDRESS, PANCAKESWAP_V2_ROUTER_ADDRESS, WBNB_ADDRESS, CAKE_ADDRESS } = require('../utils/constants');
+
+// No provider: encoding and decoding never touch the network
+const web3 = new Web3();
+const quoter = new web3.eth.Contract(quoterAbiV3, PANCAKESWAP_QUOTER_ADDRESS);
+const router = new web3.eth.Contract(routerAbiV3, PANCAKESWAP_ROUTER_ADDRESS);
+const v2Router = new web3.eth.Contract(routerAbi, PANCAKESWAP_V2_ROUTER_ADDRESS);
+
+const WALLET = '0x000000000000000000000000000000000000dEaD';
+const PATH = `${WBNB_ADDRESS}0009c4${CAKE_ADDRESS.slice(2)}`.toLowerCase();
+
+// Expected selectors below are those of the deployed PancakeSwap QuoterV2, SmartRouter and V2 router
+const selector = data => data.slice(0, 10);
+
+test('quoteExactInputSingle encodes the QuoterV2 params struct', () => {
+  const data = quoter.methods.quoteExactInputSingle({
+    tokenIn: WBNB_ADDRESS,
+    tokenOut: CAKE_ADDRESS,
+    amountIn: '1000000000000000000',
+    fee: 2500,
+    sqrtPriceLimitX96: 0
+  }).encodeABI();
+  
+  assert.equal(selector(data), '0xc6a5026a');
+  
+  const params = web3.eth.abi.decodeParameters(['address', 'address', 'uint256', 'uint24', 'uint160'], `0x${data.slice(10)}`);
+  assert.equal(params[0], WBNB_ADDRESS);
+  assert.equal(params[1], CAKE_ADDRESS);
+  assert.equal(params[2], '1000000000000000000');
+  assert.equal(params[3], '2500');
+});
+
+test('quoteExactInputSingle results expose amountOut', () => {
+  const { outputs } = quoterAbiV3.find(entry => entry.name === 'quoteExactInputSingle');
+  const encoded = web3.eth.abi.encodeParameters(outputs.map(output => output.type), ['12345', '1', '2', '90000']);
+  const result = web3.eth.abi.decodeParameters(outputs, encoded);
+  
+  assert.equal(result.amountOut, '12345');
+  assert.equal(result.gasEstimate, '90000');
+});
+
+test('path quotes match the QuoterV2 selectors', () => {
+  assert.equal(selector(quoter.methods.quoteExactInput(PATH, '1000').encodeABI()), '0xcdca1753');
+  assert.equal(selector(quoter.methods.quoteExactOutput(PATH, '1000').encodeABI()), '0x2f80bb1d');
+});
+
+test('SmartRouter swaps match the deployed selectors', () => {
+  const exactInputSingle = router.methods.exactInputSingle({
+    tokenIn: WBNB_ADDRESS,
+    tokenOut: CAKE_ADDRESS,
+    fee: 2500,
+    recipient: WALLET,
+    amountIn: '1000',
+    amountOutMinimum: '900',
+    sqrtPriceLimitX96: 0
+  }).encodeABI();
+  const exactInput = router.methods.exactInput({ path: PATH, recipient: WALLET, amountIn: '1000', amountOutMinimum: '900' }).encodeABI();
+  const exactOutput = router.methods.exactOutput({ path: PATH, recipient: WALLET, amountOut: '1000', amountInMaximum: '1100' }).encodeABI();
+  
+  assert.equal(selector(exactInputSingle), '0x04e45aaf');
+  assert.equal(selector(exactInput), '0xb858183f');
+  assert.equal(selector(exactOutput), '0x09b81346');
+  assert.equal(selector(router.methods.swapExactTokensForTokens('1000', '900', [CAKE_ADDRESS, WBNB_ADDRESS], WALLET).encodeABI()), '0x472b43f3');
+});
+
+test('SmartRouter payment and permit calls match the deployed selectors', () => {
+  const r = `0x${'11'.repeat(32)}`;
+  const s = `0x${'22'.repeat(32)}`;
+  
+  assert.equal(selector(router.methods.unwrapWETH9('900', WALLET).encodeABI()), '0x49404b7c');
+  assert.equal(selector(router.methods.refundETH().encodeABI()), '0x12210e8a');
+  assert.equal(selector(router.methods.sweepToken(CAKE_ADDRESS, '900', WALLET).encodeABI()), '0xdf2ab5bb');
+  assert.equal(selector(router.methods.selfPermit(CAKE_ADDRESS, '1000', 1700000000, 27, r, s).encodeABI()), '0xf3995c67');
+});
+
+test('multicall overloads resolve by argument count', () => {
+  const calls = [router.methods.refundETH().encodeABI()];
+  const withDeadline = router.methods['multicall(uint256,bytes[])'](1700000000, calls);
+  
+  assert.equal(selector(router.methods.multicall(calls).encodeABI()), '0xac9650d8');
+  assert.equal(selector(withDeadline.encodeABI()), '0x5ae401dc');
+  assert.deepEqual(withDeadline.arguments[1], calls);
+});
+
+test('V2 router swaps take the deadline last', () => {
+  const data = v2Router.methods.swapExactTokensForETHSupportingFeeOnTransferTokens('1000', '900', [CAKE_ADDRESS, WBNB_ADDRESS], WALLET, 1700000000).encodeABI();
+  const params = web3.eth.abi.decodeParameters(['uint256', 'uint256', 'address[]', 'address', 'uint256'], `0x${data.slice(10)}`);
+  
+  assert.equal(selector(data), '0x791ac947');
+  assert.equal(params[4], '1700000000');
+});
+
+test('permit reads match the EIP-2612 selectors', () => {
+  const token = new web3.eth.Contract(permitAbi, CAKE_ADDRESS);
+  
+  assert.equal(selector(token.methods.DOMAIN_SEPARATOR().encodeABI()), '0x3644e515');
+  assert.equal(selector(token.methods.nonces(WALLET).encodeABI()), '0x7ecebe00');
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Web3 = require('web3');
+
+// Keep the nonce file out of the real data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nonces-'));
+process.env.DATA_DIR = dataDir;
+
+const STALE = '0x00000000000000000000000000000000000000a1';
+const RECENT = '0x00000000000000000000000000000000000000a2';
+const LEGACY = '0x00000000000000000000000000000000000000a3';
+
+fs.writeFileSync(path.join(dataDir, 'nonces.json'), JSON.stringify({
+  [STALE]: { nonce: 50, updatedAt: Date.now() - 2 * 60 * 60 * 1000 },
+  [RECENT]: { nonce: 50, updatedAt: Date.now() },
+  [LEGACY]: 50
+}));
+
+// Pending transaction count the fake RPC node reports, by lowercase address
+const pendingCounts = new Map();
+
+Web3.providers.HttpProvider.prototype.send = function (payload, callback) {
+  assert.equal(payload.method, 'eth_getTransactionCount');
+  const count = pendingCounts.get(payload.params[0].toLowerCase()) || 0;
+  setImmediate(() => callback(null, { jsonrpc: '2.0', id: payload.id, result: `0x${count.toString(16)}` }));
+};
+
+const { submitWithNonce, resyncNonce } = require('../utils/nonceManager');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('submissions from one address run one at a time with consecutive nonces', async () => {
+  const address = '0x00000000000000000000000000000000000000b1';
+  pendingCounts.set(address, 5);
+  
+  const events = [];
+  let releaseFirst;
+  const first = submitWithNonce(address, async nonce => {
+    events.push(`start ${nonce}`);
+    await new Promise(resolve => { releaseFirst = resolve; });
+    events.push(`end ${nonce}`);
+    return nonce;
+  });
+  // The node doesn't count the first transaction as pending yet, so the stored nonce has to cover it
+  const second = submitWithNonce(address, async nonce => {
+    events.push(`start ${nonce}`);
+    return nonce;
+  });
+  
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepEqual(events, ['start 5']);
+  releaseFirst();
+  
+  assert.deepEqual(await Promise.all([first, second]), [5, 6]);
+  assert.deepEqual(events, ['start 5', 'end 5', 'start 6']);
+});
+
+test('a failed broadcast does not use up its nonce', async () => {
+  const address = '0x00000000000000000000000000000000000000b2';
+  pendingCounts.set(address, 3);
+  
+  await assert.rejects(submitWithNonce(address, async () => {
+    throw new Error('insufficient funds for gas');
+  }), /insufficient funds/);
+  
+  assert.equal(await submitWithNonce(address, async nonce => nonce), 3);
+});
+
+test('a nonce that was already used is retried once with the pending count', async () => {
+  const address = '0x00000000000000000000000000000000000000b3';
+  pendingCounts.set(address, 7);
+  assert.equal(await submitWithNonce(address, async nonce => nonce), 7);
+  
+  // The wallet also sent two transactions elsewhere, which the node only counts once the first attempt fails
+  const tried = [];
+  const nonce = await submitWithNonce(address, async nonce => {
+    tried.push(nonce);
+    if (nonce < 10) {
+      pendingCounts.set(address, 10);
+      throw new Error('nonce too low');
+    }
+    return nonce;
+  });
+  
+  assert.equal(nonce, 10);
+  assert.deepEqual(tried, [8, 10]);
+});
+
+test('resyncNonce drops a stored nonce that is ahead of the chain', async () => {
+  const address = '0x00000000000000000000000000000000000000b4';
+  pendingCounts.set(address, 4);
+  assert.equal(await submitWithNonce(address, async nonce => nonce), 4);
+  
+  // The transaction at nonce 4 was dropped from the mempool, so the pending count never moved past it
+  await resyncNonce(address);
+  
+  assert.equal(await submitWithNonce(address, async nonce => nonce), 4);
+});
+
+test('only nonces stored within the trust window are restored on startup', async () => {
+  pendingCounts.set(STALE, 5);
+  pendingCounts.set(RECENT, 5);
+  pendingCounts.set(LEGACY, 5);
+  
+  assert.equal(await submitWithNonce(STALE, async nonce => nonce), 5);
+  assert.equal(await submitWithNonce(RECENT, async nonce => nonce), 50);
+  assert.equal(await submitWithNonce(LEGACY, async nonce => nonce), 5);
+});
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const Web3 = require('web3');
+const { BSC_RPC_URL, TWAP_INTERVAL_JITTER } = require('./utils/constants');
+const { buyToken, sellToken, getTokenInfo, getPoolPrice, toTokenUnits, fromTokenUnits } = require('./pancakeSwapWeb3');
+
+const web3 = new Web3(BSC_RPC_URL);
+
+// Jobs by id; private keys and timers are kept apart so they never leave the process
+const jobs = new Map();
+const privateKeys = new Map();
+const timers = new Map();
+
+/**
+ * Copy of a job for callers, with its fill totals and average execution price
+ * @param {Object} job - Stored job
+ * @returns {Object} Job summary
+ */
+function toPublicJob(job) {
+  const filledSlices = job.slices.filter(slice => slice.status === 'filled');
+  const filledUnits = filledSlices.reduce((total, slice) => total.add(web3.utils.toBN(slice.amountUnits)), web3.utils.toBN(0));
+  const bnbTotal = filledSlices.reduce((total, slice) => total + slice.bnbAmount, 0);
+  const tokenTotal = filledSlices.reduce((total, slice) => total + slice.tokenAmount, 0);
+  
+  return {
+    ...job,
+    slices: job.slices.map(slice => ({ ...slice })),
+    filledSlices: filledSlices.length,
+    filledAmount: fromTokenUnits(filledUnits.toString(), job.inputDecimals),
+    // Weighted by size: total BNB over total tokens of the filled children
+    averagePrice: tokenTotal > 0 ? bnbTotal / tokenTotal : null
+  };
+}
+
+/**
+ * Split an amount into child orders, giving the rounding remainder to the last one
+ * @param {string} amountUnits - Total amount in smallest units
+ * @param {number} sliceCount - Number of child orders
+ * @returns {string[]} Child amounts in smallest units
+ */
+function splitAmount(amountUnits, sliceCount) {
+  const total = web3.utils.toBN(amountUnits);
+  const sliceAmount = total.divn(sliceCount);
+  const amounts = Array.from({ length: sliceCount }, () => sliceAmount);
+  amounts[sliceCount - 1] = total.sub(sliceAmount.muln(sliceCount - 1));
+  
+  return amounts.map(amount => amount.toString());
+}
+
+/**
+ * Whether the pool price has moved past a job's limit
+ * Sells stop once the price falls below the limit, buys once it rises above
+ * @param {Object} job - Stored job
+ * @param {number} price - Current price in BNB per token
+ * @returns {boolean} True if the job should abort
+ */
+function isPastLimit(job, price) {
+  return job.side === 'sell' ? price < job.limitPrice : price > job.limitPrice;
+}
+
+/**
+ * Start a TWAP job that splits one large buy or sell into child orders spread over a time window
+ * Children run at randomized intervals averaging durationMinutes / slices apart
+ * @param {Object} params - Job parameters
+ * @param {string} params.privateKey - Private key of the trading account
+ * @param {string} params.tokenAddress - Token address
+ * @param {string} params.side - 'buy' or 'sell'
+ * @param {string|number} params.amount - Total BNB to spend when buying, tokens to sell when selling
+ * @param {number} params.slices - Number of child orders
+ * @param {number} params.durationMinutes - Time window the children are spread over
+ * @param {number} [params.limitPrice] - Abort once the price (BNB per token) falls below this when selling or rises above it when buying
+ * @param {number} [params.slippage=1.0] - Slippage tolerance in percentage for each child
+ * @param {number} [params.maxPriceImpact] - Abort a child whose price impact exceeds this percentage
+ * @returns {Promise<Object>} The new job
+ */
+async function startTwapJob({ privateKey, tokenAddress, side, amount, slices, durationMinutes, limitPrice, slippage = 1.0, maxPriceImpact }) {
+  const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+  const tokenInfo = await getTokenInfo(tokenAddress);
+  const inputDecimals = side === 'buy' ? 18 : tokenInfo.decimals;
+  const amountUnits = toTokenUnits(amount, inputDecimals);
+  
+  const sliceAmounts = splitAmount(amountUnits, slices);
+  if (web3.utils.toBN(sliceAmounts[0]).isZero()) {
+    throw new Error(`Amount ${amount} is too small to split into ${slices} child orders`);
+  }
+  
+  // The price check needs a pool to watch
+  const { price, feeTier, protocol } = await getPoolPrice(tokenAddress);
+  
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    walletAddress: account.address,
+    tokenAddress,
+    symbol: tokenInfo.symbol,
+    side,
+    amount: amount.toString(),
+    inputDecimals,
+    durationMinutes,
+    limitPrice: limitPrice || null,
+    slippage,
+    maxPriceImpact: maxPriceImpact || null,
+    feeTier,
+    protocol,
+    status: 'running',
+    createdAt: Date.now(),
+    startPrice: price,
+    lastPrice: price,
+    nextSliceAt: Date.now(),
+    finishedAt: null,
+    error: null,
+    slices: sliceAmounts.map((amountUnits, index) => ({
+      index,
+      amountUnits,
+      amount: fromTokenUnits(amountUnits, inputDecimals),
+      status: 'pending',
+      executedAt: null,
+      txHash: null,
+      price: null,
+      bnbAmount: null,
+      tokenAmount: null,
+      error: null
+    }))
+  };
+  
+  jobs.set(job.id, job);
+  privateKeys.set(job.id, privateKey);
+  
+  console.log(`TWAP job ${job.id} started: ${side} ${job.amount} ${side === 'buy' ? 'BNB' : tokenInfo.symbol} in ${slices} slices over ${durationMinutes} minutes`);
+  scheduleNextSlice(job, 0);
+  
+  return toPublicJob(job);
+}
+
+/**
+ * Finish a job and drop its key
+ * @param {Object} job - Stored job
+ * @param {string} status - Final status
+ * @param {string} [reason] - Why the job stopped early
+ */
+function finishJob(job, status, reason = null) {
+  job.status = status;
+  job.error = reason;
+  job.finishedAt = Date.now();
+  job.nextSliceAt = null;
+  job.slices.filter(slice => slice.status === 'pending').forEach(slice => {
+    slice.status = 'skipped';
+  });
+  
+  clearTimeout(timers.get(job.id));
+  timers.delete(job.id);
+  privateKeys.delete(job.id);
+}
+
+/**
+ * Run the next child order after a delay
+ * @param {Object} job - Stored job
+ * @param {number} delayMs - Delay before the child runs
+ */
+function scheduleNextSlice(job, delayMs) {
+  job.nextSliceAt = Date.now() + delayMs;
+  timers.set(job.id, setTimeout(() => runNextSlice(job), delayMs));
+}
+
+/**
+ * Execute the next pending child order, aborting the job if the price has moved past its limit
+ * @param {Object} job - Stored job
+ */
+async function runNextSlice(job) {
+  if (job.status !== 'running') return;
+  
+  const slice = job.slices.find(candidate => candidate.status === 'pending');
+  
+  try {
+    const { price } = await getPoolPrice(job.tokenAddress, job.feeTier, job.protocol);
+    job.lastPrice = price;
+    
+    if (job.limitPrice && isPastLimit(job, price)) {
+      finishJob(job, 'aborted', `Price ${price} BNB per ${job.symbol} moved past the ${job.limitPrice} limit`);
+      console.log(`TWAP job ${job.id} aborted: ${job.error}`);
+      return;
+    }
+    
+    const privateKey = privateKeys.get(job.id);
+    const options = { maxPriceImpact: job.maxPriceImpact || undefined };
+    slice.status = 'executing';
+    
+    const trade = job.side === 'buy'
+      ? buyToken(privateKey, job.tokenAddress, slice.amount, job.slippage, options)
+      : sellToken(privateKey, job.tokenAddress, slice.amount, job.slippage, options);
+    const { txHash, receipt } = await trade;
+    
+    // Record what actually changed hands, which differs from the quote by the slippage and any transfer tax
+    slice.txHash = txHash;
+    slice.price = receipt.effectivePrice;
+    slice.bnbAmount = Number(job.side === 'buy' ? receipt.amountIn : receipt.amountOut);
+    slice.tokenAmount = Number(job.side === 'buy' ? receipt.amountOut : receipt.amountIn);
+    
+    slice.status = 'filled';
+    console.log(`TWAP job ${job.id} slice ${slice.index + 1}/${job.slices.length} filled: ${slice.txHash}`);
+  } catch (error) {
+    slice.status = 'failed';
+    slice.error = error.message;
+    console.error(`TWAP job ${job.id} slice ${slice.index + 1}/${job.slices.length} failed:`, error.message);
+  }
+  
+  slice.executedAt = Date.now();
+  
+  // The job may have been cancelled while the child was trading
+  if (job.status !== 'running') return;
+  
+  if (!job.slices.some(candidate => candidate.status === 'pending')) {
+    finishJob(job, 'completed');
+    console.log(`TWAP job ${job.id} completed`);
+    return;
+  }
+  
+  // Randomize the gap so the children don't land at predictable times
+  const averageDelayMs = job.durationMinutes * 60 * 1000 / job.slices.length;
+  const jitter = 1 + (Math.random() * 2 - 1) * TWAP_INTERVAL_JITTER;
+  scheduleNextSlice(job, Math.round(averageDelayMs * jitter));
+}
+
+/**
+ * Get a job's progress
+ * @param {string} id - Job id
+ * @returns {Object} Job with its children, fill totals and average execution price
+ */
+function getTwapJob(id) {
+  const job = jobs.get(id);
+  
+  if (!job) {
+    throw new Error(`TWAP job not found: ${id}`);
+  }
+  
+  return toPublicJob(job);
+}
+
+/**
+ * List every job, newest first
+ * @returns {Object[]} Jobs
+ */
+function listTwapJobs() {
+  return Array.from(jobs.values())
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(toPublicJob);
+}
+
+/**
+ * Stop a running job; a child that is already trading still completes
+ * @param {string} id - Job id
+ * @returns {Object} The cancelled job
+ */
+function cancelTwapJob(id) {
+  const job = jobs.get(id);
+  
+  if (!job) {
+    throw new Error(`TWAP job not found: ${id}`);
+  }
+  
+  if (job.status !== 'running') {
+    throw new Error(`TWAP job ${id} cannot be cancelled because it is ${job.status}`);
+  }
+  
+  finishJob(job, 'cancelled');
+  return toPublicJob(job);
+}
+
+module.exports = {
+  startTwapJob,
+  getTwapJob,
+  listTwapJobs,
+  cancelTwapJob
+};
@@ -94,6 +94,38 @@ exports.erc20Abi = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: "from", type: "address" },
+      { indexed: true, name: "to", type: "address" },
+      { indexed: false, name: "value", type: "uint256" },
+    ],
+    name: "Transfer",
+    type: "event",
+  },
+];
+
+// EIP-2612 permit extension of ERC20 (only what is needed to sign a permit)
+exports.permitAbi = [
+  {
+    constant: true,
+    inputs: [],
+    name: "DOMAIN_SEPARATOR",
+    outputs: [{ name: "", type: "bytes32" }],
+    payable: false,
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    constant: true,
+    inputs: [{ name: "owner", type: "address" }],
+    name: "nonces",
+    outputs: [{ name: "", type: "uint256" }],
+    payable: false,
+    stateMutability: "view",
+    type: "function",
+  },
 ];
 
 // PancakeSwap V3 Router ABI (Simplified for the methods we need)
@@ -141,6 +173,47 @@ exports.routerAbiV3 = [
   },
   {
     inputs: [
+      {
+        components: [
+          { internalType: "bytes", name: "path", type: "bytes" },
+          { internalType: "address", name: "recipient", type: "address" },
+          { internalType: "uint256", name: "amountOut", type: "uint256" },
+          { internalType: "uint256", name: "amountInMaximum", type: "uint256" }
+        ],
+        internalType: "struct IV3SwapRouter.ExactOutputParams",
+        name: "params",
+        type: "tuple"
+      }
+    ],
+    name: "exactOutput",
+    outputs: [{ internalType: "uint256", name: "amountIn", type: "uint256" }],
+    stateMutability: "payable",
+    type: "function"
+  },
+  {
+    inputs: [
+      { internalType: "uint256", name: "amountIn", type: "uint256" },
+      { internalType: "uint256", name: "amountOutMin", type: "uint256" },
+      { internalType: "address[]", name: "path", type: "address[]" },
+      { internalType: "address", name: "to", type: "address" }
+    ],
+    name: "swapExactTokensForTokens",
+    outputs: [{ internalType: "uint256", name: "amountOut", type: "uint256" }],
+    stateMutability: "payable",
+    type: "function"
+  },
+  {
+    inputs: [
+      { internalType: "bytes[]", name: "data", type: "bytes[]" }
+    ],
+    name: "multicall",
+    outputs: [{ internalType: "bytes[]", name: "results", type: "bytes[]" }],
+    stateMutability: "payable",
+    type: "function"
+  },
+  {
+    inputs: [
+      { internalType: "uint256", name: "deadline", type: "uint256" },
       { internalType: "bytes[]", name: "data", type: "bytes[]" }
     ],
     name: "multicall",
@@ -158,6 +231,13 @@ exports.routerAbiV3 = [
     stateMutability: "payable",
     type: "function"
   },
+  {
+    inputs: [],
+    name: "refundETH",
+    outputs: [],
+    stateMutability: "payable",
+    type: "function"
+  },
   {
     inputs: [
       { internalType: "address", name: "token", type: "address" },
@@ -185,15 +265,22 @@ exports.routerAbiV3 = [
   }
 ];
 
-// PancakeSwap V3 Quoter ABI
+// PancakeSwap V3 QuoterV2 ABI
 exports.quoterAbiV3 = [
   {
     inputs: [
-      { internalType: "address", name: "tokenIn", type: "address" },
-      { internalType: "address", name: "tokenOut", type: "address" },
-      { internalType: "uint24", name: "fee", type: "uint24" },
-      { internalType: "uint256", name: "amountIn", type: "uint256" },
-      { internalType: "uint160", name: "sqrtPriceLimitX96", type: "uint160" }
+      {
+        components: [
+          { internalType: "address", name: "tokenIn", type: "address" },
+          { internalType: "address", name: "tokenOut", type: "address" },
+          { internalType: "uint256", name: "amountIn", type: "uint256" },
+          { internalType: "uint24", name: "fee", type: "uint24" },
+          { internalType: "uint160", name: "sqrtPriceLimitX96", type: "uint160" }
+        ],
+        internalType: "struct IQuoterV2.QuoteExactInputSingleParams",
+        name: "params",
+        type: "tuple"
+      }
     ],
     name: "quoteExactInputSingle",
     outputs: [
@@ -219,6 +306,21 @@ exports.quoterAbiV3 = [
     ],
     stateMutability: "nonpayable",
     type: "function"
+  },
+  {
+    inputs: [
+      { internalType: "bytes", name: "path", type: "bytes" },
+      { internalType: "uint256", name: "amountOut", type: "uint256" }
+    ],
+    name: "quoteExactOutput",
+    outputs: [
+      { internalType: "uint256", name: "amountIn", type: "uint256" },
+      { internalType: "uint160[]", name: "sqrtPriceX96AfterList", type: "uint160[]" },
+      { internalType: "uint32[]", name: "initializedTicksCrossedList", type: "uint32[]" },
+      { internalType: "uint256", name: "gasEstimate", type: "uint256" }
+    ],
+    stateMutability: "nonpayable",
+    type: "function"
   }
 ];
 
@@ -244,6 +346,18 @@ exports.factoryAbiV3 = [
     outputs: [],
     stateMutability: "nonpayable",
     type: "function"
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, internalType: "address", name: "token0", type: "address" },
+      { indexed: true, internalType: "address", name: "token1", type: "address" },
+      { indexed: true, internalType: "uint24", name: "fee", type: "uint24" },
+      { indexed: false, internalType: "int24", name: "tickSpacing", type: "int24" },
+      { indexed: false, internalType: "address", name: "pool", type: "address" }
+    ],
+    name: "PoolCreated",
+    type: "event"
   }
 ];
 
@@ -296,6 +410,22 @@ exports.poolAbiV3 = [
     outputs: [{ internalType: "uint128", name: "liquidity", type: "uint128" }],
     stateMutability: "view",
     type: "function"
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, internalType: "address", name: "sender", type: "address" },
+      { indexed: true, internalType: "address", name: "recipient", type: "address" },
+      { indexed: false, internalType: "int256", name: "amount0", type: "int256" },
+      { indexed: false, internalType: "int256", name: "amount1", type: "int256" },
+      { indexed: false, internalType: "uint160", name: "sqrtPriceX96", type: "uint160" },
+      { indexed: false, internalType: "uint128", name: "liquidity", type: "uint128" },
+      { indexed: false, internalType: "int24", name: "tick", type: "int24" },
+      { indexed: false, internalType: "uint128", name: "protocolFeesToken0", type: "uint128" },
+      { indexed: false, internalType: "uint128", name: "protocolFeesToken1", type: "uint128" }
+    ],
+    name: "Swap",
+    type: "event"
   }
 ];
 
@@ -339,6 +469,44 @@ exports.routerAbi = [
     stateMutability: "payable",
     type: "function",
   },
+  {
+    inputs: [
+      { internalType: "uint256", name: "amountIn", type: "uint256" },
+      { internalType: "uint256", name: "amountOutMin", type: "uint256" },
+      { internalType: "address[]", name: "path", type: "address[]" },
+      { internalType: "address", name: "to", type: "address" },
+      { internalType: "uint256", name: "deadline", type: "uint256" },
+    ],
+    name: "swapExactTokensForTokensSupportingFeeOnTransferTokens",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      { internalType: "uint256", name: "amountIn", type: "uint256" },
+      { internalType: "uint256", name: "amountOutMin", type: "uint256" },
+      { internalType: "address[]", name: "path", type: "address[]" },
+      { internalType: "address", name: "to", type: "address" },
+      { internalType: "uint256", name: "deadline", type: "uint256" },
+    ],
+    name: "swapExactTokensForETHSupportingFeeOnTransferTokens",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      { internalType: "uint256", name: "amountOutMin", type: "uint256" },
+      { internalType: "address[]", name: "path", type: "address[]" },
+      { internalType: "address", name: "to", type: "address" },
+      { internalType: "uint256", name: "deadline", type: "uint256" },
+    ],
+    name: "swapExactETHForTokensSupportingFeeOnTransferTokens",
+    outputs: [],
+    stateMutability: "payable",
+    type: "function",
+  },
   {
     inputs: [
       { internalType: "uint256", name: "amountA", type: "uint256" },
@@ -402,5 +570,40 @@ exports.pairAbi = [
     ],
     stateMutability: "view",
     type: "function"
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, internalType: "address", name: "sender", type: "address" },
+      { indexed: false, internalType: "uint256", name: "amount0In", type: "uint256" },
+      { indexed: false, internalType: "uint256", name: "amount1In", type: "uint256" },
+      { indexed: false, internalType: "uint256", name: "amount0Out", type: "uint256" },
+      { indexed: false, internalType: "uint256", name: "amount1Out", type: "uint256" },
+      { indexed: true, internalType: "address", name: "to", type: "address" }
+    ],
+    name: "Swap",
+    type: "event"
+  }
+]; 
+
+// WBNB events emitted when the routers wrap BNB paid in and unwrap BNB paid out
+exports.wbnbAbi = [
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, internalType: "address", name: "dst", type: "address" },
+      { indexed: false, internalType: "uint256", name: "wad", type: "uint256" }
+    ],
+    name: "Deposit",
+    type: "event"
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, internalType: "address", name: "src", type: "address" },
+      { indexed: false, internalType: "uint256", name: "wad", type: "uint256" }
+    ],
+    name: "Withdrawal",
+    type: "event"
   }
-]; 
\ No newline at end of file
+];
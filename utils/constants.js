@@ -7,21 +7,78 @@ exports.PANCAKESWAP_ROUTER_ADDRESS = '0x13f4EA83D0bd40E75C8222255bc855a974568Dd4
 exports.PANCAKESWAP_FACTORY_ADDRESS = '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865'; // PancakeSwap V3 Factory
 exports.PANCAKESWAP_QUOTER_ADDRESS = '0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997'; // PancakeSwap V3 Quoter
 
+// PancakeSwap V2 Contract Addresses on BSC (fallback for tokens without V3 liquidity)
+exports.PANCAKESWAP_V2_ROUTER_ADDRESS = '0x10ED43C718714eb63d5aA57B78B54704E256024E'; // PancakeSwap V2 Router
+exports.PANCAKESWAP_V2_FACTORY_ADDRESS = '0xCA143cE32Fe78f61f4427bF4dA4c7A4f9d9a5EE0'; // PancakeSwap V2 Factory
+
 // Token Addresses
 exports.WBNB_ADDRESS = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c'; // Wrapped BNB
+exports.USDT_ADDRESS = '0x55d398326f99059fF775485246999027B3197955'; // Binance-Peg USDT
+exports.BUSD_ADDRESS = '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56'; // Binance-Peg BUSD
+exports.CAKE_ADDRESS = '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82'; // PancakeSwap Token
 exports.BNB_TOKEN_INFO = {
   symbol: 'BNB',
   name: 'Binance Coin',
   decimals: 18
 };
 
+// Intermediate tokens tried when routing multi-hop swaps (e.g. WBNB -> USDT -> Token)
+exports.ROUTING_BASE_TOKENS = [
+  exports.USDT_ADDRESS,
+  exports.BUSD_ADDRESS,
+  exports.CAKE_ADDRESS
+];
+
 // Slippage and Deadline
 exports.DEFAULT_SLIPPAGE = 0.5; // 0.5% slippage tolerance
-exports.DEFAULT_DEADLINE_MINUTES = 20; // 20 minutes
+// Seconds a signed trade stays valid; TRADE_DEADLINE_SECONDS sets the server-wide default
+exports.DEFAULT_DEADLINE_SECONDS = process.env.TRADE_DEADLINE_SECONDS ? Number(process.env.TRADE_DEADLINE_SECONDS) : 120; // 2 minutes
+exports.MIN_DEADLINE_SECONDS = 15;
+exports.MAX_DEADLINE_SECONDS = 3600; // 1 hour
 exports.MAX_UINT256 = '115792089237316195423570985008687907853269984665640564039457584007913129639935'; // 2^256 - 1
 
+// How much a sell approves the router for: exactly the amount sold, that plus APPROVAL_BUFFER_PERCENT, or MAX_UINT256
+exports.APPROVAL_MODES = {
+  EXACT: 'exact',
+  BUFFER: 'buffer',
+  UNLIMITED: 'unlimited'
+};
+exports.DEFAULT_APPROVAL_MODE = exports.APPROVAL_MODES.EXACT;
+exports.APPROVAL_BUFFER_PERCENT = 10;
+// Storage slots searched for a token's allowance mapping, so a sale can be simulated before it is approved
+exports.ALLOWANCE_SLOT_SEARCH_LIMIT = 10;
+
 // Gas configuration
-exports.GAS_MULTIPLIER = 1.2; // Add 20% to estimated gas
+exports.GAS_MULTIPLIER = 1.2; // Add 20% to the network gas price
+exports.FALLBACK_GAS_LIMIT = 500000; // Only used for forced trades whose gas estimation fails
+
+// How trades price gas: the network price, the network price times a multiplier, a fixed price,
+// or a percentile of what transactions in recent blocks paid
+exports.GAS_STRATEGIES = {
+  NETWORK: 'network',
+  MULTIPLIER: 'multiplier',
+  FIXED: 'fixed',
+  FAST: 'fast',
+  URGENT: 'urgent'
+};
+exports.DEFAULT_GAS_STRATEGY = exports.GAS_STRATEGIES.MULTIPLIER;
+
+// Percentile of recent gas prices used by the fast and urgent strategies, and how many blocks are sampled
+exports.GAS_STRATEGY_PERCENTILES = {
+  fast: 60,
+  urgent: 90
+};
+exports.GAS_HISTORY_BLOCKS = 20;
+
+// Sent transactions are watched until one of the hashes at their nonce mines
+exports.TX_RECEIPT_POLL_INTERVAL_MS = 3000;
+exports.TX_MINE_TIMEOUT_MS = 750000; // Same as web3's own receipt timeout; the transaction stays tracked after it
+
+// A wallet's stored nonce only covers RPC nodes that are slow to count a just-sent transaction as pending,
+// so it is trusted for this long after the last send and the chain's pending count is used after that
+exports.NONCE_TRUST_WINDOW_MS = 60000; // 1 minute
+exports.TX_REPLACEMENT_GAS_BUMP_PERCENT = 15; // Nodes reject a replacement that doesn't pay at least 10% more
+exports.TRACKED_TX_LIMIT = 200;
 
 // PancakeSwap V3 Fee Tiers - in hundredths of a bip (0.0001%)
 exports.FEE_TIERS = {
@@ -29,4 +86,43 @@ exports.FEE_TIERS = {
   LOW: 500,      // 0.05%
   MEDIUM: 2500,  // 0.25%
   HIGH: 10000    // 1%
-}; 
\ No newline at end of file
+};
+
+// PancakeSwap V2 swap fee, in the same units as FEE_TIERS (0.25%)
+exports.V2_FEE = 2500;
+
+// How the direct V3 fee tier is chosen: by quoting the trade on every tier, or by raw pool liquidity (cheaper)
+exports.FEE_TIER_SELECTION = {
+  OUTPUT: 'output',
+  LIQUIDITY: 'liquidity'
+};
+
+// Split routing sizes each pool's share of a trade in steps of 1 / SPLIT_ROUTE_STEPS (10%)
+exports.SPLIT_ROUTE_STEPS = 10;
+
+// BNB spent in the simulated buy used to measure a token's transfer tax
+exports.TAX_PROBE_BNB = '0.01';
+
+// How long a measured transfer tax is reused before the token is probed again
+exports.TRANSFER_TAX_CACHE_MS = 10 * 60 * 1000; // 10 minutes
+
+// How often limit orders and position rules read pool prices while any are open
+exports.PRICE_POLL_INTERVAL_MS = 10000; // 10 seconds
+
+// How often the DCA scheduler looks for due runs, and how many runs each schedule keeps in its history
+exports.DCA_CHECK_INTERVAL_MS = 30000; // 30 seconds
+exports.DCA_HISTORY_LIMIT = 500;
+
+// TWAP child orders run at the average interval plus or minus this fraction of it, chosen at random
+exports.TWAP_INTERVAL_JITTER = 0.5;
+
+// The launch sniper looks for new pools about once a block, bids this multiple of the network gas price,
+// and refuses tokens whose buy or sell tax is above the limit (in percentage)
+exports.SNIPE_POLL_INTERVAL_MS = 3000; // 3 seconds
+exports.SNIPE_GAS_PRICE_MULTIPLIER = 3;
+exports.SNIPE_MAX_TAX_PERCENT = 10;
+// Polls a tradable pool may keep failing the simulated buy before the snipe is rejected
+exports.SNIPE_MAX_FAILED_BUY_CHECKS = 20; // about a minute
+
+// Most wallets a single batch trade may include
+exports.BATCH_MAX_WALLETS = 20;
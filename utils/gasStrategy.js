@@ -0,0 +1,92 @@
+const Web3 = require('web3');
+const {
+  BSC_RPC_URL,
+  GAS_MULTIPLIER,
+  GAS_STRATEGIES,
+  DEFAULT_GAS_STRATEGY,
+  GAS_STRATEGY_PERCENTILES,
+  GAS_HISTORY_BLOCKS
+} = require('./constants');
+
+const web3 = new Web3(BSC_RPC_URL);
+
+/**
+ * Gas price paid at a percentile of recent blocks, from eth_feeHistory
+ * Each block's price is its base fee plus the priority fee at the percentile; the median across blocks smooths out spikes.
+ * Empty blocks report no fees and are left out.
+ * @param {number} percentile - Percentile of the transactions in each block (0-100)
+ * @returns {Promise<Object>} Gas price in wei (BN)
+ */
+async function getPercentileGasPrice(percentile) {
+  let history;
+  try {
+    history = await web3.eth.getFeeHistory(GAS_HISTORY_BLOCKS, 'latest', [percentile]);
+  } catch (error) {
+    throw new Error(`Could not read recent gas prices: ${error.message}`);
+  }
+  
+  const prices = history.reward
+    .map((rewards, index) => ({ rewards, index }))
+    .filter(({ index }) => history.gasUsedRatio[index] > 0)
+    .map(({ rewards, index }) => web3.utils.toBN(history.baseFeePerGas[index]).add(web3.utils.toBN(rewards[0])))
+    .sort((a, b) => a.cmp(b));
+  
+  // With nothing to sample, the network price is the best guess
+  if (prices.length === 0) {
+    return web3.utils.toBN(await web3.eth.getGasPrice());
+  }
+  
+  return prices[Math.floor(prices.length / 2)];
+}
+
+/**
+ * Refuse a gas price above the cap
+ * @param {Object|string} gasPrice - Gas price in wei
+ * @param {number} [maxGwei] - Highest gas price allowed; no cap if omitted
+ */
+function checkMaxGasPrice(gasPrice, maxGwei) {
+  if (maxGwei && web3.utils.toBN(gasPrice).gt(web3.utils.toBN(web3.utils.toWei(maxGwei.toString(), 'gwei')))) {
+    const error = new Error(`Gas price ${web3.utils.fromWei(gasPrice, 'gwei')} gwei is above the maximum gas price of ${maxGwei} gwei. The transaction was not sent.`);
+    error.gasPrice = Number(web3.utils.fromWei(gasPrice, 'gwei'));
+    throw error;
+  }
+}
+
+/**
+ * Work out the gas price for a trade from its gas strategy
+ * @param {Object} [strategy] - Gas strategy
+ * @param {string} [strategy.mode=DEFAULT_GAS_STRATEGY] - 'network', 'multiplier', 'fixed', 'fast' or 'urgent'
+ * @param {number} [strategy.multiplier=GAS_MULTIPLIER] - Multiple of the network price for the multiplier mode
+ * @param {number} [strategy.gwei] - Gas price for the fixed mode
+ * @param {number} [strategy.maxGwei] - Refuse the trade if the gas price would be above this
+ * @returns {Promise<string>} Gas price in wei
+ */
+async function resolveGasPrice(strategy = {}) {
+  const mode = strategy.mode || DEFAULT_GAS_STRATEGY;
+  let gasPrice;
+  
+  if (mode === GAS_STRATEGIES.NETWORK) {
+    gasPrice = web3.utils.toBN(await web3.eth.getGasPrice());
+  } else if (mode === GAS_STRATEGIES.MULTIPLIER) {
+    // Scaled to hundredths so the multiplier can stay a decimal without losing BN precision
+    const multiplier = strategy.multiplier || GAS_MULTIPLIER;
+    gasPrice = web3.utils.toBN(await web3.eth.getGasPrice()).muln(Math.round(multiplier * 100)).divn(100);
+  } else if (mode === GAS_STRATEGIES.FIXED) {
+    if (!strategy.gwei) {
+      throw new Error('The fixed gas strategy needs a gas price in gwei');
+    }
+    gasPrice = web3.utils.toBN(web3.utils.toWei(strategy.gwei.toString(), 'gwei'));
+  } else if (mode === GAS_STRATEGIES.FAST || mode === GAS_STRATEGIES.URGENT) {
+    gasPrice = await getPercentileGasPrice(GAS_STRATEGY_PERCENTILES[mode]);
+  } else {
+    throw new Error(`Unknown gas strategy: ${mode}`);
+  }
+  
+  checkMaxGasPrice(gasPrice, strategy.maxGwei);
+  return gasPrice.toString();
+}
+
+module.exports = {
+  resolveGasPrice,
+  checkMaxGasPrice
+};
@@ -0,0 +1,50 @@
+const Web3 = require('web3');
+
+// Only the accounts helpers are used, so no provider is needed
+const web3 = new Web3();
+
+/**
+ * Password protecting private keys the server stores on disk
+ * @returns {string} Password from the KEYSTORE_PASSWORD environment variable
+ */
+function getKeystorePassword() {
+  const password = process.env.KEYSTORE_PASSWORD;
+  
+  if (!password) {
+    throw new Error('Set the KEYSTORE_PASSWORD environment variable to let the server store private keys for automated trades');
+  }
+  
+  return password;
+}
+
+/**
+ * Whether the server is configured to store private keys
+ * @returns {boolean} True if KEYSTORE_PASSWORD is set
+ */
+function hasKeystorePassword() {
+  return Boolean(process.env.KEYSTORE_PASSWORD);
+}
+
+/**
+ * Encrypt a private key into a V3 keystore so it can be written to disk
+ * @param {string} privateKey - Private key
+ * @returns {Object} Encrypted keystore
+ */
+function encryptPrivateKey(privateKey) {
+  return web3.eth.accounts.encrypt(privateKey, getKeystorePassword());
+}
+
+/**
+ * Decrypt a keystore written by encryptPrivateKey
+ * @param {Object} keystore - Encrypted keystore
+ * @returns {string} Private key
+ */
+function decryptPrivateKey(keystore) {
+  return web3.eth.accounts.decrypt(keystore, getKeystorePassword()).privateKey;
+}
+
+module.exports = {
+  hasKeystorePassword,
+  encryptPrivateKey,
+  decryptPrivateKey
+};
@@ -0,0 +1,132 @@
+const Web3 = require('web3');
+const { BSC_RPC_URL, NONCE_TRUST_WINDOW_MS } = require('./constants');
+const { loadState, saveState } = require('./storage');
+
+const web3 = new Web3(BSC_RPC_URL);
+
+const STATE_FILE = 'nonces.json';
+
+// Next nonce to hand out and when it was stored ({ nonce, updatedAt }) by lowercase address
+// Only entries still inside the trust window are restored on startup; every other wallet starts from the chain
+const nextNonces = Object.fromEntries(
+  Object.entries(loadState(STATE_FILE, {})).filter(([, entry]) => isTrusted(entry))
+);
+
+// Last submission queued for each address
+const queues = new Map();
+
+/**
+ * Whether a stored nonce is recent enough to trust over the chain's pending count
+ * Entries saved before nonces carried a timestamp are never trusted
+ * @param {Object|number} entry - Stored nonce entry
+ * @returns {boolean} True if the entry was stored within the trust window
+ */
+function isTrusted(entry) {
+  return Boolean(entry && typeof entry === 'object' && Date.now() - entry.updatedAt < NONCE_TRUST_WINDOW_MS);
+}
+
+/**
+ * Store the next nonce of an address and write every stored nonce to disk
+ * @param {string} key - Lowercase address
+ * @param {number} nonce - Next nonce to hand out
+ */
+function storeNonce(key, nonce) {
+  nextNonces[key] = { nonce, updatedAt: Date.now() };
+  persistNonces();
+}
+
+/**
+ * Write every stored nonce to disk
+ */
+function persistNonces() {
+  saveState(STATE_FILE, nextNonces);
+}
+
+/**
+ * Run a task once every task queued before it for the same address has finished, whether it succeeded or not
+ * @param {string} key - Lowercase address
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Result of the task
+ */
+function enqueue(key, task) {
+  const previous = queues.get(key) || Promise.resolve();
+  const run = previous.then(task);
+  const settled = run.catch(() => {});
+  
+  queues.set(key, settled);
+  settled.then(() => {
+    if (queues.get(key) === settled) {
+      queues.delete(key);
+    }
+  });
+  
+  return run;
+}
+
+/**
+ * Replace the stored nonce with the chain's pending transaction count
+ * @param {string} key - Lowercase address
+ * @param {string} address - Sender address
+ */
+async function syncNonce(key, address) {
+  try {
+    storeNonce(key, await web3.eth.getTransactionCount(address, 'pending'));
+  } catch (error) {
+    console.error(`Failed to resync the nonce of ${address}:`, error.message);
+  }
+}
+
+/**
+ * Broadcast a transaction with the sender's next nonce, one submission per address at a time
+ * A nonce is only used up once the node accepts the transaction. After a failure the stored nonce
+ * is resynced from the chain, so the same nonce is handed out again instead of leaving a gap.
+ * The stored nonce is only trusted for NONCE_TRUST_WINDOW_MS after the last send.
+ * A "nonce too low" failure, from a wallet that was also used elsewhere, is retried once.
+ * @param {string} address - Sender address
+ * @param {Function} broadcast - Signs and broadcasts the transaction with the nonce it is given
+ * @returns {Promise<*>} What broadcast resolved with
+ */
+function submitWithNonce(address, broadcast) {
+  const key = address.toLowerCase();
+  
+  return enqueue(key, async () => {
+    for (let attempt = 1; ; attempt++) {
+      // The stored nonce covers transactions sent moments ago that a load-balanced RPC node doesn't count as pending yet
+      const pendingCount = await web3.eth.getTransactionCount(address, 'pending');
+      const stored = nextNonces[key];
+      const nonce = isTrusted(stored) ? Math.max(stored.nonce, pendingCount) : pendingCount;
+      
+      try {
+        const result = await broadcast(nonce);
+        
+        storeNonce(key, nonce + 1);
+        return result;
+      } catch (error) {
+        await syncNonce(key, address);
+        
+        if (attempt === 1 && error.message.includes('nonce too low')) {
+          console.log(`Nonce ${nonce} of ${address} was already used, retrying with the pending count`);
+          continue;
+        }
+        
+        throw error;
+      }
+    }
+  });
+}
+
+/**
+ * Resync an address's stored nonce from the chain once the submissions queued before it have finished
+ * Called when a tracked transaction times out or is replaced, since the stored nonce may then be ahead of the chain
+ * @param {string} address - Sender address
+ * @returns {Promise<void>}
+ */
+function resyncNonce(address) {
+  const key = address.toLowerCase();
+  return enqueue(key, () => syncNonce(key, address));
+}
+
+module.exports = {
+  submitWithNonce,
+  resyncNonce
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+// Server state that has to survive a restart lives in JSON files here
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Load a JSON state file from the data directory
+ * @param {string} fileName - File name inside the data directory
+ * @param {*} fallback - Value returned when the file doesn't exist yet
+ * @returns {*} Parsed contents
+ */
+function loadState(fileName, fallback) {
+  const filePath = path.join(DATA_DIR, fileName);
+  
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Save a JSON state file to the data directory
+ * Writes to a temporary file first so a crash mid-write never leaves a truncated file behind
+ * @param {string} fileName - File name inside the data directory
+ * @param {*} data - Value to store
+ */
+function saveState(fileName, data) {
+  const filePath = path.join(DATA_DIR, fileName);
+  const tempPath = `${filePath}.tmp`;
+  
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+  loadState,
+  saveState
+};
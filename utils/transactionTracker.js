@@ -0,0 +1,317 @@
+const Web3 = require('web3');
+const {
+  BSC_RPC_URL,
+  BSC_CHAIN_ID,
+  TX_RECEIPT_POLL_INTERVAL_MS,
+  TX_MINE_TIMEOUT_MS,
+  TX_REPLACEMENT_GAS_BUMP_PERCENT,
+  TRACKED_TX_LIMIT
+} = require('./constants');
+const { resolveGasPrice, checkMaxGasPrice } = require('./gasStrategy');
+const { submitWithNonce, resyncNonce } = require('./nonceManager');
+
+const web3 = new Web3(BSC_RPC_URL);
+
+// Sent transactions by sender and nonce; each keeps every hash broadcast at its nonce
+const transactions = new Map();
+
+/**
+ * Copy of a tracked transaction for callers, without its calldata
+ * @param {Object} record - Tracked transaction
+ * @returns {Object} Transaction summary
+ */
+function toPublicTransaction(record) {
+  const { data, ...publicRecord } = record;
+  return {
+    ...publicRecord,
+    broadcasts: record.broadcasts.map(broadcast => ({ ...broadcast }))
+  };
+}
+
+/**
+ * Find the tracked transaction that a hash was broadcast for
+ * @param {string} txHash - Hash of the original transaction or of any speed-up or cancel
+ * @returns {Object} Tracked transaction
+ */
+function findTransaction(txHash) {
+  const hash = (txHash || '').toLowerCase();
+  const record = Array.from(transactions.values())
+    .find(candidate => candidate.broadcasts.some(broadcast => broadcast.hash.toLowerCase() === hash));
+  
+  if (!record) {
+    throw new Error(`Transaction not found: ${txHash}. Only transactions sent by this server since it started are tracked.`);
+  }
+  
+  return record;
+}
+
+/**
+ * Drop the oldest finished transactions once more than TRACKED_TX_LIMIT are kept
+ */
+function pruneTransactions() {
+  const finished = Array.from(transactions.entries())
+    .filter(([, record]) => record.status !== 'pending')
+    .sort(([, a], [, b]) => a.sentAt - b.sentAt);
+  
+  while (transactions.size > TRACKED_TX_LIMIT && finished.length > 0) {
+    transactions.delete(finished.shift()[0]);
+  }
+}
+
+/**
+ * Send a signed transaction without waiting for it to mine
+ * web3's sendSignedTransaction would keep polling for a receipt that never comes once the hash is replaced.
+ * @param {string} rawTransaction - Signed transaction
+ * @returns {Promise<string>} Transaction hash
+ */
+function sendRawTransaction(rawTransaction) {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send({
+      jsonrpc: '2.0',
+      id: Date.now(),
+      method: 'eth_sendRawTransaction',
+      params: [rawTransaction]
+    }, (error, response) => {
+      if (error) return reject(error);
+      if (response.error) return reject(new Error(response.error.message));
+      resolve(response.result);
+    });
+  });
+}
+
+/**
+ * Sign a transaction and broadcast it
+ * @param {string} privateKey - Private key of the sender
+ * @param {Object} tx - Transaction (to, data, value, gas, gasPrice, nonce)
+ * @returns {Promise<string>} Transaction hash
+ */
+async function signAndBroadcast(privateKey, tx) {
+  const signed = await web3.eth.accounts.signTransaction({ ...tx, chainId: BSC_CHAIN_ID }, privateKey);
+  await sendRawTransaction(signed.rawTransaction);
+  return signed.transactionHash;
+}
+
+/**
+ * Poll every hash broadcast at a transaction's nonce until one of them mines
+ * Hashes added by a speed-up or cancel while waiting are picked up on the next poll.
+ * If the nonce gets used by a transaction this server didn't send, the transaction is marked replaced.
+ * @param {Object} record - Tracked transaction
+ * @returns {Promise<{broadcast: Object|null, receipt: Object|null}>} The hash that mined and its receipt; both null if it was replaced
+ */
+async function watchTransaction(record) {
+  for (;;) {
+    try {
+      // Read before the receipts, so a nonce used by one of our hashes always shows its receipt below
+      const minedCount = await web3.eth.getTransactionCount(record.from, 'latest');
+      
+      for (const broadcast of record.broadcasts) {
+        const receipt = await web3.eth.getTransactionReceipt(broadcast.hash);
+        
+        if (receipt) {
+          record.minedHash = broadcast.hash;
+          record.blockNumber = receipt.blockNumber;
+          record.status = broadcast.type === 'cancel' ? 'cancelled' : (receipt.status ? 'mined' : 'reverted');
+          record.minedAt = Date.now();
+          return { broadcast, receipt };
+        }
+      }
+      
+      if (minedCount > record.nonce) {
+        record.status = 'replaced';
+        record.minedAt = Date.now();
+        return { broadcast: null, receipt: null };
+      }
+    } catch (error) {
+      console.error(`Failed to check transaction ${record.from} nonce ${record.nonce}:`, error.message);
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, TX_RECEIPT_POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Sign, broadcast and track a transaction, then wait for whichever of its hashes mines
+ * The nonce comes from the nonce manager when the transaction is broadcast.
+ * While it is pending it can be sped up or cancelled; the receipt returned is the one of the hash that actually mined.
+ * @param {string} privateKey - Private key of the sender
+ * @param {Object} tx - Transaction (from, to, data, value, gas, gasPrice)
+ * @param {string} type - What the transaction does, such as 'swap' or 'approval'
+ * @returns {Promise<Object>} Receipt of the mined hash
+ */
+async function sendTrackedTransaction(privateKey, tx, type) {
+  const value = tx.value ? tx.value.toString() : '0';
+  const gasPrice = tx.gasPrice.toString();
+  const { hash, nonce } = await submitWithNonce(tx.from, async nonce => ({
+    nonce,
+    hash: await signAndBroadcast(privateKey, {
+      to: tx.to,
+      data: tx.data,
+      value,
+      gas: tx.gas,
+      gasPrice,
+      nonce
+    })
+  }));
+  
+  const record = {
+    from: tx.from,
+    nonce,
+    type,
+    to: tx.to,
+    value,
+    data: tx.data,
+    gas: tx.gas,
+    status: 'pending',
+    sentAt: Date.now(),
+    minedAt: null,
+    minedHash: null,
+    blockNumber: null,
+    broadcasts: [{ hash, type: 'original', gasPrice, sentAt: Date.now() }]
+  };
+  
+  transactions.set(`${tx.from.toLowerCase()}:${nonce}`, record);
+  pruneTransactions();
+  
+  // The watch keeps running after a timeout, so the record still ends up showing the hash that mined
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, TX_MINE_TIMEOUT_MS);
+  });
+  const result = await Promise.race([watchTransaction(record), timeout]);
+  clearTimeout(timer);
+  
+  if (!result) {
+    await resyncNonce(tx.from);
+    throw new Error(`Transaction ${hash} was not mined within ${TX_MINE_TIMEOUT_MS / 1000} seconds. It is still tracked, so it can be sped up or cancelled.`);
+  }
+  
+  if (record.status === 'replaced') {
+    await resyncNonce(tx.from);
+    throw new Error(`Transaction cancelled: nonce ${record.nonce} was used by a transaction this server didn't send`);
+  }
+  
+  if (record.status === 'cancelled') {
+    throw new Error(`Transaction cancelled: nonce ${record.nonce} was used by the cancel transaction ${record.minedHash}`);
+  }
+  
+  if (record.status === 'reverted') {
+    throw new Error(`Transaction reverted: ${record.minedHash} failed on chain`);
+  }
+  
+  return result.receipt;
+}
+
+/**
+ * Check that a transaction is still pending and that the key belongs to its sender
+ * @param {Object} record - Tracked transaction
+ * @param {string} privateKey - Private key to re-sign with
+ */
+function assertReplaceable(record, privateKey) {
+  const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+  
+  if (account.address.toLowerCase() !== record.from.toLowerCase()) {
+    throw new Error(`The private key does not belong to ${record.from}, the sender of this transaction`);
+  }
+  
+  if (record.status !== 'pending') {
+    throw new Error(`Transaction at nonce ${record.nonce} cannot be replaced because it is already ${record.status}${record.minedHash ? ` in ${record.minedHash}` : ''}`);
+  }
+}
+
+/**
+ * Gas price for a replacement: the gas strategy's price, raised to beat the last broadcast by TX_REPLACEMENT_GAS_BUMP_PERCENT
+ * @param {Object} record - Tracked transaction
+ * @param {Object} [gasStrategy] - Gas strategy; its maxGwei also caps the raised price
+ * @returns {Promise<string>} Gas price in wei
+ */
+async function getReplacementGasPrice(record, gasStrategy = {}) {
+  const { maxGwei, ...strategy } = gasStrategy;
+  const lastGasPrice = web3.utils.toBN(record.broadcasts[record.broadcasts.length - 1].gasPrice);
+  const minimum = lastGasPrice.muln(100 + TX_REPLACEMENT_GAS_BUMP_PERCENT).divn(100);
+  const requested = web3.utils.toBN(await resolveGasPrice(strategy));
+  const gasPrice = requested.gt(minimum) ? requested : minimum;
+  
+  checkMaxGasPrice(gasPrice, maxGwei);
+  return gasPrice.toString();
+}
+
+/**
+ * Rebroadcast a pending transaction with the same nonce and calldata at a higher gas price
+ * @param {string} privateKey - Private key of the sender
+ * @param {string} txHash - Hash of the transaction or of an earlier speed-up
+ * @param {Object} [gasStrategy] - Gas strategy for the new price
+ * @returns {Promise<Object>} The tracked transaction with the new hash
+ */
+async function speedUpTransaction(privateKey, txHash, gasStrategy) {
+  const record = findTransaction(txHash);
+  assertReplaceable(record, privateKey);
+  
+  const gasPrice = await getReplacementGasPrice(record, gasStrategy);
+  const hash = await signAndBroadcast(privateKey, {
+    to: record.to,
+    data: record.data,
+    value: record.value,
+    gas: record.gas,
+    gasPrice,
+    nonce: record.nonce
+  });
+  
+  record.broadcasts.push({ hash, type: 'speedUp', gasPrice, sentAt: Date.now() });
+  console.log(`Sped up ${record.type} at nonce ${record.nonce} of ${record.from} to ${web3.utils.fromWei(gasPrice, 'gwei')} gwei: ${hash}`);
+  return toPublicTransaction(record);
+}
+
+/**
+ * Cancel a pending transaction by sending 0 BNB to the sender at the same nonce and a higher gas price
+ * The original may still mine first; the tracked transaction shows which one did.
+ * @param {string} privateKey - Private key of the sender
+ * @param {string} txHash - Hash of the transaction or of an earlier speed-up
+ * @param {Object} [gasStrategy] - Gas strategy for the new price
+ * @returns {Promise<Object>} The tracked transaction with the cancel hash
+ */
+async function cancelTransaction(privateKey, txHash, gasStrategy) {
+  const record = findTransaction(txHash);
+  assertReplaceable(record, privateKey);
+  
+  const gasPrice = await getReplacementGasPrice(record, gasStrategy);
+  const hash = await signAndBroadcast(privateKey, {
+    to: record.from,
+    value: '0',
+    gas: 21000, // A plain transfer
+    gasPrice,
+    nonce: record.nonce
+  });
+  
+  record.broadcasts.push({ hash, type: 'cancel', gasPrice, sentAt: Date.now() });
+  console.log(`Cancelling ${record.type} at nonce ${record.nonce} of ${record.from} at ${web3.utils.fromWei(gasPrice, 'gwei')} gwei: ${hash}`);
+  return toPublicTransaction(record);
+}
+
+/**
+ * Get a tracked transaction by any of its hashes
+ * @param {string} txHash - Hash of the transaction or of a speed-up or cancel
+ * @returns {Object} Tracked transaction
+ */
+function getTrackedTransaction(txHash) {
+  return toPublicTransaction(findTransaction(txHash));
+}
+
+/**
+ * List tracked transactions, newest first
+ * @param {string} [walletAddress] - Only list this sender's transactions
+ * @returns {Object[]} Tracked transactions
+ */
+function listTrackedTransactions(walletAddress) {
+  return Array.from(transactions.values())
+    .filter(record => !walletAddress || record.from.toLowerCase() === walletAddress.toLowerCase())
+    .sort((a, b) => b.sentAt - a.sentAt)
+    .map(toPublicTransaction);
+}
+
+module.exports = {
+  sendTrackedTransaction,
+  speedUpTransaction,
+  cancelTransaction,
+  getTrackedTransaction,
+  listTrackedTransactions
+};